@@ -0,0 +1,5 @@
+'use strict'
+
+exports = module.exports = require('../commonjs/CountrySelectCombobox.js').default
+
+exports['default'] = require('../commonjs/CountrySelectCombobox.js').default
\ No newline at end of file
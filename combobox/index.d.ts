@@ -0,0 +1,43 @@
+import * as React from 'react';
+
+import {
+	Country,
+	NonGeographicCountry,
+	Metadata
+} from '../index.d';
+
+interface CountrySelectOption {
+	value?: Country | NonGeographicCountry;
+	label: string;
+	divider?: boolean;
+	// Group label.
+	group?: string;
+}
+
+interface Props {
+	value?: Country | NonGeographicCountry;
+	// The countries that the phone number could belong to
+	// when "International" is selected and the country calling code,
+	// like `+1`, is shared by several countries.
+	ambiguousCountries?: Country[];
+	onChange(value?: Country | NonGeographicCountry): void;
+	onFocus?(event: React.FocusEvent<HTMLElement>): void;
+	onBlur?(event: React.FocusEvent<HTMLElement>): void;
+	options: CountrySelectOption[];
+	metadata?: Metadata;
+	name?: string;
+	disabled?: boolean;
+	readOnly?: boolean;
+	tabIndex?: number | string;
+	className?: string;
+	iconComponent: React.ElementType;
+	arrowComponent?: React.ElementType;
+	searchPlaceholder?: string;
+	'aria-label'?: string;
+}
+
+type CountrySelectComboboxType = (props: Props) => JSX.Element;
+
+declare const CountrySelectCombobox: CountrySelectComboboxType;
+
+export default CountrySelectCombobox;
\ No newline at end of file
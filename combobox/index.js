@@ -0,0 +1 @@
+export { default as default } from '../modules/CountrySelectCombobox.js'
\ No newline at end of file
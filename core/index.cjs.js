@@ -7,6 +7,14 @@
 
 exports = module.exports = require('../commonjs/PhoneInputWithCountry.js').default
 
+exports.usePhoneInputWithCountry = require('../commonjs/usePhoneInputWithCountry.js').default
+
+exports.detectCountry = require('../commonjs/detectCountry.js').default
+exports.createInMemoryStorage = require('../commonjs/helpers/recentCountries.js').createInMemoryStorage
+
+exports.createPhoneInput = require('../commonjs/PhoneInputWithCountryDefault.js').createPhoneInput
+exports.createUsePhoneInputWithCountry = require('../commonjs/PhoneInputWithCountryDefault.js').createUsePhoneInputWithCountry
+
 exports.formatPhoneNumber = require('../commonjs/libphonenumber/formatPhoneNumber.js').default
 exports.formatPhoneNumberIntl = require('../commonjs/libphonenumber/formatPhoneNumber.js').formatPhoneNumberIntl
 
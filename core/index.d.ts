@@ -1,23 +1,48 @@
 import {
 	Metadata,
+	MetadataLoader,
 	Labels,
 	Props as BaseProps,
-	State,
 	Value,
-	DefaultInputComponentProps
+	DefaultInputComponentProps,
+	UsePhoneInputWithCountryParameters,
+	UsePhoneInputWithCountryResult,
+	DetectCountryOptions,
+	Country
 } from '../index.d';
 
 type Props<InputComponentProps> = BaseProps<InputComponentProps> & {
-  metadata: Metadata;
+  metadata: Metadata | MetadataLoader;
   labels: Labels;
+  onMetadataError?(error: Error): void;
 }
 
-type PhoneInputWithCountrySelectType<InputComponentProps = DefaultInputComponentProps> = React.ComponentClass<Props<InputComponentProps>, State<Props<InputComponentProps>>>;
+// `ref` is forwarded to the phone number `<input/>`.
+type PhoneInputWithCountrySelectType<InputComponentProps = DefaultInputComponentProps> = React.MemoExoticComponent<React.ForwardRefExoticComponent<Props<InputComponentProps> & React.RefAttributes<HTMLInputElement>>>;
 
 declare const PhoneInputWithCountrySelect: PhoneInputWithCountrySelectType;
 
 export default PhoneInputWithCountrySelect;
 
+export function usePhoneInputWithCountry(parameters: UsePhoneInputWithCountryParameters & {
+	metadata: Metadata;
+	labels: Labels;
+}): UsePhoneInputWithCountryResult;
+
+// Creates a "with country select" component having default `metadata` and `labels` properties.
+export function createPhoneInput(metadata: Metadata | MetadataLoader, labels?: Labels): React.ForwardRefExoticComponent<BaseProps<DefaultInputComponentProps> & {
+	metadata?: Metadata | MetadataLoader;
+	onMetadataError?(error: Error): void;
+	labels?: Labels;
+} & React.RefAttributes<HTMLInputElement>>;
+
+// Creates a `usePhoneInputWithCountry()` hook having default `metadata` and `labels` parameters.
+export function createUsePhoneInputWithCountry(metadata: Metadata, labels?: Labels): (parameters: UsePhoneInputWithCountryParameters) => UsePhoneInputWithCountryResult;
+
+export function detectCountry(options: DetectCountryOptions | undefined, metadata: Metadata): Country | undefined;
+
+export { createInMemoryStorage } from '../index.d';
+
 export function formatPhoneNumber(value: Value, metadata: Metadata): string;
 export function formatPhoneNumberIntl(value: Value, metadata: Metadata): string;
 
@@ -31,3 +56,5 @@ export {
 	Country,
 	Value
 } from 'libphonenumber-js/core';
+
+export { NonGeographicCountry } from '../index.d';
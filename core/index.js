@@ -1,4 +1,8 @@
 export { default as default } from '../modules/PhoneInputWithCountry.js'
+export { default as usePhoneInputWithCountry } from '../modules/usePhoneInputWithCountry.js'
+export { createPhoneInput, createUsePhoneInputWithCountry } from '../modules/PhoneInputWithCountryDefault.js'
+export { default as detectCountry } from '../modules/detectCountry.js'
+export { createInMemoryStorage } from '../modules/helpers/recentCountries.js'
 export { default as formatPhoneNumber, formatPhoneNumberIntl } from '../modules/libphonenumber/formatPhoneNumber.js'
 
 export {
@@ -6,21 +6,31 @@ import * as React from 'react';
 import {
 	CountryCode,
 	E164Number,
-	MetadataJson
+	MetadataJson,
+	NumberType
 } from 'libphonenumber-js/core';
 
 export type Metadata = MetadataJson;
 
+// A function returning a `Promise` of `Metadata`, or a `Promise` itself.
+// Example: `() => import('libphonenumber-js/min/metadata')`.
+// `MetadataLoader` is imported in `/core/index.d.ts`.
+export type MetadataLoader = Promise<Metadata | { default: Metadata }> | (() => Promise<Metadata | { default: Metadata }>);
+
 export type Value = E164Number;
 
 // `Country` type could be used in the application's code.
 export type Country = CountryCode;
 
+// "Non-geographic" country calling codes, like International Freephone (`+800`),
+// are listed in the country select as if they were separate countries.
+export type NonGeographicCountry = '+800' | '+808' | '+870' | '+878' | '+881' | '+882' | '+883' | '+888' | '+979';
+
 type Locale = string;
 
 type LocaleProperty = Locale | Locale[];
 
-type CountryOption = 'XX' | '🌐' | '|' | '...' | '…' | Country;
+type CountryOption = 'XX' | '🌐' | '|' | '...' | '…' | Country | NonGeographicCountry;
 
 // `Flags` are imported in `flags/index.d.ts`.
 export type Flags = Partial<Record<Country, EmbeddedFlag>>;
@@ -35,13 +45,63 @@ interface FlagProps {
 	country: Country;
 	countryName: string;
 	flagUrl?: string;
+	flagSpriteUrl?: string;
 	flags?: Flags;
+	loadFlag?: LoadFlag;
 }
 
 type Flag = (props: FlagProps) => JSX.Element;
 
+// The second argument of `onCountryChange()`.
+export interface CountryChangeDetails {
+	// The countries that the phone number could belong to.
+	candidates: (Country | NonGeographicCountry)[];
+	// Is `false` when "International" is selected and the phone number starts with
+	// a country calling code that's shared by several countries, like `+1`.
+	confident: boolean;
+}
+
+export type ChangeReason = 'input' | 'paste' | 'country-change' | 'reset' | 'autofill' | 'migration';
+
+// The second argument of `onChange(value, details)` when `withChangeDetails` property is passed.
+export interface ChangeDetails {
+	// The selected country. When "International" is selected,
+	// it's the country of the phone number, if it could be determined.
+	country?: Country | NonGeographicCountry;
+	// The parsed phone number digits, including a leading `+`, if present.
+	phoneDigits: string;
+	// The phone number `<input/>` value.
+	formattedValue: string;
+	// The "national (significant) number" part of the phone number.
+	nationalNumber?: string;
+	isPossible: boolean;
+	isValid: boolean;
+	reason: ChangeReason;
+}
+
+// The argument of `onValueMigration(migration)` when `valueFormat="lenient"` property is passed.
+export interface ValueMigration {
+	originalValue: string;
+	value?: Value;
+}
+
+// A group of country `<select/>` options.
+export interface CountryGroup {
+	label: string;
+	countries: (Country | NonGeographicCountry)[];
+}
+
+// A storage for the recently selected countries, like `localStorage`.
+export interface RecentCountriesStorage {
+	getItem(key: string): string | null;
+	setItem(key: string, value: string): void;
+}
+
+// Loads a country flag icon component (or a module having it as the `default` export).
+export type LoadFlag = (country: Country) => Promise<EmbeddedFlag | { default: EmbeddedFlag }>;
+
 // `LabelKey` is imported in `/locale/{locale}.json.d.ts`.
-export type LabelKey = Country | 'ZZ' | 'ext' | 'country' | 'phone';
+export type LabelKey = Country | NonGeographicCountry | 'ZZ' | 'ext' | 'country' | 'phone' | 'recent' | 'suggested' | 'africa' | 'americas' | 'asia' | 'europe' | 'oceania' | ValidationError;
 
 // `Labels` are imported in `/core/index.d.ts`.
 export type Labels = Partial<Record<LabelKey, string>>;
@@ -73,23 +133,35 @@ export type Labels = Partial<Record<LabelKey, string>>;
 // This `Props` interface can only be used in an HTML DOM environment
 // because it extends `React.InputHTMLAttributes<HTMLInputElement>`.
 //
-export type FeatureProps<InputComponentProps> = Omit<InputComponentProps, 'value' | 'onChange'> & {
+export type FeatureProps<InputComponentProps> = Omit<InputComponentProps, 'value' | 'defaultValue' | 'onChange'> & {
+	name?: string;
+	nativeForm?: boolean;
+	countryInputName?: string;
 	onFocus?(event: React.FocusEvent<HTMLElement>): void;
 	onBlur?(event: React.FocusEvent<HTMLElement>): void;
 	disabled?: boolean;
 	readOnly?: boolean;
 	autoComplete?: string;
 	initialValueFormat?: 'national';
-	defaultCountry?: Country;
-	countries?: Country[];
+	// `null` means "International".
+	country?: Country | NonGeographicCountry | null;
+	defaultCountry?: Country | NonGeographicCountry | 'auto';
+	countries?: (Country | NonGeographicCountry)[];
 	labels?: Labels;
 	locales?: LocaleProperty;
 	flagUrl?: string;
+	flagSpriteUrl?: string;
 	flags?: Flags;
+	loadFlag?: LoadFlag;
 	flagComponent?: Flag;
 	addInternationalOption?: boolean;
 	internationalIcon?: React.ElementType;
 	countryOptionsOrder?: CountryOption[];
+	suggestedCountries?: (Country | NonGeographicCountry)[];
+	countryGroups?: CountryGroup[];
+	groupBy?: 'region';
+	recentCountries?: boolean;
+	recentCountriesStorage?: RecentCountriesStorage;
 	style?: object;
 	className?: string;
 	countrySelectComponent?: React.ElementType;
@@ -98,26 +170,66 @@ export type FeatureProps<InputComponentProps> = Omit<InputComponentProps, 'value
 	containerComponent?: React.ElementType;
 	numberInputProps?: object;
 	smartCaret?: boolean;
+	formatOnBlur?: boolean | 'national';
 	international?: boolean;
 	limitMaxLength?: boolean;
 	countryCallingCodeEditable?: boolean;
-	onCountryChange?(country?: Country): void;
+	keepIDDPrefix?: boolean;
+	onCountryChange?(country: Country | NonGeographicCountry | undefined, details: CountryChangeDetails): void;
 	focusInputOnCountrySelection?: boolean;
+	withExtension?: boolean;
+	extension?: string;
+	onExtensionChange?(extension?: string): void;
+	extensionInputProps?: object;
+	handleRef?: React.Ref<PhoneInputHandle>;
+	validate?: boolean;
+	onValidate?(result: ValidationState): void;
+	nativeValidation?: boolean;
+	valueFormat?: 'lenient';
+	onValueMigration?(migration: ValueMigration): void;
+	allowedNumberTypes?: Exclude<NumberType, undefined>[];
+}
+
+export type ValidationError = 'TOO_SHORT' | 'TOO_LONG' | 'INVALID_LENGTH' | 'INVALID_COUNTRY' | 'NOT_A_NUMBER' | 'INVALID_NUMBER' | 'INVALID_TYPE';
+
+export interface ValidationState {
+	value?: Value;
+	isEmpty: boolean;
+	isPossible: boolean;
+	isValid: boolean;
+	error?: ValidationError;
+	message?: string;
+}
+
+// The "imperative handle" that is passed to `handleRef`.
+export interface PhoneInputHandle {
+	focus(): void;
+	reset(): void;
+	setCountry(country?: Country | NonGeographicCountry): void;
+	getCountry(): Country | NonGeographicCountry | undefined;
+	getPhoneDigits(): string | undefined;
+	getValidationState(): ValidationState;
 }
 
 // `Props` are imported in:
 // * `/core/index.d.ts`
-export type Props<InputComponentProps> = FeatureProps<InputComponentProps> & {
+export type Props<InputComponentProps> = FeatureProps<InputComponentProps> & ({
 	value?: Value;
-	onChange(value?: Value): void;
+	onChange(value?: Value, details?: ChangeDetails): void;
+} | {
+	// An "uncontrolled" component.
+	defaultValue?: Value;
+	onChange?(value?: Value, details?: ChangeDetails): void;
+}) & {
+	withChangeDetails?: boolean;
 }
 
 // `State` is imported in:
 // * `/core/index.d.ts`
 // * `/react-hook-form/index.d.ts`
 export interface State<Props> {
-	country?: Country;
-	countries?: Country[];
+	country?: Country | NonGeographicCountry;
+	countries?: (Country | NonGeographicCountry)[];
 	hasUserSelectedACountry?: boolean;
 	value?: Value;
 	// `phoneDigits` are the parsed phone number digits,
@@ -127,14 +239,11 @@ export interface State<Props> {
 	// * "+78005553535"
 	// * "88005553535"
 	phoneDigits?: string;
-	// `forceRerender` is a "dummy" object that is set to `{}`
-	// in order to force a rerender of the component.
-	forceRerender?: object;
+	// Phone number extension digits. Example: "1234".
+	extension?: string;
 	isFocused?: boolean;
-	// `props` are stored in state in order to be able to compare
-	// new `props` with the "previous" ones in `state.props`
-	// in `PhoneInputWithCountry.getDerivedStateFromProps()`.
-	props: Props;
+	// Whether the phone number `<input/>` has lost focus at least once.
+	isTouched?: boolean;
 }
 
 // export type DefaultInputComponentProps = React.InputHTMLAttributes<HTMLInputElement>
@@ -144,12 +253,98 @@ export type DefaultInputComponentProps = {
 	[anyProperty: string]: any;
 }
 
-type PhoneInputWithCountrySelectType<InputComponentProps = DefaultInputComponentProps> = React.ComponentClass<Props<InputComponentProps>, State<Props<InputComponentProps>>>
+// `ref` is forwarded to the phone number `<input/>`.
+type PhoneInputWithCountrySelectType<InputComponentProps = DefaultInputComponentProps> = React.ForwardRefExoticComponent<Props<InputComponentProps> & React.RefAttributes<HTMLInputElement>>
 
 declare const PhoneInputWithCountrySelect: PhoneInputWithCountrySelectType;
 
 export default PhoneInputWithCountrySelect;
 
+// `UsePhoneInputWithCountryParameters` are imported in `/core/index.d.ts`.
+export interface UsePhoneInputWithCountryParameters {
+	value?: Value;
+	valueFormat?: 'lenient';
+	onValueMigration?(migration: ValueMigration): void;
+	onChange?(value?: Value, details?: ChangeDetails): void;
+	withChangeDetails?: boolean;
+	onCountryChange?(country: Country | NonGeographicCountry | undefined, details: CountryChangeDetails): void;
+	// `null` means "International".
+	country?: Country | NonGeographicCountry | null;
+	defaultCountry?: Country | NonGeographicCountry | 'auto';
+	countries?: (Country | NonGeographicCountry)[];
+	countryOptionsOrder?: CountryOption[];
+	suggestedCountries?: (Country | NonGeographicCountry)[];
+	countryGroups?: CountryGroup[];
+	groupBy?: 'region';
+	recentCountries?: boolean;
+	recentCountriesStorage?: RecentCountriesStorage;
+	labels?: Labels;
+	locales?: LocaleProperty;
+	addInternationalOption?: boolean;
+	international?: boolean;
+	countryCallingCodeEditable?: boolean;
+	limitMaxLength?: boolean;
+	keepIDDPrefix?: boolean;
+	initialValueFormat?: 'national';
+	allowedNumberTypes?: Exclude<NumberType, undefined>[];
+	focusInputOnCountrySelection?: boolean;
+	withExtension?: boolean;
+	extension?: string;
+	onExtensionChange?(extension?: string): void;
+	reset?: any;
+	metadata?: Metadata;
+}
+
+interface CountrySelectOption {
+	value?: Country | NonGeographicCountry;
+	label: string;
+	divider?: boolean;
+	group?: string;
+}
+
+// `UsePhoneInputWithCountryResult` is imported in `/core/index.d.ts`.
+export interface UsePhoneInputWithCountryResult {
+	country?: Country | NonGeographicCountry;
+	ambiguousCountries?: Country[];
+	setCountry(country?: Country | NonGeographicCountry): void;
+	phoneDigits?: string;
+	setPhoneDigits(phoneDigits?: string): void;
+	value?: Value;
+	extension?: string;
+	setExtension(extension?: string): void;
+	reset(): void;
+	options: CountrySelectOption[];
+	inputProps: {
+		ref: React.RefObject<HTMLInputElement>;
+		type: 'tel';
+		autoComplete: string;
+		value: string;
+		onChange(event: React.ChangeEvent<HTMLInputElement>): void;
+		onPaste(event: React.ClipboardEvent<HTMLInputElement>): void;
+	};
+	countrySelectProps: {
+		'aria-label'?: string;
+		value?: Country | NonGeographicCountry;
+		ambiguousCountries?: Country[];
+		onChange(country?: Country | NonGeographicCountry): void;
+		options: CountrySelectOption[];
+	};
+}
+
+export function usePhoneInputWithCountry(parameters: UsePhoneInputWithCountryParameters): UsePhoneInputWithCountryResult;
+
+// `DetectCountryOptions` are imported in `/core/index.d.ts`.
+export interface DetectCountryOptions {
+	countries?: Country[];
+	languages?: readonly string[];
+	timeZone?: string;
+}
+
+export function detectCountry(options?: DetectCountryOptions): Country | undefined;
+
+// Creates an in-memory `recentCountriesStorage`.
+export function createInMemoryStorage(): RecentCountriesStorage;
+
 export function formatPhoneNumber(value: Value): string;
 export function formatPhoneNumberIntl(value: Value): string;
 
@@ -6,6 +6,9 @@ import * as React from 'react';
 import {
 	Country,
 	Value,
+	Labels,
+	ChangeDetails,
+	ValueMigration,
 	DefaultInputComponentProps
 } from '../index.d';
 
@@ -18,25 +21,34 @@ type FeaturePropsWithoutSmartCaret<InputComponentProps> = Omit<InputComponentPro
 	defaultCountry?: Country;
 	inputComponent?: InputComponent<InputComponentProps>;
 	useNationalFormatForDefaultCountryValue?: boolean;
+	valueFormat?: 'lenient';
+	onValueMigration?(migration: ValueMigration): void;
 }
 
 // `PropsWithoutSmartCaret` are imported in:
 // * `/react-native/index.d.ts`.
 export type PropsWithoutSmartCaret<InputComponentProps> = FeaturePropsWithoutSmartCaret<InputComponentProps> & {
 	value?: Value;
-	onChange(value?: Value): void;
+	onChange(value?: Value, details?: ChangeDetails): void;
+	withChangeDetails?: boolean;
 }
 
 // `FeatureProps` are imported in:
 // * `/react-hook-form-input/index.d.ts`.
 export type FeatureProps<InputComponentProps> = FeaturePropsWithoutSmartCaret<InputComponentProps> & {
 	smartCaret?: boolean;
+	formatOnBlur?: boolean | 'national';
+	nativeValidation?: boolean;
+	labels?: Labels;
 }
 
 // `Props` are imported in:
 // * `/input-core/index.d.ts`
 export type Props<InputComponentProps> = PropsWithoutSmartCaret<InputComponentProps> & {
 	smartCaret?: boolean;
+	formatOnBlur?: boolean | 'national';
+	nativeValidation?: boolean;
+	labels?: Labels;
 }
 
 type PhoneInputComponentType<InputComponentProps = DefaultInputComponentProps> = (props: Props<InputComponentProps>) => JSX.Element;
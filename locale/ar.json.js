@@ -2,6 +2,29 @@ export default {
   "ext": "مفتاح.",
   "country": "الدولة",
   "phone": "رقم الهاتف",
+  "TOO_SHORT": "رقم الهاتف قصير جدًا",
+  "TOO_LONG": "رقم الهاتف طويل جدًا",
+  "INVALID_LENGTH": "طول رقم الهاتف غير صالح",
+  "INVALID_COUNTRY": "رمز الاتصال الدولي غير صالح",
+  "NOT_A_NUMBER": "ليس رقم هاتف",
+  "INVALID_NUMBER": "رقم الهاتف غير صالح",
+  "INVALID_TYPE": "نوع رقم الهاتف هذا غير مسموح به",
+  "recent": "الأخيرة",
+  "suggested": "المقترحة",
+  "africa": "أفريقيا",
+  "americas": "الأمريكتان",
+  "asia": "آسيا",
+  "europe": "أوروبا",
+  "oceania": "أوقيانوسيا",
+  "+800": "الهاتف المجاني الدولي",
+  "+808": "خدمة التكلفة المشتركة الدولية",
+  "+870": "إنمارسات",
+  "+878": "الاتصالات الشخصية العالمية",
+  "+881": "النظام العالمي للاتصالات المتنقلة عبر الأقمار الصناعية",
+  "+882": "الشبكات الدولية (+882)",
+  "+883": "الشبكات الدولية (+883)",
+  "+888": "الاتصالات للإغاثة في حالات الكوارث",
+  "+979": "خدمة الأسعار المميزة الدولية",
   "AB": "أبخازيا",
   "AC": "جزيرة أسنسيون",
   "AD": "أندورا",
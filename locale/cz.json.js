@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Stát",
   "phone": "Telefon",
+  "TOO_SHORT": "Telefonní číslo je příliš krátké",
+  "TOO_LONG": "Telefonní číslo je příliš dlouhé",
+  "INVALID_LENGTH": "Telefonní číslo má neplatnou délku",
+  "INVALID_COUNTRY": "Neplatná mezinárodní předvolba",
+  "NOT_A_NUMBER": "Toto není telefonní číslo",
+  "INVALID_NUMBER": "Neplatné telefonní číslo",
+  "INVALID_TYPE": "Tento typ telefonního čísla není povolen",
+  "recent": "Nedávné",
+  "suggested": "Doporučené",
+  "africa": "Afrika",
+  "americas": "Amerika",
+  "asia": "Asie",
+  "europe": "Evropa",
+  "oceania": "Oceánie",
+  "+800": "Mezinárodní bezplatná linka",
+  "+808": "Mezinárodní služba se sdílenými náklady",
+  "+870": "Inmarsat",
+  "+878": "Univerzální osobní telekomunikace",
+  "+881": "Globální mobilní satelitní systém",
+  "+882": "Mezinárodní sítě (+882)",
+  "+883": "Mezinárodní sítě (+883)",
+  "+888": "Telekomunikace pro pomoc při katastrofách",
+  "+979": "Mezinárodní služba se zvýšenou sazbou",
   "AB": "Abcházie",
   "AC": "Ostrov Ascension",
   "AD": "Andorra",
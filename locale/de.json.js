@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Land der Telefonnummer",
   "phone": "Telefon",
+  "TOO_SHORT": "Die Telefonnummer ist zu kurz",
+  "TOO_LONG": "Die Telefonnummer ist zu lang",
+  "INVALID_LENGTH": "Die Telefonnummer hat eine ungültige Länge",
+  "INVALID_COUNTRY": "Ungültige Landesvorwahl",
+  "NOT_A_NUMBER": "Keine Telefonnummer",
+  "INVALID_NUMBER": "Ungültige Telefonnummer",
+  "INVALID_TYPE": "Diese Art von Telefonnummer ist nicht zulässig",
+  "recent": "Zuletzt verwendet",
+  "suggested": "Vorgeschlagen",
+  "africa": "Afrika",
+  "americas": "Amerika",
+  "asia": "Asien",
+  "europe": "Europa",
+  "oceania": "Ozeanien",
+  "+800": "Internationale gebührenfreie Nummer",
+  "+808": "Internationaler Shared-Cost-Dienst",
+  "+870": "Inmarsat",
+  "+878": "Universelle persönliche Telekommunikation",
+  "+881": "Globales mobiles Satellitensystem",
+  "+882": "Internationale Netzwerke (+882)",
+  "+883": "Internationale Netzwerke (+883)",
+  "+888": "Telekommunikation für Katastrophenhilfe",
+  "+979": "Internationaler Premium-Rate-Dienst",
   "AB": "Abkhazia",
   "AC": "Ascension",
   "AD": "Andorra",
@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Τη χώρα τηλεφώνου",
   "phone": "Tηλέφωνο",
+  "TOO_SHORT": "Ο αριθμός τηλεφώνου είναι πολύ σύντομος",
+  "TOO_LONG": "Ο αριθμός τηλεφώνου είναι πολύ μεγάλος",
+  "INVALID_LENGTH": "Ο αριθμός τηλεφώνου έχει μη έγκυρο μήκος",
+  "INVALID_COUNTRY": "Μη έγκυρος κωδικός χώρας",
+  "NOT_A_NUMBER": "Δεν είναι αριθμός τηλεφώνου",
+  "INVALID_NUMBER": "Μη έγκυρος αριθμός τηλεφώνου",
+  "INVALID_TYPE": "Αυτός ο τύπος αριθμού τηλεφώνου δεν επιτρέπεται",
+  "recent": "Πρόσφατες",
+  "suggested": "Προτεινόμενες",
+  "africa": "Αφρική",
+  "americas": "Αμερική",
+  "asia": "Ασία",
+  "europe": "Ευρώπη",
+  "oceania": "Ωκεανία",
+  "+800": "Διεθνής δωρεάν κλήση",
+  "+808": "Διεθνής υπηρεσία επιμερισμένου κόστους",
+  "+870": "Inmarsat",
+  "+878": "Καθολικές προσωπικές τηλεπικοινωνίες",
+  "+881": "Παγκόσμιο κινητό δορυφορικό σύστημα",
+  "+882": "Διεθνή δίκτυα (+882)",
+  "+883": "Διεθνή δίκτυα (+883)",
+  "+888": "Τηλεπικοινωνίες για την αντιμετώπιση καταστροφών",
+  "+979": "Διεθνής υπηρεσία πρόσθετης χρέωσης",
   "AB": "Αμπχαζία",
   "AC": "Νησί της αναλήψεως",
   "AD": "Ανδόρα",
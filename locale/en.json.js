@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Phone number country",
   "phone": "Phone",
+  "TOO_SHORT": "The phone number is too short",
+  "TOO_LONG": "The phone number is too long",
+  "INVALID_LENGTH": "The phone number has an invalid length",
+  "INVALID_COUNTRY": "Invalid country calling code",
+  "NOT_A_NUMBER": "Not a phone number",
+  "INVALID_NUMBER": "Invalid phone number",
+  "INVALID_TYPE": "This type of phone number is not allowed",
+  "recent": "Recent",
+  "suggested": "Suggested",
+  "africa": "Africa",
+  "americas": "Americas",
+  "asia": "Asia",
+  "europe": "Europe",
+  "oceania": "Oceania",
+  "+800": "International Freephone",
+  "+808": "International Shared Cost Service",
+  "+870": "Inmarsat",
+  "+878": "Universal Personal Telecommunications",
+  "+881": "Global Mobile Satellite System",
+  "+882": "International Networks (+882)",
+  "+883": "International Networks (+883)",
+  "+888": "Telecommunications for Disaster Relief",
+  "+979": "International Premium Rate Service",
   "AB": "Abkhazia",
   "AC": "Ascension Island",
   "AD": "Andorra",
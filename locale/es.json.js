@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Número de teléfono del país",
   "phone": "Teléfono",
+  "TOO_SHORT": "El número de teléfono es demasiado corto",
+  "TOO_LONG": "El número de teléfono es demasiado largo",
+  "INVALID_LENGTH": "El número de teléfono tiene una longitud no válida",
+  "INVALID_COUNTRY": "Código de país no válido",
+  "NOT_A_NUMBER": "No es un número de teléfono",
+  "INVALID_NUMBER": "Número de teléfono no válido",
+  "INVALID_TYPE": "Este tipo de número de teléfono no está permitido",
+  "recent": "Recientes",
+  "suggested": "Sugeridos",
+  "africa": "África",
+  "americas": "América",
+  "asia": "Asia",
+  "europe": "Europa",
+  "oceania": "Oceanía",
+  "+800": "Llamada gratuita internacional",
+  "+808": "Servicio internacional de costo compartido",
+  "+870": "Inmarsat",
+  "+878": "Telecomunicaciones personales universales",
+  "+881": "Sistema mundial de comunicaciones móviles por satélite",
+  "+882": "Redes internacionales (+882)",
+  "+883": "Redes internacionales (+883)",
+  "+888": "Telecomunicaciones para socorro en casos de desastre",
+  "+979": "Servicio internacional de tarificación adicional",
   "AB": "Abjasia",
   "AC": "Isla Ascensión",
   "AD": "Andorra",
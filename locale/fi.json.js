@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Maa",
   "phone": "Puhelinnumero",
+  "TOO_SHORT": "Puhelinnumero on liian lyhyt",
+  "TOO_LONG": "Puhelinnumero on liian pitkä",
+  "INVALID_LENGTH": "Puhelinnumeron pituus on virheellinen",
+  "INVALID_COUNTRY": "Virheellinen maatunnus",
+  "NOT_A_NUMBER": "Ei puhelinnumero",
+  "INVALID_NUMBER": "Virheellinen puhelinnumero",
+  "INVALID_TYPE": "Tämäntyyppinen puhelinnumero ei ole sallittu",
+  "recent": "Viimeisimmät",
+  "suggested": "Ehdotetut",
+  "africa": "Afrikka",
+  "americas": "Amerikka",
+  "asia": "Aasia",
+  "europe": "Eurooppa",
+  "oceania": "Oseania",
+  "+800": "Kansainvälinen maksuton numero",
+  "+808": "Kansainvälinen jaetun kustannuksen palvelu",
+  "+870": "Inmarsat",
+  "+878": "Yleinen henkilökohtainen tietoliikenne",
+  "+881": "Maailmanlaajuinen mobiili satelliittijärjestelmä",
+  "+882": "Kansainväliset verkot (+882)",
+  "+883": "Kansainväliset verkot (+883)",
+  "+888": "Televiestintä katastrofiapua varten",
+  "+979": "Kansainvälinen lisämaksullinen palvelu",
   "AB": "Abhasia",
   "AC": "Ascension",
   "AD": "Andorra",
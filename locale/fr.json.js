@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Numéro de téléphone pays",
   "phone": "Téléphone",
+  "TOO_SHORT": "Le numéro de téléphone est trop court",
+  "TOO_LONG": "Le numéro de téléphone est trop long",
+  "INVALID_LENGTH": "La longueur du numéro de téléphone n'est pas valide",
+  "INVALID_COUNTRY": "Indicatif pays non valide",
+  "NOT_A_NUMBER": "Ce n'est pas un numéro de téléphone",
+  "INVALID_NUMBER": "Numéro de téléphone non valide",
+  "INVALID_TYPE": "Ce type de numéro de téléphone n'est pas autorisé",
+  "recent": "Récents",
+  "suggested": "Suggérés",
+  "africa": "Afrique",
+  "americas": "Amériques",
+  "asia": "Asie",
+  "europe": "Europe",
+  "oceania": "Océanie",
+  "+800": "Numéro gratuit international",
+  "+808": "Service international à coûts partagés",
+  "+870": "Inmarsat",
+  "+878": "Télécommunications personnelles universelles",
+  "+881": "Système mondial de communications mobiles par satellite",
+  "+882": "Réseaux internationaux (+882)",
+  "+883": "Réseaux internationaux (+883)",
+  "+888": "Télécommunications pour les secours en cas de catastrophe",
+  "+979": "Service international à taux majoré",
   "AB": "Abkhazie",
   "AC": "Ascension, Île de l'",
   "AD": "Andorre",
@@ -2,6 +2,29 @@ export default {
   "ext": "שלוחה",
   "country": "ארץ מספר טלפון",
   "phone": "טלפון",
+  "TOO_SHORT": "מספר הטלפון קצר מדי",
+  "TOO_LONG": "מספר הטלפון ארוך מדי",
+  "INVALID_LENGTH": "אורך מספר הטלפון אינו תקין",
+  "INVALID_COUNTRY": "קידומת מדינה לא תקינה",
+  "NOT_A_NUMBER": "זה אינו מספר טלפון",
+  "INVALID_NUMBER": "מספר טלפון לא תקין",
+  "INVALID_TYPE": "סוג מספר טלפון זה אינו מותר",
+  "recent": "אחרונות",
+  "suggested": "מוצעות",
+  "africa": "אפריקה",
+  "americas": "אמריקה",
+  "asia": "אסיה",
+  "europe": "אירופה",
+  "oceania": "אוקיאניה",
+  "+800": "שיחת חינם בינלאומית",
+  "+808": "שירות בינלאומי בעלות משותפת",
+  "+870": "אינמרסאט",
+  "+878": "תקשורת אישית אוניברסלית",
+  "+881": "מערכת לוויינית ניידת גלובלית",
+  "+882": "רשתות בינלאומיות (+882)",
+  "+883": "רשתות בינלאומיות (+883)",
+  "+888": "תקשורת לסיוע באסונות",
+  "+979": "שירות בינלאומי בתעריף פרימיום",
   "AB": "אבחזיה",
   "AC": "אי אסנסיון",
   "AD": "אנדורה",
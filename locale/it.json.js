@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Paese del numero di telefono",
   "phone": "Telefono",
+  "TOO_SHORT": "Il numero di telefono è troppo corto",
+  "TOO_LONG": "Il numero di telefono è troppo lungo",
+  "INVALID_LENGTH": "Il numero di telefono ha una lunghezza non valida",
+  "INVALID_COUNTRY": "Prefisso internazionale non valido",
+  "NOT_A_NUMBER": "Non è un numero di telefono",
+  "INVALID_NUMBER": "Numero di telefono non valido",
+  "INVALID_TYPE": "Questo tipo di numero di telefono non è consentito",
+  "recent": "Recenti",
+  "suggested": "Suggeriti",
+  "africa": "Africa",
+  "americas": "Americhe",
+  "asia": "Asia",
+  "europe": "Europa",
+  "oceania": "Oceania",
+  "+800": "Numero verde internazionale",
+  "+808": "Servizio internazionale a costo condiviso",
+  "+870": "Inmarsat",
+  "+878": "Telecomunicazioni personali universali",
+  "+881": "Sistema satellitare mobile globale",
+  "+882": "Reti internazionali (+882)",
+  "+883": "Reti internazionali (+883)",
+  "+888": "Telecomunicazioni per i soccorsi in caso di calamità",
+  "+979": "Servizio internazionale a tariffa maggiorata",
   "AB": "Abkhazia",
   "AC": "Ascension Island",
   "AD": "Andorra",
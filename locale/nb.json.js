@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Telefonnummer land",
   "phone": "Telefon",
+  "TOO_SHORT": "Telefonnummeret er for kort",
+  "TOO_LONG": "Telefonnummeret er for langt",
+  "INVALID_LENGTH": "Telefonnummeret har ugyldig lengde",
+  "INVALID_COUNTRY": "Ugyldig landskode",
+  "NOT_A_NUMBER": "Ikke et telefonnummer",
+  "INVALID_NUMBER": "Ugyldig telefonnummer",
+  "INVALID_TYPE": "Denne typen telefonnummer er ikke tillatt",
+  "recent": "Nylige",
+  "suggested": "Foreslåtte",
+  "africa": "Afrika",
+  "americas": "Amerika",
+  "asia": "Asia",
+  "europe": "Europa",
+  "oceania": "Oseania",
+  "+800": "Internasjonalt gratisnummer",
+  "+808": "Internasjonal tjeneste med delt kostnad",
+  "+870": "Inmarsat",
+  "+878": "Universell personlig telekommunikasjon",
+  "+881": "Globalt mobilt satellittsystem",
+  "+882": "Internasjonale nettverk (+882)",
+  "+883": "Internasjonale nettverk (+883)",
+  "+888": "Telekommunikasjon for katastrofehjelp",
+  "+979": "Internasjonal overtakserttjeneste",
   "AB": "Abkhasia",
   "AC": "Ascension Island",
   "AD": "Andorra",
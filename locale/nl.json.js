@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Land telefoonnummer",
   "phone": "Telefoon",
+  "TOO_SHORT": "Het telefoonnummer is te kort",
+  "TOO_LONG": "Het telefoonnummer is te lang",
+  "INVALID_LENGTH": "Het telefoonnummer heeft een ongeldige lengte",
+  "INVALID_COUNTRY": "Ongeldige landcode",
+  "NOT_A_NUMBER": "Geen telefoonnummer",
+  "INVALID_NUMBER": "Ongeldig telefoonnummer",
+  "INVALID_TYPE": "Dit type telefoonnummer is niet toegestaan",
+  "recent": "Recent",
+  "suggested": "Voorgesteld",
+  "africa": "Afrika",
+  "americas": "Amerika",
+  "asia": "Azië",
+  "europe": "Europa",
+  "oceania": "Oceanië",
+  "+800": "Internationaal gratis nummer",
+  "+808": "Internationale dienst met gedeelde kosten",
+  "+870": "Inmarsat",
+  "+878": "Universele persoonlijke telecommunicatie",
+  "+881": "Wereldwijd mobiel satellietsysteem",
+  "+882": "Internationale netwerken (+882)",
+  "+883": "Internationale netwerken (+883)",
+  "+888": "Telecommunicatie voor rampenbestrijding",
+  "+979": "Internationale betaalnummerdienst",
   "AB": "Abchazië",
   "AC": "Ascension Eiland",
   "AD": "Andorra",
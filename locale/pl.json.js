@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Kraj numeru telefonu",
   "phone": "Telefon",
+  "TOO_SHORT": "Numer telefonu jest za krótki",
+  "TOO_LONG": "Numer telefonu jest za długi",
+  "INVALID_LENGTH": "Numer telefonu ma nieprawidłową długość",
+  "INVALID_COUNTRY": "Nieprawidłowy numer kierunkowy kraju",
+  "NOT_A_NUMBER": "To nie jest numer telefonu",
+  "INVALID_NUMBER": "Nieprawidłowy numer telefonu",
+  "INVALID_TYPE": "Ten rodzaj numeru telefonu jest niedozwolony",
+  "recent": "Ostatnie",
+  "suggested": "Sugerowane",
+  "africa": "Afryka",
+  "americas": "Ameryka",
+  "asia": "Azja",
+  "europe": "Europa",
+  "oceania": "Oceania",
+  "+800": "Międzynarodowy numer bezpłatny",
+  "+808": "Międzynarodowa usługa o współdzielonym koszcie",
+  "+870": "Inmarsat",
+  "+878": "Uniwersalna telekomunikacja osobista",
+  "+881": "Globalny mobilny system satelitarny",
+  "+882": "Sieci międzynarodowe (+882)",
+  "+883": "Sieci międzynarodowe (+883)",
+  "+888": "Telekomunikacja na potrzeby pomocy w przypadku katastrof",
+  "+979": "Międzynarodowa usługa o podwyższonej opłacie",
   "AB": "Abchazja",
   "AC": "Wyspa Wniebowstąpienia",
   "AD": "Andora",
@@ -2,6 +2,29 @@ export default {
   "ext": "ext",
   "country": "País do número de telefone",
   "phone": "Telefone",
+  "TOO_SHORT": "O número de telefone é demasiado curto",
+  "TOO_LONG": "O número de telefone é demasiado longo",
+  "INVALID_LENGTH": "O número de telefone tem um comprimento inválido",
+  "INVALID_COUNTRY": "Indicativo de país inválido",
+  "NOT_A_NUMBER": "Não é um número de telefone",
+  "INVALID_NUMBER": "Número de telefone inválido",
+  "INVALID_TYPE": "Este tipo de número de telefone não é permitido",
+  "recent": "Recentes",
+  "suggested": "Sugeridos",
+  "africa": "África",
+  "americas": "Américas",
+  "asia": "Ásia",
+  "europe": "Europa",
+  "oceania": "Oceânia",
+  "+800": "Chamada gratuita internacional",
+  "+808": "Serviço internacional de custo partilhado",
+  "+870": "Inmarsat",
+  "+878": "Telecomunicações pessoais universais",
+  "+881": "Sistema global de comunicações móveis por satélite",
+  "+882": "Redes internacionais (+882)",
+  "+883": "Redes internacionais (+883)",
+  "+888": "Telecomunicações para socorro em catástrofes",
+  "+979": "Serviço internacional de tarifa majorada",
   "AB": "Abkhazia",
   "AC": "Ilha da Ascensão",
   "AD": "Andorra",
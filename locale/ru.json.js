@@ -2,6 +2,29 @@ export default {
   "ext": "доб.",
   "country": "Страна номера телефона",
   "phone": "Телефон",
+  "TOO_SHORT": "Номер телефона слишком короткий",
+  "TOO_LONG": "Номер телефона слишком длинный",
+  "INVALID_LENGTH": "Номер телефона имеет недопустимую длину",
+  "INVALID_COUNTRY": "Неверный код страны",
+  "NOT_A_NUMBER": "Это не номер телефона",
+  "INVALID_NUMBER": "Неверный номер телефона",
+  "INVALID_TYPE": "Этот тип номера телефона не разрешён",
+  "recent": "Недавние",
+  "suggested": "Рекомендуемые",
+  "africa": "Африка",
+  "americas": "Америка",
+  "asia": "Азия",
+  "europe": "Европа",
+  "oceania": "Океания",
+  "+800": "Международный бесплатный номер",
+  "+808": "Международная услуга с разделением стоимости",
+  "+870": "Инмарсат",
+  "+878": "Универсальная персональная связь",
+  "+881": "Глобальная мобильная спутниковая система",
+  "+882": "Международные сети (+882)",
+  "+883": "Международные сети (+883)",
+  "+888": "Связь для помощи при бедствиях",
+  "+979": "Международная платная услуга",
   "AB": "Абхазия",
   "AC": "Остров Вознесения",
   "AD": "Андорра",
@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Štát",
   "phone": "Telefón",
+  "TOO_SHORT": "Telefónne číslo je príliš krátke",
+  "TOO_LONG": "Telefónne číslo je príliš dlhé",
+  "INVALID_LENGTH": "Telefónne číslo má neplatnú dĺžku",
+  "INVALID_COUNTRY": "Neplatná medzinárodná predvoľba",
+  "NOT_A_NUMBER": "Toto nie je telefónne číslo",
+  "INVALID_NUMBER": "Neplatné telefónne číslo",
+  "INVALID_TYPE": "Tento typ telefónneho čísla nie je povolený",
+  "recent": "Nedávne",
+  "suggested": "Odporúčané",
+  "africa": "Afrika",
+  "americas": "Amerika",
+  "asia": "Ázia",
+  "europe": "Európa",
+  "oceania": "Oceánia",
+  "+800": "Medzinárodná bezplatná linka",
+  "+808": "Medzinárodná služba so zdieľanými nákladmi",
+  "+870": "Inmarsat",
+  "+878": "Univerzálne osobné telekomunikácie",
+  "+881": "Globálny mobilný satelitný systém",
+  "+882": "Medzinárodné siete (+882)",
+  "+883": "Medzinárodné siete (+883)",
+  "+888": "Telekomunikácie na pomoc pri katastrofách",
+  "+979": "Medzinárodná služba so zvýšenou sadzbou",
   "AB": "Abcházsko",
   "AC": "Ostrov Ascension",
   "AD": "Andorra",
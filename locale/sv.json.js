@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Land",
   "phone": "Telefonnummer",
+  "TOO_SHORT": "Telefonnumret är för kort",
+  "TOO_LONG": "Telefonnumret är för långt",
+  "INVALID_LENGTH": "Telefonnumret har ogiltig längd",
+  "INVALID_COUNTRY": "Ogiltig landskod",
+  "NOT_A_NUMBER": "Inte ett telefonnummer",
+  "INVALID_NUMBER": "Ogiltigt telefonnummer",
+  "INVALID_TYPE": "Den här typen av telefonnummer är inte tillåten",
+  "recent": "Senaste",
+  "suggested": "Föreslagna",
+  "africa": "Afrika",
+  "americas": "Amerika",
+  "asia": "Asien",
+  "europe": "Europa",
+  "oceania": "Oceanien",
+  "+800": "Internationellt frinummer",
+  "+808": "Internationell tjänst med delad kostnad",
+  "+870": "Inmarsat",
+  "+878": "Universell personlig telekommunikation",
+  "+881": "Globalt mobilt satellitsystem",
+  "+882": "Internationella nätverk (+882)",
+  "+883": "Internationella nätverk (+883)",
+  "+888": "Telekommunikation för katastrofhjälp",
+  "+979": "Internationell betalnummertjänst",
   "AB": "Abchazien",
   "AC": "Ascension",
   "AD": "Andorra",
@@ -2,6 +2,29 @@ export default {
   "ext": "dahili",
   "country": "Ülke telefon numarası",
   "phone": "Telefon",
+  "TOO_SHORT": "Telefon numarası çok kısa",
+  "TOO_LONG": "Telefon numarası çok uzun",
+  "INVALID_LENGTH": "Telefon numarasının uzunluğu geçersiz",
+  "INVALID_COUNTRY": "Geçersiz ülke kodu",
+  "NOT_A_NUMBER": "Telefon numarası değil",
+  "INVALID_NUMBER": "Geçersiz telefon numarası",
+  "INVALID_TYPE": "Bu tür telefon numarasına izin verilmiyor",
+  "recent": "Son kullanılanlar",
+  "suggested": "Önerilenler",
+  "africa": "Afrika",
+  "americas": "Amerika",
+  "asia": "Asya",
+  "europe": "Avrupa",
+  "oceania": "Okyanusya",
+  "+800": "Uluslararası ücretsiz hat",
+  "+808": "Uluslararası ortak maliyetli hizmet",
+  "+870": "Inmarsat",
+  "+878": "Evrensel kişisel telekomünikasyon",
+  "+881": "Küresel mobil uydu sistemi",
+  "+882": "Uluslararası ağlar (+882)",
+  "+883": "Uluslararası ağlar (+883)",
+  "+888": "Afet yardımı için telekomünikasyon",
+  "+979": "Uluslararası özel ücretli hizmet",
   "AB": "Abhazya",
   "AC": "Yükseliş Adası",
   "AD": "Andorra",
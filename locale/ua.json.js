@@ -2,6 +2,29 @@ export default {
   "ext": "дод.",
   "country": "Країна",
   "phone": "Телефон",
+  "TOO_SHORT": "Номер телефону занадто короткий",
+  "TOO_LONG": "Номер телефону занадто довгий",
+  "INVALID_LENGTH": "Номер телефону має недопустиму довжину",
+  "INVALID_COUNTRY": "Невірний код країни",
+  "NOT_A_NUMBER": "Це не номер телефону",
+  "INVALID_NUMBER": "Невірний номер телефону",
+  "INVALID_TYPE": "Цей тип номера телефону не дозволено",
+  "recent": "Нещодавні",
+  "suggested": "Рекомендовані",
+  "africa": "Африка",
+  "americas": "Америка",
+  "asia": "Азія",
+  "europe": "Європа",
+  "oceania": "Океанія",
+  "+800": "Міжнародний безкоштовний номер",
+  "+808": "Міжнародна послуга з розподілом вартості",
+  "+870": "Інмарсат",
+  "+878": "Універсальний персональний зв'язок",
+  "+881": "Глобальна мобільна супутникова система",
+  "+882": "Міжнародні мережі (+882)",
+  "+883": "Міжнародні мережі (+883)",
+  "+888": "Зв'язок для допомоги під час лих",
+  "+979": "Міжнародна платна послуга",
   "AB": "Абхазія",
   "AC": "Острів Вознесіння",
   "AD": "Андорра",
@@ -2,6 +2,29 @@ export default {
   "ext": "ext.",
   "country": "Số điện thoại quốc gia",
   "phone": "Điện thoại",
+  "TOO_SHORT": "Số điện thoại quá ngắn",
+  "TOO_LONG": "Số điện thoại quá dài",
+  "INVALID_LENGTH": "Độ dài số điện thoại không hợp lệ",
+  "INVALID_COUNTRY": "Mã quốc gia không hợp lệ",
+  "NOT_A_NUMBER": "Không phải là số điện thoại",
+  "INVALID_NUMBER": "Số điện thoại không hợp lệ",
+  "INVALID_TYPE": "Loại số điện thoại này không được phép",
+  "recent": "Gần đây",
+  "suggested": "Đề xuất",
+  "africa": "Châu Phi",
+  "americas": "Châu Mỹ",
+  "asia": "Châu Á",
+  "europe": "Châu Âu",
+  "oceania": "Châu Đại Dương",
+  "+800": "Số miễn phí quốc tế",
+  "+808": "Dịch vụ chia sẻ chi phí quốc tế",
+  "+870": "Inmarsat",
+  "+878": "Viễn thông cá nhân toàn cầu",
+  "+881": "Hệ thống vệ tinh di động toàn cầu",
+  "+882": "Mạng quốc tế (+882)",
+  "+883": "Mạng quốc tế (+883)",
+  "+888": "Viễn thông cứu trợ thiên tai",
+  "+979": "Dịch vụ giá cước đặc biệt quốc tế",
   "AB": "Abkhazia",
   "AC": "Đảo Ascension",
   "AD": "Andorra",
@@ -8,6 +8,7 @@
 var metadata = require('libphonenumber-js/max/metadata')
 var core = require('../core/index.cjs')
 var createPhoneInput = require('../commonjs/PhoneInputWithCountryDefault.js').createPhoneInput
+var createUsePhoneInputWithCountry = require('../commonjs/PhoneInputWithCountryDefault.js').createUsePhoneInputWithCountry
 
 function call(func, _arguments) {
 	var args = Array.prototype.slice.call(_arguments)
@@ -19,6 +20,8 @@ var PhoneInput = createPhoneInput(metadata)
 
 exports = module.exports = PhoneInput
 
+exports.usePhoneInputWithCountry = createUsePhoneInputWithCountry(metadata)
+
 exports.parsePhoneNumber = function parsePhoneNumber() {
 	return call(core.parsePhoneNumber, arguments)
 }
@@ -51,4 +54,10 @@ exports.isSupportedCountry = function isSupportedCountry() {
 	return call(core.isSupportedCountry, arguments)
 }
 
+exports.detectCountry = function detectCountry(options) {
+	return core.detectCountry(options, metadata)
+}
+
+exports.createInMemoryStorage = core.createInMemoryStorage
+
 exports['default'] = PhoneInput
\ No newline at end of file
@@ -8,6 +8,10 @@ export {
 	getCountryCallingCode,
 	getCountries,
 	isSupportedCountry,
+	usePhoneInputWithCountry,
+	detectCountry,
+	createInMemoryStorage,
 	Country,
+	NonGeographicCountry,
 	Value
 } from '../index.d';
\ No newline at end of file
@@ -8,10 +8,14 @@ import {
 	isPossiblePhoneNumber as _isPossiblePhoneNumber,
 	getCountries as _getCountries,
 	getCountryCallingCode as _getCountryCallingCode,
-	isSupportedCountry as _isSupportedCountry
+	isSupportedCountry as _isSupportedCountry,
+	detectCountry as _detectCountry
 } from '../core/index.js'
 
-import { createPhoneInput } from '../modules/PhoneInputWithCountryDefault.js'
+import {
+	createPhoneInput,
+	createUsePhoneInputWithCountry
+} from '../modules/PhoneInputWithCountryDefault.js'
 
 function call(func, _arguments) {
 	var args = Array.prototype.slice.call(_arguments)
@@ -21,6 +25,8 @@ function call(func, _arguments) {
 
 export default createPhoneInput(metadata)
 
+export const usePhoneInputWithCountry = createUsePhoneInputWithCountry(metadata)
+
 export function parsePhoneNumber() {
 	return call(_parsePhoneNumber, arguments)
 }
@@ -51,4 +57,10 @@ export function getCountryCallingCode() {
 
 export function isSupportedCountry() {
 	return call(_isSupportedCountry, arguments)
-}
\ No newline at end of file
+}
+
+export function detectCountry(options) {
+	return _detectCountry(options, metadata)
+}
+
+export { createInMemoryStorage } from '../core/index.js'
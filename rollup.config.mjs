@@ -5,7 +5,29 @@ import { terser } from 'rollup-plugin-terser'
 
 const resolveModules = resolve()
 
+const EXAMPLE_PHONE_NUMBERS_MODULE = 'libphonenumber-js/examples.mobile'
+
+// Example phone numbers are loaded via a dynamic `import()`
+// which can't be split into a separate chunk in a UMD bundle,
+// so they'd have to be included in every bundle.
+// Instead, they're replaced with "no" example phone numbers,
+// i.e. `placeholder="example"` doesn't show any example phone number in UMD bundles.
+const noExamplePhoneNumbers = {
+  name: 'no-example-phone-numbers',
+  resolveId(id) {
+    if (id === EXAMPLE_PHONE_NUMBERS_MODULE) {
+      return id
+    }
+  },
+  load(id) {
+    if (id === EXAMPLE_PHONE_NUMBERS_MODULE) {
+      return 'export default undefined'
+    }
+  }
+}
+
 const COMMON_PLUGINS = [
+  noExamplePhoneNumbers,
   resolveModules,
   commonjs(),
   json(),
@@ -17,6 +39,9 @@ const COMMON_OUTPUT = {
   name: 'PhoneInput',
   sourcemap: true,
   exports: 'named',
+  // The dynamic `import()` of (no) example phone numbers can't be split
+  // into a separate chunk in a UMD bundle.
+  inlineDynamicImports: true,
   globals: {
     'react': 'React',
     'prop-types': 'PropTypes'
@@ -0,0 +1,24 @@
+// Functions used by `generate-flag-sprite` script.
+
+const SVG_REG_EXP = /^<svg([^>]*)>([\s\S]*)<\/svg>$/
+const VIEW_BOX_REG_EXP = /\sviewBox="([^"]+)"/
+
+/**
+ * Creates an SVG sprite sheet containing country flag icons as `<symbol/>`s
+ * having two-letter country codes as their `id`s.
+ * Such flags could then be referenced as `<use href="flags.svg#US"/>`.
+ * @param  {object} flags — An object where keys are country codes and values are `<svg/>` markup strings. For example, `country-flag-icons/string/3x2`.
+ * @param  {string[]} countries
+ * @return {string}
+ */
+export function createFlagSprite(flags, countries) {
+	const symbols = countries.map((country) => {
+		if (!flags[country]) {
+			throw new Error(`"${country}" flag not found`)
+		}
+		const [, attributes, contents] = flags[country].trim().match(SVG_REG_EXP)
+		const viewBox = attributes.match(VIEW_BOX_REG_EXP)
+		return `<symbol id="${country}"${viewBox ? ` viewBox="${viewBox[1]}"` : ''}>${contents}</symbol>`
+	})
+	return `<svg xmlns="http://www.w3.org/2000/svg">${symbols.join('')}</svg>`
+}
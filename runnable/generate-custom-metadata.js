@@ -0,0 +1,172 @@
+import fs from 'fs'
+import path from 'path'
+import { createRequire } from 'module'
+
+import { trimMetadata, trimLabels } from './trim-metadata.js'
+import parseArguments from './parse-arguments.js'
+
+// Generates a custom metadata set that only includes the specified countries,
+// along with a trimmed locale labels file and an "entry" module
+// that could be imported instead of `react-phone-number-input/min`.
+//
+// Usage:
+//
+// node runnable/generate-custom-metadata --countries US,CA,GB --type min --locale en --out ./src/phone-input
+//
+// Options:
+//
+// * `--countries` — (required) A comma-separated list of two-letter country codes.
+// * `--type` — Either `min` (default), `max` or `mobile`.
+// * `--locale` — Labels locale. Is `en` by default.
+// * `--out` — Output directory. Is `./custom-phone-number-input` by default.
+// * `--non-geographic` — Include "non-geographic" calling codes like `+800`.
+
+const require = createRequire(import.meta.url)
+
+const METADATA_TYPES = ['min', 'max', 'mobile']
+
+const options = parseArguments(process.argv.slice(2))
+
+if (!options.countries) {
+	throw new Error('"--countries" option is required. Example: "--countries US,CA,GB"')
+}
+
+const type = options.type || 'min'
+if (!METADATA_TYPES.includes(type)) {
+	throw new Error(`Unknown metadata type: ${type}. Supported metadata types: ${METADATA_TYPES.join(', ')}`)
+}
+
+const locale = options.locale || 'en'
+const outputDirectory = path.resolve(options.out || './custom-phone-number-input')
+
+const { name: packageName } = readJsonFromFile(new URL('../package.json', import.meta.url))
+
+const countries = options.countries.split(',').map(_ => _.trim().toUpperCase()).filter(_ => _)
+
+const { metadata, countries: includedCountries } = trimMetadata(
+	readJsonFromFile(require.resolve(`libphonenumber-js/metadata.${type}.json`)),
+	countries,
+	{ nonGeographic: options['non-geographic'] }
+)
+
+const labels = trimLabels(
+	readJsonFromFile(new URL(`../locale/${locale}.json`, import.meta.url)),
+	includedCountries
+)
+
+fs.mkdirSync(outputDirectory, { recursive: true })
+
+// Metadata and labels are written as `export default` modules rather than `*.json` files
+// so that the "entry" module could be imported in native ESM or by strict bundlers
+// that don't support `import`ing JSON files. Same as `locale/*.json.js` files of this package.
+writeFile('metadata.js', 'export default ' + JSON.stringify(metadata))
+writeFile(`${locale}.json.js`, 'export default ' + JSON.stringify(labels, null, 2))
+writeFile('index.js', getEntryModule(packageName, locale))
+writeFile('index.d.ts', getEntryModuleTypeScriptDefinition(packageName))
+
+// "Non-geographic" "countries" like `"+800"` aren't "main" countries.
+const addedCountries = includedCountries.filter(_ => !countries.includes(_) && _[0] !== '+')
+if (addedCountries.length > 0) {
+	console.log(`Also included ${addedCountries.join(', ')} as the "main" countries for the country calling codes of the specified countries.`)
+}
+
+console.log(`Generated custom "${type}" metadata for ${includedCountries.length} countries in ${outputDirectory}`)
+
+function writeFile(name, contents) {
+	fs.writeFileSync(path.join(outputDirectory, name), contents, 'utf8')
+}
+
+function readJsonFromFile(path) {
+	return JSON.parse(fs.readFileSync(path, 'utf8'))
+}
+
+// Mirrors `min/index.js`.
+function getEntryModule(packageName, locale) {
+	return `import metadata from './metadata.js'
+import labels from './${locale}.json.js'
+
+import {
+	createPhoneInput,
+	createUsePhoneInputWithCountry,
+	parsePhoneNumber as _parsePhoneNumber,
+	formatPhoneNumber as _formatPhoneNumber,
+	formatPhoneNumberIntl as _formatPhoneNumberIntl,
+	isValidPhoneNumber as _isValidPhoneNumber,
+	isPossiblePhoneNumber as _isPossiblePhoneNumber,
+	getCountries as _getCountries,
+	getCountryCallingCode as _getCountryCallingCode,
+	isSupportedCountry as _isSupportedCountry,
+	detectCountry as _detectCountry
+} from '${packageName}/core'
+
+export { createInMemoryStorage } from '${packageName}/core'
+
+function call(func, _arguments) {
+	var args = Array.prototype.slice.call(_arguments)
+	args.push(metadata)
+	return func.apply(this, args)
+}
+
+export default createPhoneInput(metadata, labels)
+
+export const usePhoneInputWithCountry = createUsePhoneInputWithCountry(metadata, labels)
+
+export function parsePhoneNumber() {
+	return call(_parsePhoneNumber, arguments)
+}
+
+export function formatPhoneNumber() {
+	return call(_formatPhoneNumber, arguments)
+}
+
+export function formatPhoneNumberIntl() {
+	return call(_formatPhoneNumberIntl, arguments)
+}
+
+export function isValidPhoneNumber() {
+	return call(_isValidPhoneNumber, arguments)
+}
+
+export function isPossiblePhoneNumber() {
+	return call(_isPossiblePhoneNumber, arguments)
+}
+
+export function getCountries() {
+	return call(_getCountries, arguments)
+}
+
+export function getCountryCallingCode() {
+	return call(_getCountryCallingCode, arguments)
+}
+
+export function isSupportedCountry() {
+	return call(_isSupportedCountry, arguments)
+}
+
+export function detectCountry(options) {
+	return _detectCountry(options, metadata)
+}
+`
+}
+
+// Mirrors `min/index.d.ts`.
+function getEntryModuleTypeScriptDefinition(packageName) {
+	return `export {
+	default,
+	parsePhoneNumber,
+	formatPhoneNumber,
+	formatPhoneNumberIntl,
+	isValidPhoneNumber,
+	isPossiblePhoneNumber,
+	getCountryCallingCode,
+	getCountries,
+	isSupportedCountry,
+	usePhoneInputWithCountry,
+	detectCountry,
+	createInMemoryStorage,
+	Country,
+	NonGeographicCountry,
+	Value
+} from '${packageName}';
+`
+}
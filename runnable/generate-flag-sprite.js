@@ -0,0 +1,44 @@
+import fs from 'fs'
+import path from 'path'
+import { getCountries } from 'libphonenumber-js'
+import * as flags3x2 from 'country-flag-icons/string/3x2'
+import * as flags1x1 from 'country-flag-icons/string/1x1'
+
+import { createFlagSprite } from './flag-sprite.js'
+import parseArguments from './parse-arguments.js'
+
+// Generates an SVG sprite sheet with `country-flag-icons` flags
+// to be used with `flagSpriteUrl` property.
+//
+// Usage:
+//
+// node runnable/generate-flag-sprite --countries US,CA,GB --out ./public/flags.svg
+//
+// Options:
+//
+// * `--countries` — A comma-separated list of two-letter country codes. All countries by default.
+// * `--aspect-ratio` — Either `3x2` (default) or `1x1`.
+// * `--out` — Output file path. Is `./flags.svg` by default.
+
+const FLAGS = {
+	'3x2': flags3x2,
+	'1x1': flags1x1
+}
+
+const options = parseArguments(process.argv.slice(2))
+
+const aspectRatio = options['aspect-ratio'] || '3x2'
+if (!FLAGS[aspectRatio]) {
+	throw new Error(`Unsupported aspect ratio: ${aspectRatio}. Supported aspect ratios: ${Object.keys(FLAGS).join(', ')}`)
+}
+
+const countries = options.countries
+	? options.countries.split(',').map(_ => _.trim().toUpperCase()).filter(_ => _)
+	: getCountries()
+
+const outputPath = path.resolve(options.out || './flags.svg')
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+fs.writeFileSync(outputPath, createFlagSprite(FLAGS[aspectRatio], countries), 'utf8')
+
+console.log(`Generated a flag sprite for ${countries.length} countries in ${outputPath}`)
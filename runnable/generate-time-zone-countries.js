@@ -0,0 +1,84 @@
+import fs from 'fs'
+import path from 'path'
+
+import parseArguments from './parse-arguments.js'
+
+// Generates `source/helpers/timeZoneCountries.js` file from the IANA time zone database
+// that is used by `detectCountry()` function.
+//
+// Usage:
+//
+// node runnable/generate-time-zone-countries --tzdata /usr/share/zoneinfo
+//
+// * `zone.tab` maps each time zone to a country.
+// * `tzdata.zi` contains "links" for legacy time zone names like "Asia/Calcutta"
+//   that are still returned by some web browsers.
+//
+// A "link" points to a time zone having the same rules, which isn't necessarily
+// in the same country: for example, "Africa/Asmera" (Eritrea) is a "link" to "Africa/Nairobi" (Kenya).
+// So a legacy time zone name doesn't get the country of the time zone it points to.
+// Instead, it gets the country of a `zone.tab` time zone having the same CLDR time zone ID
+// (CLDR never merges time zones of different countries): for example, both "Africa/Asmera"
+// and "Africa/Asmara" are "Africa/Asmera" in CLDR. CLDR time zone IDs are obtained via `Intl`
+// of the Node.js version that runs this script. Legacy time zone names having no such time zone are skipped.
+
+const options = parseArguments(process.argv.slice(2))
+
+const tzdata = options.tzdata || '/usr/share/zoneinfo'
+
+const timeZoneCountries = {}
+
+for (const line of readLines(path.join(tzdata, 'zone.tab'))) {
+	const [country, , timeZone] = line.split('\t')
+	timeZoneCountries[timeZone] = country
+}
+
+const linksFile = path.join(tzdata, 'tzdata.zi')
+if (fs.existsSync(linksFile)) {
+	const cldrTimeZoneCountries = {}
+	for (const timeZone of Object.keys(timeZoneCountries)) {
+		const cldrTimeZone = getCldrTimeZone(timeZone)
+		if (cldrTimeZone) {
+			cldrTimeZoneCountries[cldrTimeZone] = timeZoneCountries[timeZone]
+		}
+	}
+	for (const line of readLines(linksFile)) {
+		const [type, , alias] = line.split(' ')
+		if (type === 'L' && !timeZoneCountries[alias]) {
+			const country = cldrTimeZoneCountries[getCldrTimeZone(alias)]
+			if (country) {
+				timeZoneCountries[alias] = country
+			}
+		}
+	}
+}
+
+const sortedTimeZoneCountries = {}
+for (const timeZone of Object.keys(timeZoneCountries).sort()) {
+	sortedTimeZoneCountries[timeZone] = timeZoneCountries[timeZone]
+}
+
+fs.writeFileSync(
+	'./source/helpers/timeZoneCountries.js',
+	'// This file is generated by `runnable/generate-time-zone-countries.js`.\n' +
+	'// Maps IANA time zones to two-letter country codes.\n' +
+	'export default ' + JSON.stringify(sortedTimeZoneCountries, null, '\t') + '\n',
+	'utf8'
+)
+
+console.log(`Generated ${Object.keys(sortedTimeZoneCountries).length} time zones`)
+
+// Returns a CLDR time zone ID, or `undefined` if the time zone isn't supported by `Intl`.
+function getCldrTimeZone(timeZone) {
+	try {
+		return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone
+	} catch (error) {
+		// `RangeError: Invalid time zone specified`.
+	}
+}
+
+function readLines(file) {
+	return fs.readFileSync(file, 'utf8')
+		.split('\n')
+		.filter(line => line && line[0] !== '#')
+}
@@ -0,0 +1,23 @@
+/**
+ * Parses command line arguments like `--countries US,CA --non-geographic`
+ * into an object like `{ countries: 'US,CA', 'non-geographic': true }`.
+ * @param  {string[]} args — `process.argv.slice(2)`
+ * @return {object}
+ */
+export default function parseArguments(args) {
+	args = args.slice()
+	const options = {}
+	while (args.length > 0) {
+		const arg = args.shift()
+		if (!arg.startsWith('--')) {
+			throw new Error(`Unexpected argument: ${arg}`)
+		}
+		const name = arg.slice('--'.length)
+		if (args.length > 0 && !args[0].startsWith('--')) {
+			options[name] = args.shift()
+		} else {
+			options[name] = true
+		}
+	}
+	return options
+}
@@ -0,0 +1,93 @@
+// Functions used by `generate-custom-metadata` script
+// for trimming `libphonenumber-js` metadata and locale labels
+// down to a given list of countries.
+
+const COUNTRY_CODE_REG_EXP = /^[A-Z]{2}$/
+
+// "Non-geographic" "countries" are a `+` followed by a country calling code: `"+800"`.
+const NON_GEOGRAPHIC_COUNTRY_REG_EXP = /^\+\d+$/
+
+/**
+ * Creates a copy of `libphonenumber-js` metadata that only includes the specified countries.
+ * When several countries share the same country calling code, the "main" country for that
+ * calling code is always included because other countries inherit its formatting rules.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @param  {string[]} countries — A list of two-letter country codes.
+ * @param  {object} [options]
+ * @param  {boolean} [options.nonGeographic] — Pass `true` to keep "non-geographic" calling codes like `+800`.
+ * @return {object} An object of shape `{ metadata, countries }` where `countries` is the resulting list of countries, including any "main" ones, and "non-geographic" ones like `"+800"` when `nonGeographic` is `true`.
+ */
+export function trimMetadata(metadata, countries, { nonGeographic } = {}) {
+	if (countries.length === 0) {
+		throw new Error('No countries specified')
+	}
+
+	const includedCountries = []
+	const include = (country) => {
+		if (!includedCountries.includes(country)) {
+			includedCountries.push(country)
+		}
+	}
+
+	for (const country of countries) {
+		if (!metadata.countries[country]) {
+			throw new Error(`Unknown country: ${country}`)
+		}
+		include(country)
+		// Include the "main" country for the calling code.
+		const callingCode = metadata.countries[country][0]
+		include(metadata.country_calling_codes[callingCode][0])
+	}
+
+	const trimmed = {
+		version: metadata.version,
+		country_calling_codes: {},
+		countries: {}
+	}
+
+	// Preserve the order of countries within each calling code
+	// because the first one is the "main" one.
+	for (const callingCode of Object.keys(metadata.country_calling_codes)) {
+		const callingCodeCountries = metadata.country_calling_codes[callingCode]
+			.filter(_ => includedCountries.includes(_))
+		if (callingCodeCountries.length > 0) {
+			trimmed.country_calling_codes[callingCode] = callingCodeCountries
+		}
+	}
+
+	for (const country of Object.keys(metadata.countries)) {
+		if (includedCountries.includes(country)) {
+			trimmed.countries[country] = metadata.countries[country]
+		}
+	}
+
+	if (nonGeographic && metadata.nonGeographic) {
+		trimmed.nonGeographic = metadata.nonGeographic
+	}
+
+	return {
+		metadata: trimmed,
+		countries: Object.keys(trimmed.countries).concat(
+			Object.keys(trimmed.nonGeographic || {}).map(_ => '+' + _)
+		)
+	}
+}
+
+/**
+ * Creates a copy of locale labels that only includes the specified countries.
+ * Non-country labels like `"phone"`, `"ext"` or `"ZZ"` (International) are kept.
+ * "Non-geographic" labels like `"+800"` are only kept when listed in `countries`.
+ * @param  {object} labels
+ * @param  {string[]} countries
+ * @return {object}
+ */
+export function trimLabels(labels, countries) {
+	const trimmed = {}
+	for (const key of Object.keys(labels)) {
+		const isCountryLabel = COUNTRY_CODE_REG_EXP.test(key) || NON_GEOGRAPHIC_COUNTRY_REG_EXP.test(key)
+		if (!isCountryLabel || key === 'ZZ' || countries.includes(key)) {
+			trimmed[key] = labels[key]
+		}
+	}
+	return trimmed
+}
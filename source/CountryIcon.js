@@ -5,14 +5,19 @@ import classNames from 'classnames'
 import DefaultInternationalIcon from './InternationalIcon.js'
 import Flag from './Flag.js'
 
+import { isNonGeographicCountry } from './helpers/nonGeographic.js'
+
 export function createCountryIconComponent({
 	flags,
 	flagUrl,
+	flagSpriteUrl,
+	loadFlag,
 	flagComponent: FlagComponent,
 	internationalIcon: InternationalIcon
 }) {
 	function CountryIcon({
 		country,
+		countryCallingCode,
 		label,
 		aspectRatio,
 		...rest
@@ -21,12 +26,19 @@ export function createCountryIconComponent({
 		// to render it as a square when Unicode flag icons are used.
 		// So `aspectRatio` property is only used with the default "International" icon.
 		const _aspectRatio = InternationalIcon === DefaultInternationalIcon ? aspectRatio : undefined
+		// "Non-geographic" "countries", like `"+800"`, don't have a flag,
+		// so their country calling code is shown instead.
+		if (isNonGeographicCountry(country)) {
+			countryCallingCode = country.slice('+'.length)
+			country = undefined
+		}
 		return (
 			<div
 				{...rest}
 				className={classNames('PhoneInputCountryIcon', {
 					'PhoneInputCountryIcon--square': _aspectRatio === 1,
-					'PhoneInputCountryIcon--border': country
+					'PhoneInputCountryIcon--border': country,
+					'PhoneInputCountryIcon--callingCode': !country && countryCallingCode
 				})}>
 				{
 					country
@@ -36,12 +48,24 @@ export function createCountryIconComponent({
 						countryName={label}
 						flags={flags}
 						flagUrl={flagUrl}
+						flagSpriteUrl={flagSpriteUrl}
+						loadFlag={loadFlag}
 						className="PhoneInputCountryIconImg"/>
 					:
-					<InternationalIcon
-						title={label}
-						aspectRatio={_aspectRatio}
-						className="PhoneInputCountryIconImg"/>
+					(
+						countryCallingCode
+						?
+						<div
+							title={label}
+							className="PhoneInputCountryIconImg PhoneInputCountryIconCallingCode">
+							+{countryCallingCode}
+						</div>
+						:
+						<InternationalIcon
+							title={label}
+							aspectRatio={_aspectRatio}
+							className="PhoneInputCountryIconImg"/>
+					)
 				}
 			</div>
 		)
@@ -49,6 +73,10 @@ export function createCountryIconComponent({
 
 	CountryIcon.propTypes = {
 		country: PropTypes.string,
+		// A country calling code that's shared by several countries, like `"1"`.
+		// Is shown instead of the "International" icon when no `country` is selected:
+		// the phone number could belong to any one of those countries, so no flag is shown.
+		countryCallingCode: PropTypes.string,
 		label: PropTypes.string.isRequired,
 		aspectRatio: PropTypes.number
 	}
@@ -57,7 +85,7 @@ export function createCountryIconComponent({
 }
 
 export default createCountryIconComponent({
-	// Must be equal to `defaultProps.flagUrl` in `./PhoneInputWithCountry.js`.
+	// Must be equal to the default `flagUrl` in `./PhoneInputWithCountry.js`.
 	flagUrl: 'https://purecatamphetamine.github.io/country-flag-icons/3x2/{XX}.svg',
 	flagComponent: Flag,
 	internationalIcon: DefaultInternationalIcon
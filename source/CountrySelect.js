@@ -3,6 +3,9 @@ import PropTypes from 'prop-types'
 import classNames from 'classnames'
 import getUnicodeFlagIcon from 'country-flag-icons/unicode'
 
+import { groupCountryOptions, getAmbiguousCountryCallingCode } from './helpers/countries.js'
+import { isNonGeographicCountry } from './helpers/nonGeographic.js'
+
 export default function CountrySelect({
 	value,
 	onChange,
@@ -25,15 +28,17 @@ export default function CountrySelect({
 			{...rest}
 			value={value || 'ZZ'}
 			onChange={onChange_}>
-			{options.map(({ value, label, divider }) => (
-				<option
-					key={divider ? '|' : value || 'ZZ'}
-					value={divider ? '|' : value || 'ZZ'}
-					disabled={divider ? true : false}
-					style={divider ? DIVIDER_STYLE : undefined}>
-					{label}
-				</option>
-			))}
+			{groupCountryOptions(options).map(({ group, options }) => {
+				// Options having a `group` are rendered inside an `<optgroup/>`.
+				if (group) {
+					return (
+						<optgroup key={group} label={group}>
+							{options.map(option => renderOption(option, group))}
+						</optgroup>
+					)
+				}
+				return options.map(option => renderOption(option))
+			})}
 		</select>
 	)
 }
@@ -55,10 +60,27 @@ CountrySelect.propTypes = {
 	options: PropTypes.arrayOf(PropTypes.shape({
 		value: PropTypes.string,
 		label: PropTypes.string,
-		divider: PropTypes.bool
+		divider: PropTypes.bool,
+		// `<optgroup/>` label.
+		group: PropTypes.string
 	})).isRequired
 }
 
+function renderOption({ value, label, divider }, group) {
+	// A country could be listed in several groups,
+	// so `group` is included in the `key`.
+	const key = divider ? '|' : value || 'ZZ'
+	return (
+		<option
+			key={group ? `${group}:${key}` : key}
+			value={divider ? '|' : value || 'ZZ'}
+			disabled={divider ? true : false}
+			style={divider ? DIVIDER_STYLE : undefined}>
+			{label}
+		</option>
+	)
+}
+
 const DIVIDER_STYLE = {
 	fontSize: '1px',
 	backgroundColor: 'currentColor',
@@ -67,18 +89,24 @@ const DIVIDER_STYLE = {
 
 export function CountrySelectWithIcon({
 	value,
+	ambiguousCountries,
 	options,
 	className,
 	iconComponent: Icon,
 	getIconAspectRatio,
-	arrowComponent: Arrow,
+	arrowComponent: Arrow = DefaultArrowComponent,
 	unicodeFlags,
+	// `metadata` is not passed to the native `<select/>`.
+	metadata,
 	...rest
 }) {
 	const selectedOption = useMemo(() => {
 		return getSelectedOption(options, value)
 	}, [options, value])
 
+	// "Non-geographic" "countries", like `"+800"`, don't have a Unicode flag.
+	const unicodeFlag = unicodeFlags && value && !isNonGeographicCountry(value)
+
 	return (
 		<div className="PhoneInputCountry">
 			<CountrySelect
@@ -88,17 +116,18 @@ export function CountrySelectWithIcon({
 				className={classNames('PhoneInputCountrySelect', className)}/>
 
 			{/* Either a Unicode flag icon. */}
-			{(unicodeFlags && value) &&
+			{unicodeFlag &&
 				<div className="PhoneInputCountryIconUnicode">
 					{getUnicodeFlagIcon(value)}
 				</div>
 			}
 
 			{/* Or an SVG flag icon. */}
-			{!(unicodeFlags && value) &&
+			{!unicodeFlag &&
 				<Icon
 					aria-hidden
 					country={value}
+					countryCallingCode={getAmbiguousCountryCallingCode(value, ambiguousCountries, metadata)}
 					label={selectedOption && selectedOption.label}
 					aspectRatio={unicodeFlags ? 1 : undefined}/>
 			}
@@ -109,18 +138,23 @@ export function CountrySelectWithIcon({
 }
 
 CountrySelectWithIcon.propTypes = {
+	// The countries that the phone number could belong to
+	// when "International" is selected and the country calling code,
+	// like `+1`, is shared by several countries.
+	ambiguousCountries: PropTypes.arrayOf(PropTypes.string),
+
 	// Country flag component.
 	iconComponent: PropTypes.elementType,
 
 	// Select arrow component.
-	arrowComponent: PropTypes.elementType.isRequired,
+	arrowComponent: PropTypes.elementType,
 
 	// Set to `true` to render Unicode flag icons instead of SVG images.
 	unicodeFlags: PropTypes.bool
 }
 
-CountrySelectWithIcon.defaultProps = {
-	arrowComponent: () => <div className="PhoneInputCountrySelectArrow"/>
+function DefaultArrowComponent() {
+	return <div className="PhoneInputCountrySelectArrow"/>
 }
 
 function getSelectedOption(options, value) {
@@ -0,0 +1,393 @@
+import React, { useState, useRef, useMemo, useCallback, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import classNames from 'classnames'
+
+import {
+	filterCountryOptions,
+	groupCountryOptions,
+	getAmbiguousCountryCallingCode
+} from './helpers/countries.js'
+
+import { getCountryCallingCode } from './helpers/nonGeographic.js'
+
+/**
+ * A searchable country select.
+ * Can be passed as `countrySelectComponent` to "with country select" `<PhoneInput/>`.
+ * Implements the WAI-ARIA "combobox" pattern: a button that opens a popup
+ * with a search `<input/>` and a list of countries that can be filtered
+ * by country name, two-letter country code or country calling code.
+ * https://www.w3.org/WAI/ARIA/apg/patterns/combobox/
+ */
+export default function CountrySelectCombobox({
+	value,
+	ambiguousCountries,
+	onChange,
+	onFocus,
+	onBlur,
+	options,
+	metadata,
+	name,
+	disabled,
+	readOnly,
+	tabIndex,
+	className,
+	iconComponent: Icon,
+	arrowComponent: Arrow = DefaultArrowComponent,
+	searchPlaceholder,
+	'aria-label': ariaLabel
+}) {
+	const [isOpen, setIsOpen] = useState(false)
+	const [query, setQuery] = useState('')
+	const [activeIndex, setActiveIndex] = useState(-1)
+
+	const containerRef = useRef()
+	const buttonRef = useRef()
+	const searchInputRef = useRef()
+
+	const [id] = useState(() => `PhoneInputCountryCombobox${++idCounter}`)
+	const listboxId = `${id}-listbox`
+	const getOptionId = (index) => `${id}-option-${index}`
+
+	const selectedOption = useMemo(() => {
+		return getSelectedOption(options, value)
+	}, [options, value])
+
+	const filteredOptions = useMemo(() => {
+		return filterCountryOptions(options, query, metadata)
+	}, [options, query, metadata])
+
+	// Search results are ranked, so they're not grouped.
+	const optionGroups = useMemo(() => {
+		if (query) {
+			return [{
+				options: filteredOptions,
+				indexes: filteredOptions.map((option, index) => index)
+			}]
+		}
+		return groupCountryOptions(filteredOptions)
+	}, [filteredOptions, query])
+
+	const open = useCallback(() => {
+		if (disabled || readOnly) {
+			return
+		}
+		setQuery('')
+		setIsOpen(true)
+	}, [disabled, readOnly])
+
+	const close = useCallback(({ focusButton } = {}) => {
+		setIsOpen(false)
+		setActiveIndex(-1)
+		if (focusButton) {
+			buttonRef.current.focus()
+		}
+	}, [])
+
+	// When the popup is opened, the currently selected option
+	// is highlighted and the search `<input/>` is focused.
+	useEffect(() => {
+		if (isOpen) {
+			setActiveIndex(filteredOptions.indexOf(selectedOption))
+			searchInputRef.current.focus()
+		}
+	}, [isOpen])
+
+	// Highlights the first option when the search query changes.
+	useEffect(() => {
+		if (isOpen && query) {
+			setActiveIndex(getNextSelectableOptionIndex(filteredOptions, -1, 1))
+		}
+	}, [query])
+
+	// Scrolls the highlighted option into view.
+	useEffect(() => {
+		if (isOpen && activeIndex >= 0) {
+			const element = document.getElementById(getOptionId(activeIndex))
+			if (element && element.scrollIntoView) {
+				element.scrollIntoView({ block: 'nearest' })
+			}
+		}
+	}, [isOpen, activeIndex])
+
+	const selectOption = useCallback((option) => {
+		close({ focusButton: true })
+		if (option.value !== value) {
+			onChange(option.value)
+		}
+	}, [close, value, onChange])
+
+	const onButtonKeyDown = useCallback((event) => {
+		switch (event.key) {
+			case 'ArrowDown':
+			case 'ArrowUp':
+				event.preventDefault()
+				open()
+				break
+		}
+	}, [open])
+
+	const onSearchInputKeyDown = useCallback((event) => {
+		switch (event.key) {
+			case 'ArrowDown':
+				event.preventDefault()
+				setActiveIndex(getNextSelectableOptionIndex(filteredOptions, activeIndex, 1))
+				break
+			case 'ArrowUp':
+				event.preventDefault()
+				setActiveIndex(getNextSelectableOptionIndex(filteredOptions, activeIndex, -1))
+				break
+			case 'PageDown':
+			case 'End':
+				event.preventDefault()
+				setActiveIndex(getNextSelectableOptionIndex(filteredOptions, filteredOptions.length, -1))
+				break
+			case 'PageUp':
+			case 'Home':
+				event.preventDefault()
+				setActiveIndex(getNextSelectableOptionIndex(filteredOptions, -1, 1))
+				break
+			case 'Enter':
+				event.preventDefault()
+				if (activeIndex >= 0) {
+					selectOption(filteredOptions[activeIndex])
+				}
+				break
+			case 'Escape':
+				event.preventDefault()
+				close({ focusButton: true })
+				break
+			case 'Tab':
+				close()
+				break
+		}
+	}, [filteredOptions, activeIndex, selectOption, close])
+
+	// `onFocus` and `onBlur` are used to toggle the `--focus` CSS class
+	// on the phone number input component, so they're only called
+	// when the focus enters or leaves the whole country select.
+	const onContainerFocus = useCallback((event) => {
+		if (!isWithin(event.relatedTarget, containerRef.current)) {
+			if (onFocus) {
+				onFocus(event)
+			}
+		}
+	}, [onFocus])
+
+	const onContainerBlur = useCallback((event) => {
+		if (!isWithin(event.relatedTarget, containerRef.current)) {
+			close()
+			if (onBlur) {
+				onBlur(event)
+			}
+		}
+	}, [close, onBlur])
+
+	const renderOption = (option, index) => {
+		if (option.divider) {
+			return (
+				<li
+					key={`|${index}`}
+					role="separator"
+					className="PhoneInputCountryComboboxDivider"/>
+			)
+		}
+		// A country could be listed several times:
+		// for example, in a "Recent" group and in the list of all countries.
+		const isSelected = Boolean(selectedOption) && option.value === selectedOption.value
+		return (
+			<li
+				key={option.group ? `${option.group}:${option.value || 'ZZ'}` : option.value || 'ZZ'}
+				id={getOptionId(index)}
+				role="option"
+				aria-selected={isSelected}
+				// Prevents the search `<input/>` from losing focus.
+				onMouseDown={preventDefault}
+				onMouseMove={() => setActiveIndex(index)}
+				onClick={() => selectOption(option)}
+				className={classNames('PhoneInputCountryComboboxOption', {
+					'PhoneInputCountryComboboxOption--active': index === activeIndex,
+					'PhoneInputCountryComboboxOption--selected': isSelected
+				})}>
+				<Icon
+					aria-hidden
+					country={option.value}
+					label={option.label}/>
+				<span className="PhoneInputCountryComboboxOptionLabel">
+					{option.label}
+				</span>
+				{option.value && metadata &&
+					<span className="PhoneInputCountryComboboxOptionCallingCode">
+						+{getCountryCallingCode(option.value, metadata)}
+					</span>
+				}
+			</li>
+		)
+	}
+
+	return (
+		<div
+			ref={containerRef}
+			onFocus={onContainerFocus}
+			onBlur={onContainerBlur}
+			className={classNames('PhoneInputCountry', 'PhoneInputCountry--combobox', {
+				'PhoneInputCountry--open': isOpen
+			})}>
+
+			{/* Submitted in an HTML form in the same way as a native `<select/>`. */}
+			{name &&
+				<input
+					type="hidden"
+					name={name}
+					value={value || 'ZZ'}/>
+			}
+
+			<button
+				ref={buttonRef}
+				type="button"
+				aria-haspopup="listbox"
+				aria-expanded={isOpen}
+				aria-label={ariaLabel}
+				title={selectedOption && selectedOption.label}
+				disabled={disabled}
+				tabIndex={tabIndex}
+				onClick={isOpen ? close : open}
+				onKeyDown={onButtonKeyDown}
+				className={classNames('PhoneInputCountryComboboxButton', className, {
+					'PhoneInputCountryComboboxButton--readOnly': readOnly
+				})}>
+				<Icon
+					aria-hidden
+					country={value}
+					countryCallingCode={getAmbiguousCountryCallingCode(value, ambiguousCountries, metadata)}
+					label={selectedOption && selectedOption.label}/>
+				<Arrow/>
+			</button>
+
+			{isOpen &&
+				<div className="PhoneInputCountryComboboxPopup">
+					<input
+						ref={searchInputRef}
+						type="text"
+						role="combobox"
+						autoComplete="off"
+						aria-label={ariaLabel}
+						aria-expanded
+						aria-controls={listboxId}
+						aria-autocomplete="list"
+						aria-activedescendant={activeIndex >= 0 ? getOptionId(activeIndex) : undefined}
+						placeholder={searchPlaceholder}
+						value={query}
+						onChange={event => setQuery(event.target.value)}
+						onKeyDown={onSearchInputKeyDown}
+						className="PhoneInputCountryComboboxInput"/>
+					<ul
+						id={listboxId}
+						role="listbox"
+						aria-label={ariaLabel}
+						className="PhoneInputCountryComboboxListbox">
+						{optionGroups.map(({ group, options, indexes }) => {
+							if (group) {
+								const groupLabelId = `${id}-group-${indexes[0]}`
+								return (
+									<li
+										key={`group:${group}`}
+										role="presentation"
+										className="PhoneInputCountryComboboxGroup">
+										<div
+											id={groupLabelId}
+											className="PhoneInputCountryComboboxGroupLabel">
+											{group}
+										</div>
+										<ul
+											role="group"
+											aria-labelledby={groupLabelId}
+											className="PhoneInputCountryComboboxGroupOptions">
+											{options.map((option, i) => renderOption(option, indexes[i]))}
+										</ul>
+									</li>
+								)
+							}
+							return options.map((option, i) => renderOption(option, indexes[i]))
+						})}
+					</ul>
+				</div>
+			}
+		</div>
+	)
+}
+
+CountrySelectCombobox.propTypes = {
+	/**
+	 * A two-letter country code, or a "non-geographic" country calling code.
+	 * Example: "US", "RU", "+800", etc.
+	 */
+	value: PropTypes.string,
+
+	// The countries that the phone number could belong to
+	// when "International" is selected and the country calling code,
+	// like `+1`, is shared by several countries.
+	ambiguousCountries: PropTypes.arrayOf(PropTypes.string),
+
+	/**
+	 * A function of `value: string`.
+	 * Updates the `value` property.
+	 */
+	onChange: PropTypes.func.isRequired,
+
+	// Country options.
+	options: PropTypes.arrayOf(PropTypes.shape({
+		value: PropTypes.string,
+		label: PropTypes.string,
+		divider: PropTypes.bool,
+		// Group label.
+		group: PropTypes.string
+	})).isRequired,
+
+	// `libphonenumber-js` metadata.
+	// Is used for searching by country calling code.
+	metadata: PropTypes.object,
+
+	// Country flag component.
+	iconComponent: PropTypes.elementType.isRequired,
+
+	// Select arrow component.
+	arrowComponent: PropTypes.elementType,
+
+	// Search `<input/>` placeholder.
+	searchPlaceholder: PropTypes.string
+}
+
+function DefaultArrowComponent() {
+	return <div className="PhoneInputCountrySelectArrow"/>
+}
+
+let idCounter = 0
+
+function getSelectedOption(options, value) {
+	for (const option of options) {
+		if (!option.divider && option.value === value) {
+			return option
+		}
+	}
+}
+
+// Returns the index of the next option (skipping dividers)
+// in the given `direction` (`1` or `-1`), or `index` if there's none.
+function getNextSelectableOptionIndex(options, index, direction) {
+	let i = index + direction
+	while (i >= 0 && i < options.length) {
+		if (!options[i].divider) {
+			return i
+		}
+		i += direction
+	}
+	return index >= 0 && index < options.length ? index : -1
+}
+
+function isWithin(element, container) {
+	return element && container && container.contains(element)
+}
+
+function preventDefault(event) {
+	event.preventDefault()
+}
@@ -1,7 +1,9 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import PropTypes from 'prop-types'
 import classNames from 'classnames'
 
+import { loadFlag as _loadFlag, getLoadedFlag } from './helpers/flagLoader.js'
+
 // Default country flag icon.
 // `<img/>` is wrapped in a `<div/>` to prevent SVGs from exploding in size in IE 11.
 // https://github.com/catamphetamine/react-phone-number-input/issues/111
@@ -10,11 +12,34 @@ export default function FlagComponent({
 	countryName,
 	flags,
 	flagUrl,
+	flagSpriteUrl,
+	loadFlag,
 	...rest
 }) {
 	if (flags && flags[country]) {
 		return flags[country]({ title: countryName })
 	}
+	if (loadFlag) {
+		return (
+			<LazyFlag
+				{...rest}
+				country={country}
+				countryName={countryName}
+				loadFlag={loadFlag}/>
+		)
+	}
+	// A flag from a generated SVG sprite sheet.
+	// See `runnable/generate-flag-sprite.js`.
+	if (flagSpriteUrl) {
+		return (
+			<svg
+				{...rest}
+				role={countryName ? 'img' : 'presentation'}
+				aria-label={countryName || undefined}>
+				<use href={`${flagSpriteUrl}#${country}`}/>
+			</svg>
+		)
+	}
 	return (
 		<img
 			{...rest}
@@ -43,5 +68,65 @@ FlagComponent.propTypes = {
 
 	// A URL for a country flag icon.
 	// By default it points to `country-flag-icons` gitlab pages website.
-	flagUrl: PropTypes.string.isRequired
+	flagUrl: PropTypes.string.isRequired,
+
+	// A URL of an SVG sprite sheet containing country flag icons
+	// as `<symbol/>`s having two-letter country codes as their `id`s.
+	// When passed, `flagUrl` is ignored.
+	flagSpriteUrl: PropTypes.string,
+
+	// A function of `country` returning a `Promise` of a flag component.
+	// The flag component is loaded on first render and is then cached.
+	// When passed, `flagSpriteUrl` and `flagUrl` are ignored.
+	loadFlag: PropTypes.func
+}
+
+// Renders a placeholder until the flag component has been loaded.
+function LazyFlag({
+	country,
+	countryName,
+	loadFlag,
+	className,
+	...rest
+}) {
+	const Flag = getLoadedFlag(loadFlag, country)
+
+	// Re-renders the component when the flag component has been loaded.
+	const [, setLoadedFlag] = useState()
+
+	useEffect(() => {
+		if (!Flag) {
+			let isCancelled = false
+			_loadFlag(loadFlag, country).then((Flag) => {
+				if (!isCancelled) {
+					setLoadedFlag(() => Flag)
+				}
+			}, (error) => {
+				console.error(error)
+			})
+			return () => {
+				isCancelled = true
+			}
+		}
+	}, [loadFlag, country, Flag])
+
+	if (Flag) {
+		return Flag({ title: countryName })
+	}
+
+	return (
+		<div
+			{...rest}
+			role={countryName ? 'img' : 'presentation'}
+			aria-label={countryName || undefined}
+			aria-busy
+			className={classNames(className, 'PhoneInputCountryFlag--loading')}/>
+	)
+}
+
+LazyFlag.propTypes = {
+	country: PropTypes.string.isRequired,
+	countryName: PropTypes.string,
+	loadFlag: PropTypes.func.isRequired,
+	className: PropTypes.string
 }
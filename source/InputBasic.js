@@ -3,6 +3,8 @@ import PropTypes from 'prop-types'
 import { parseIncompletePhoneNumber, formatIncompletePhoneNumber } from 'libphonenumber-js/core'
 
 import { getInputValuePrefix, removeInputValuePrefix } from './helpers/inputValuePrefix.js'
+import { formatPhoneDigitsOnBlur } from './helpers/formatOnBlur.js'
+import useFormatOnBlur from './useFormatOnBlur.js'
 
 export function createInput(defaultMetadata) {
 	/**
@@ -22,8 +24,11 @@ export function createInput(defaultMetadata) {
 		country,
 		international,
 		withCountryCallingCode,
-		metadata,
-		inputComponent: Input,
+		formatOnBlur,
+		onFocus,
+		onBlur,
+		metadata = defaultMetadata,
+		inputComponent: Input = 'input',
 		...rest
 	}, ref) {
 		const prefix = getInputValuePrefix({
@@ -58,12 +63,32 @@ export function createInput(defaultMetadata) {
 			metadata
 		])
 
+		const {
+			isFormattedOnBlur,
+			onFocus: _onFocus,
+			onBlur: _onBlur
+		} = useFormatOnBlur({
+			formatOnBlur,
+			value,
+			onChange,
+			onFocus,
+			onBlur,
+			country,
+			international,
+			metadata
+		})
+
 		return (
 			<Input
 				{...rest}
 				ref={ref}
-				value={format(prefix, value, country, metadata)}
-				onChange={_onChange}/>
+				value={isFormattedOnBlur
+					? removeInputValuePrefix(formatPhoneDigitsOnBlur(prefix + value, country, metadata), prefix)
+					: format(prefix, value, country, metadata)
+				}
+				onChange={_onChange}
+				onFocus={_onFocus}
+				onBlur={_onBlur}/>
 		)
 	}
 
@@ -117,20 +142,26 @@ export function createInput(defaultMetadata) {
 		 */
 		withCountryCallingCode: PropTypes.bool,
 
+		/**
+		 * Pass `formatOnBlur` property to fully format the phone number
+		 * when the `<input/>` loses focus (see `useFormatOnBlur()`).
+		 * Pass `formatOnBlur="national"` to also convert
+		 * an international phone number of the `country` to "national" format.
+		 */
+		formatOnBlur: PropTypes.oneOfType([
+			PropTypes.bool,
+			PropTypes.oneOf(['national'])
+		]),
+
 		/**
 		 * `libphonenumber-js` metadata.
 		 */
-		metadata: PropTypes.object.isRequired,
+		metadata: PropTypes.object,
 
 		/**
 		 * The `<input/>` component.
 		 */
-		inputComponent: PropTypes.elementType.isRequired
-	}
-
-	InputBasic.defaultProps = {
-		metadata: defaultMetadata,
-		inputComponent: 'input'
+		inputComponent: PropTypes.elementType
 	}
 
 	return InputBasic
@@ -4,6 +4,8 @@ import Input from 'input-format/react'
 import { AsYouType, parsePhoneNumberCharacter } from 'libphonenumber-js/core'
 
 import { getInputValuePrefix, removeInputValuePrefix } from './helpers/inputValuePrefix.js'
+import { formatPhoneDigitsOnBlur } from './helpers/formatOnBlur.js'
+import useFormatOnBlur from './useFormatOnBlur.js'
 
 export function createInput(defaultMetadata)
 {
@@ -18,18 +20,44 @@ export function createInput(defaultMetadata)
 		country,
 		international,
 		withCountryCallingCode,
-		metadata,
+		formatOnBlur,
+		value,
+		onChange,
+		onFocus,
+		onBlur,
+		metadata = defaultMetadata,
 		...rest
 	}, ref) {
+		const {
+			isFormattedOnBlur,
+			onFocus: _onFocus,
+			onBlur: _onBlur
+		} = useFormatOnBlur({
+			formatOnBlur,
+			value,
+			onChange,
+			onFocus,
+			onBlur,
+			country,
+			international,
+			metadata
+		})
 		const format = useCallback((value) => {
-			// "As you type" formatter.
-			const formatter = new AsYouType(country, metadata)
 			const prefix = getInputValuePrefix({
 				country,
 				international,
 				withCountryCallingCode,
 				metadata
 			})
+			// When the `<input/>` doesn't have focus, there's no caret to position,
+			// so no `template` is returned.
+			if (isFormattedOnBlur) {
+				return {
+					text: removeInputValuePrefix(formatPhoneDigitsOnBlur(prefix + value, country, metadata), prefix)
+				}
+			}
+			// "As you type" formatter.
+			const formatter = new AsYouType(country, metadata)
 			// Format the number.
 			let text = formatter.input(prefix + value)
 			let template = formatter.getTemplate()
@@ -44,11 +72,15 @@ export function createInput(defaultMetadata)
 				text,
 				template
 			}
-		}, [country, metadata])
+		}, [country, metadata, isFormattedOnBlur])
 		return (
 			<Input
 				{...rest}
 				ref={ref}
+				value={value}
+				onChange={onChange}
+				onFocus={_onFocus}
+				onBlur={_onBlur}
 				parse={parsePhoneNumberCharacter}
 				format={format}/>
 		)
@@ -105,13 +137,20 @@ export function createInput(defaultMetadata)
 		withCountryCallingCode: PropTypes.bool,
 
 		/**
-		 * `libphonenumber-js` metadata.
+		 * Pass `formatOnBlur` property to fully format the phone number
+		 * when the `<input/>` loses focus (see `useFormatOnBlur()`).
+		 * Pass `formatOnBlur="national"` to also convert
+		 * an international phone number of the `country` to "national" format.
 		 */
-		metadata: PropTypes.object.isRequired
-	}
+		formatOnBlur: PropTypes.oneOfType([
+			PropTypes.bool,
+			PropTypes.oneOf(['national'])
+		]),
 
-	InputSmart.defaultProps = {
-		metadata: defaultMetadata
+		/**
+		 * `libphonenumber-js` metadata.
+		 */
+		metadata: PropTypes.object
 	}
 
 	return InputSmart
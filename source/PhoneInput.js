@@ -1,20 +1,74 @@
-import React from 'react'
+import React, { useRef, useCallback } from 'react'
 import PropTypes from 'prop-types'
 
-import usePhoneDigits from './usePhoneDigits.js'
+import usePhoneDigits, { getPhoneDigitsForValue } from './usePhoneDigits.js'
+import useExamplePhoneNumbers from './useExamplePhoneNumbers.js'
+import useInputChangeReason from './useInputChangeReason.js'
+import useConstraintValidation from './useConstraintValidation.js'
+import useLenientValue from './useLenientValue.js'
+
+import { getExamplePhoneNumberPlaceholder } from './helpers/examplePhoneNumbers.js'
+import { getPhoneDigitsForPastedText } from './helpers/pastedText.js'
+import { getChangeDetails } from './helpers/changeDetails.js'
+
+import setRef from './helpers/setRef.js'
 
 function PhoneInput({
 	Component,
 	country,
 	defaultCountry,
-	useNationalFormatForDefaultCountryValue,
-	value,
+	// Prefer national format when formatting E.164 phone number `value`
+	// corresponding to `defaultCountry`.
+	useNationalFormatForDefaultCountryValue = true,
+	value: valueProperty,
+	valueFormat,
+	onValueMigration,
 	onChange,
+	withChangeDetails,
 	metadata,
 	international,
 	withCountryCallingCode,
+	placeholder,
+	onPaste,
+	onInput,
+	nativeValidation,
+	labels,
 	...rest
 }, ref) {
+	// A `value` that isn't an E.164 phone number could be parsed "leniently".
+	// The E.164 phone number is passed to `onChange()` in the same way
+	// as when it's input by the user, so `details` are passed too, if requested.
+	const value = useLenientValue({
+		valueFormat,
+		value: valueProperty,
+		country: country || defaultCountry,
+		onChange: (value) => {
+			if (withChangeDetails) {
+				onChange(value, getChangeDetails({
+					value,
+					phoneDigits: getPhoneDigitsForValue(
+						value,
+						country,
+						international,
+						withCountryCallingCode,
+						defaultCountry,
+						useNationalFormatForDefaultCountryValue,
+						metadata,
+						() => {}
+					),
+					country,
+					defaultCountry,
+					international,
+					withCountryCallingCode,
+					reason: 'migration'
+				}, metadata))
+			} else {
+				onChange(value)
+			}
+		},
+		onValueMigration,
+		metadata
+	})
 	// "Phone digits" includes not only "digits" but also a `+` sign.
 	const [
 		phoneDigits,
@@ -22,6 +76,7 @@ function PhoneInput({
 	] = usePhoneDigits({
 		value,
 		onChange,
+		withChangeDetails,
 		country,
 		defaultCountry,
 		international,
@@ -29,16 +84,82 @@ function PhoneInput({
 		useNationalFormatForDefaultCountryValue,
 		metadata
 	})
+	// When the user pastes some text, the first phone number found in it
+	// replaces the `<input/>` value. For example, "Call me at +1 213 373 4253".
+	const _onPaste = useCallback((event) => {
+		if (onPaste) {
+			onPaste(event)
+		}
+		if (event.defaultPrevented || rest.readOnly) {
+			return
+		}
+		const pasted = getPhoneDigitsForPastedText(event.clipboardData.getData('text'), {
+			country,
+			defaultCountry,
+			international,
+			withCountryCallingCode,
+			metadata
+		})
+		if (pasted) {
+			event.preventDefault()
+			setPhoneDigits(pasted.phoneDigits, { reason: 'paste' })
+		}
+	}, [
+		onPaste,
+		rest.readOnly,
+		country,
+		defaultCountry,
+		international,
+		withCountryCallingCode,
+		metadata,
+		setPhoneDigits
+	])
+	// Finds out whether the phone number has been input, pasted or autofilled.
+	const {
+		onInput: _onInput,
+		onChange: _onChange
+	} = useInputChangeReason({
+		onInput,
+		onChange: setPhoneDigits
+	})
+	const inputRef = useRef()
+	const setInputRef = useCallback((instance) => {
+		inputRef.current = instance
+		setRef(ref, instance)
+	}, [ref])
+	// Marks the `<input/>` as invalid for the HTML Constraint Validation API.
+	useConstraintValidation({
+		nativeValidation,
+		inputRef,
+		value,
+		phoneDigits,
+		required: rest.required,
+		labels,
+		metadata
+	})
+	const examplePhoneNumbers = useExamplePhoneNumbers(placeholder === 'example')
+	if (placeholder === 'example') {
+		placeholder = getExamplePhoneNumberPlaceholder({
+			examples: examplePhoneNumbers,
+			country: country || defaultCountry,
+			international,
+			withCountryCallingCode,
+			metadata
+		})
+	}
 	return (
 		<Component
 			{...rest}
-			ref={ref}
+			ref={setInputRef}
+			placeholder={placeholder}
+			onPaste={_onPaste}
 			metadata={metadata}
 			international={international}
 			withCountryCallingCode={withCountryCallingCode}
 			country={country || defaultCountry}
 			value={phoneDigits}
-			onChange={setPhoneDigits} />
+			onChange={_onChange}
+			onInput={_onInput} />
 	)
 }
 
@@ -58,6 +179,28 @@ PhoneInput.propTypes = {
 	 */
 	onChange: PropTypes.func.isRequired,
 
+	/**
+	 * Pass `valueFormat="lenient"` to accept a `value` that isn't an E.164 phone number,
+	 * like `"(213) 373-4253"`, `"0044 20 7946 0958"` or `"tel:+1-213-373-4253"`.
+	 * A national phone number is parsed as a phone number of the `country` (or `defaultCountry`).
+	 * Such `value` is converted to an E.164 phone number that's immediately passed to `onChange()`.
+	 */
+	valueFormat: PropTypes.oneOf(['lenient']),
+
+	/**
+	 * A function of `{ originalValue: string, value: string? }`.
+	 * Is called every time a `value` is converted when `valueFormat="lenient"` property is passed.
+	 * `value` is `undefined` if no phone number could be found in the `originalValue`.
+	 */
+	onValueMigration: PropTypes.func,
+
+	/**
+	 * Pass `withChangeDetails` property to receive a second argument in `onChange(value, details)`:
+	 * an object of shape `{ country: string?, phoneDigits: string, formattedValue: string, nationalNumber: string?, isPossible: boolean, isValid: boolean, reason: string }`
+	 * where `reason` is one of: `"input"`, `"paste"`, `"country-change"`, `"autofill"`, `"migration"`.
+	 */
+	withChangeDetails: PropTypes.bool,
+
 	/**
 	 * A two-letter country code for formatting `value`
 	 * as a national phone number (example: `(213) 373-4253`),
@@ -99,6 +242,13 @@ PhoneInput.propTypes = {
 	 */
 	withCountryCallingCode: PropTypes.bool,
 
+	/**
+	 * The phone number `<input/>` placeholder.
+	 * Pass `"example"` to show an example phone number for the `country` (or `defaultCountry`).
+	 * Example phone numbers are loaded on demand.
+	 */
+	placeholder: PropTypes.string,
+
 	/**
 	 * A component that renders the `<input/>` itself and also
 	 * parses and formats its `value` as the user inputs it.
@@ -111,26 +261,26 @@ PhoneInput.propTypes = {
 	 * To format the initial `value` of `defaultCountry` as an international number instead
 	 * set `useNationalFormatForDefaultCountryValue` property to `true`.
 	 */
-	useNationalFormatForDefaultCountryValue: PropTypes.bool.isRequired,
+	useNationalFormatForDefaultCountryValue: PropTypes.bool,
 
 	/**
-	 * `libphonenumber-js` metadata.
+	 * Pass `nativeValidation` property to validate the phone number
+	 * using the HTML Constraint Validation API: an invalid phone number
+	 * marks the `<input/>` as invalid via `setCustomValidity()`
+	 * with a localized error message from `labels`.
 	 */
-	metadata: PropTypes.object.isRequired
-}
+	nativeValidation: PropTypes.bool,
 
-PhoneInput.defaultProps = {
 	/**
-	 * Set to `true` to force international phone number format
-	 * (without "country calling code") when `country` is specified.
+	 * Localized labels. Only error messages are used:
+	 * `"TOO_SHORT"`, `"TOO_LONG"`, `"INVALID_NUMBER"`, etc.
 	 */
-	// international: false,
+	labels: PropTypes.objectOf(PropTypes.string),
 
 	/**
-	 * Prefer national format when formatting E.164 phone number `value`
-	 * corresponding to `defaultCountry`.
+	 * `libphonenumber-js` metadata.
 	 */
-	useNationalFormatForDefaultCountryValue: true
+	metadata: PropTypes.object.isRequired
 }
 
 export default PhoneInput
\ No newline at end of file
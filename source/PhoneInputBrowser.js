@@ -1,18 +1,33 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 
+import validationLabels from './helpers/validationLabels.js'
+
 import PhoneInput_ from './PhoneInput.js'
 import InputSmart from './InputSmart.js'
 import InputBasic from './InputBasic.js'
 
-export function createInput(defaultMetadata) {
+export function createInput(defaultMetadata, defaultLabels = validationLabels) {
 	function PhoneInput({
-		smartCaret,
+		// HTML `<input/>` `type="tel"`.
+		type = 'tel',
+		// Remember (and autofill) the value as a phone number.
+		autoComplete = 'tel',
+		// Set to `false` to use "basic" caret instead of the "smart" one.
+		smartCaret = true,
+		// `libphonenumber-js` metadata.
+		metadata = defaultMetadata,
+		// Error messages for `nativeValidation`. English by default.
+		labels = defaultLabels,
 		...rest
 	}, ref) {
 		return (
 			<PhoneInput_
 				{...rest}
+				type={type}
+				autoComplete={autoComplete}
+				metadata={metadata}
+				labels={labels}
 				ref={ref}
 				Component={smartCaret ? InputSmart : InputBasic} />
 		)
@@ -39,34 +54,17 @@ export function createInput(defaultMetadata) {
 		 * This is just an "escape hatch" for any possible caret position issues.
 		 */
 		// Is `true` by default.
-		smartCaret: PropTypes.bool.isRequired,
+		smartCaret: PropTypes.bool,
 
 		/**
 		 * `libphonenumber-js` metadata.
 		 */
-		metadata: PropTypes.object.isRequired
-	}
-
-	PhoneInput.defaultProps = {
-		/**
-		 * HTML `<input/>` `type="tel"`.
-		 */
-		type: 'tel',
-
-		/**
-		 * Remember (and autofill) the value as a phone number.
-		 */
-		autoComplete: 'tel',
-
-		/**
-		 * Set to `false` to use "basic" caret instead of the "smart" one.
-		 */
-		smartCaret: true,
+		metadata: PropTypes.object,
 
 		/**
-		 * `libphonenumber-js` metadata.
+		 * Localized labels for `nativeValidation` error messages.
 		 */
-		metadata: defaultMetadata
+		labels: PropTypes.objectOf(PropTypes.string)
 	}
 
 	return PhoneInput
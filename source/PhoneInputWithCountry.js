@@ -1,4 +1,4 @@
-import React from 'react'
+import React, { useState, useRef, useMemo, useCallback, useImperativeHandle } from 'react'
 import PropTypes from 'prop-types'
 import classNames from 'classnames'
 
@@ -10,513 +10,541 @@ import { CountrySelectWithIcon as CountrySelect } from './CountrySelect.js'
 import Flag from './Flag.js'
 import InternationalIcon from './InternationalIcon.js'
 
-import {
-	sortCountryOptions,
-	isCountrySupportedWithError,
-	getSupportedCountries,
-	getSupportedCountryOptions,
-	getCountries
-} from './helpers/countries.js'
-
 import { createCountryIconComponent } from './CountryIcon.js'
 
 import {
 	metadata as metadataPropType,
+	metadataLoader as metadataLoaderPropType,
 	labels as labelsPropType
 } from './PropTypes.js'
 
-import {
-	getPreSelectedCountry,
-	getCountrySelectOptions,
-	parsePhoneNumber,
-	generateNationalNumberDigits,
-	getPhoneDigitsForNewCountry,
-	getInitialPhoneDigits,
-	onPhoneDigitsChange,
-	e164
-} from './helpers/phoneInputHelpers.js'
-
-import getPhoneInputWithCountryStateUpdateFromNewProps from './helpers/getPhoneInputWithCountryStateUpdateFromNewProps.js'
-
-class PhoneNumberInput_ extends React.PureComponent {
-	constructor(props) {
-		super(props)
-
-		this.inputRef = React.createRef()
-
-		const {
-			value,
-			labels,
-			international,
-			addInternationalOption,
-			// `displayInitialValueAsLocalNumber` property has been
-			// superceded by `initialValueFormat` property.
-			displayInitialValueAsLocalNumber,
-			initialValueFormat,
-			metadata
-		} = this.props
-
-		let {
-			defaultCountry,
-			countries
-		} = this.props
-
-		// Validate `defaultCountry`.
-		if (defaultCountry) {
-			if (!this.isCountrySupportedWithError(defaultCountry)) {
-				defaultCountry = undefined
-			}
-		}
+import usePhoneInputWithCountry from './usePhoneInputWithCountry.js'
+import useExamplePhoneNumbers from './useExamplePhoneNumbers.js'
+import useMetadata from './useMetadata.js'
+import useInputChangeReason from './useInputChangeReason.js'
+import useConstraintValidation from './useConstraintValidation.js'
 
-		// Validate `countries`.
-		countries = getSupportedCountries(countries, metadata)
+import { parseExtensionDigits, parseValueExtension } from './helpers/extension.js'
 
-		const phoneNumber = parsePhoneNumber(value, metadata)
+import { getValidationState } from './helpers/validation.js'
 
-		this.CountryIcon = createCountryIconComponent(this.props)
+import { isNonGeographicCountry } from './helpers/nonGeographic.js'
 
-		const preSelectedCountry = getPreSelectedCountry({
-			value,
-			phoneNumber,
-			defaultCountry,
-			required: !addInternationalOption,
-			countries: countries || getCountries(metadata),
-			getAnyCountry: () => this.getFirstSupportedCountry({ countries }),
-			metadata
-		})
+import setRef from './helpers/setRef.js'
 
-		this.state = {
-			// Workaround for `this.props` inside `getDerivedStateFromProps()`.
-			props: this.props,
-
-			// The country selected.
-			country: preSelectedCountry,
-
-			// `countries` are stored in `this.state` because they're filtered.
-			// For example, a developer might theoretically pass some unsupported
-			// countries as part of the `countries` property, and because of that
-			// the component uses `this.state.countries` (which are filtered)
-			// instead of `this.props.countries`
-			// (which could potentially contain unsupported countries).
-			countries,
-
-			// `phoneDigits` state property holds non-formatted user's input.
-			// The reason is that there's no way of finding out
-			// in which form should `value` be displayed: international or national.
-			// E.g. if `value` is `+78005553535` then it could be input
-			// by a user both as `8 (800) 555-35-35` and `+7 800 555 35 35`.
-			// Hence storing just `value` is not sufficient for correct formatting.
-			// E.g. if a user entered `8 (800) 555-35-35`
-			// then value is `+78005553535` and `phoneDigits` are `88005553535`
-			// and if a user entered `+7 800 555 35 35`
-			// then value is `+78005553535` and `phoneDigits` are `+78005553535`.
-			phoneDigits: getInitialPhoneDigits({
-				value,
-				phoneNumber,
-				defaultCountry,
-				international,
-				useNationalFormat: displayInitialValueAsLocalNumber || initialValueFormat === 'national',
-				metadata
-			}),
-
-			// `value` property is duplicated in state.
-			// The reason is that `getDerivedStateFromProps()`
-			// needs this `value` to compare to the new `value` property
-			// to find out if `phoneDigits` needs updating:
-			// If the `value` property was changed externally
-			// then it won't be equal to `state.value`
-			// in which case `phoneDigits` and `country` should be updated.
-			value
-		}
-	}
-
-	componentDidMount() {
-		const { onCountryChange } = this.props
-		let { defaultCountry } = this.props
-		const { country: selectedCountry } = this.state
-		if (onCountryChange) {
-			if (defaultCountry) {
-				if (!this.isCountrySupportedWithError(defaultCountry)) {
-					defaultCountry = undefined
-				}
-			}
-			if (selectedCountry !== defaultCountry) {
-				onCountryChange(selectedCountry)
-			}
+import {
+	getExamplePhoneNumberPlaceholder,
+	areExamplePhoneNumbersOfAllowedType
+} from './helpers/examplePhoneNumbers.js'
+
+function PhoneNumberInput({
+	metadata,
+	onMetadataError,
+	value,
+	defaultValue,
+	onChange,
+	...rest
+}, ref) {
+	// When neither `value` nor `onChange` property is passed, or when `defaultValue` property is passed,
+	// the component is "uncontrolled": it keeps the `value` in its own state.
+	// For example, it could be used in a server-rendered `<form/>` with `nativeForm` property.
+	const [isUncontrolled] = useState(value === undefined && (defaultValue !== undefined || !onChange))
+	const [uncontrolledValue, setUncontrolledValue] = useState(defaultValue)
+
+	const onUncontrolledChange = useCallback((...args) => {
+		setUncontrolledValue(args[0])
+		if (onChange) {
+			onChange(...args)
 		}
-	}
+	}, [onChange])
 
-	componentDidUpdate(prevProps, prevState) {
-		const { onCountryChange } = this.props
-		const { country } = this.state
-		// Call `onCountryChange` when user selects another country.
-		if (onCountryChange && country !== prevState.country) {
-			onCountryChange(country)
-		}
+	// `metadata` could be passed as a "loader" function,
+	// in which case the component is disabled until the metadata has been loaded.
+	const loadedMetadata = useMetadata(metadata, { onError: onMetadataError })
+	if (!loadedMetadata) {
+		return (
+			<PhoneNumberInputLoading
+				{...rest}
+				ref={ref}
+				value={isUncontrolled ? uncontrolledValue : value}/>
+		)
 	}
+	return (
+		<PhoneNumberInputWithMetadata
+			{...rest}
+			ref={ref}
+			value={isUncontrolled ? uncontrolledValue : value}
+			onChange={isUncontrolled ? onUncontrolledChange : onChange}
+			metadata={loadedMetadata}/>
+	)
+}
 
-	setInputRef = (instance) => {
-		this.inputRef.current = instance
-		const { inputRef: ref } = this.props
-		if (ref) {
-			if (typeof ref === 'function') {
-				ref(instance)
-			} else {
-				ref.current = instance
+// `ref` is forwarded to the phone number `<input/>`.
+// The component isn't re-rendered when its properties stay the same,
+// the same way it wasn't when it was a `React.PureComponent`.
+PhoneNumberInput = React.memo(React.forwardRef(PhoneNumberInput))
+
+// Is rendered while `metadata` is being loaded.
+let PhoneNumberInputLoading = ({
+	name,
+	value,
+	nativeForm,
+	disabled,
+	readOnly,
+	autoComplete = 'tel',
+	style,
+	className,
+	placeholder,
+	inputComponent: InputComponent = 'input',
+	numberInputProps,
+	containerComponent: ContainerComponent = 'div'
+}, ref) => {
+	return (
+		<ContainerComponent
+			aria-busy
+			style={{
+				...style,
+				flexDirection: 'row-reverse'
+			}}
+			className={classNames(className, 'PhoneInput', 'PhoneInput--disabled', 'PhoneInput--loading', {
+				'PhoneInput--readOnly': readOnly
+			})}>
+			<InputComponent
+				ref={ref}
+				type="tel"
+				autoComplete={autoComplete}
+				{...numberInputProps}
+				name={nativeForm ? undefined : name}
+				placeholder={placeholder === 'example' ? undefined : placeholder}
+				value=""
+				disabled
+				readOnly
+				className={classNames(
+					'PhoneInputInput',
+					numberInputProps && numberInputProps.className
+				)}/>
+			<div className="PhoneInputCountry">
+				<div className="PhoneInputCountryIcon PhoneInputCountryIcon--border"/>
+			</div>
+			{/* The `value` is still submitted while `metadata` is being loaded. */}
+			{nativeForm && name &&
+				<input
+					type="hidden"
+					name={name}
+					value={parseValueExtension(value).value || ''}/>
 			}
-		}
-	}
-
-	getCountrySelectOptions({ countries }) {
-		const {
-			international,
-			countryCallingCodeEditable,
-			countryOptionsOrder,
-			addInternationalOption,
-			labels,
-			locales,
-			metadata
-		} = this.props
-		return this.useMemoCountrySelectOptions(() => {
-			return sortCountryOptions(
-				getCountrySelectOptions({
-					countries: countries || getCountries(metadata),
-					countryNames: labels,
-					addInternationalOption: (international && countryCallingCodeEditable === false) ? false : addInternationalOption,
-					compareStringsLocales: locales,
-					// compareStrings
-				}),
-				getSupportedCountryOptions(countryOptionsOrder, metadata)
-			)
-		}, [
-			countries,
-			countryOptionsOrder,
-			addInternationalOption,
-			labels,
-			metadata
-		])
-	}
+		</ContainerComponent>
+	)
+}
 
-	useMemoCountrySelectOptions(generator, dependencies) {
-		if (
-			!this.countrySelectOptionsMemoDependencies ||
-			!areEqualArrays(dependencies, this.countrySelectOptionsMemoDependencies)
-		) {
-			this.countrySelectOptionsMemo = generator()
-			this.countrySelectOptionsMemoDependencies = dependencies
+PhoneNumberInputLoading = React.forwardRef(PhoneNumberInputLoading)
+
+function PhoneNumberInputWithMetadata({
+	// Generic HTML attributes.
+	name,
+	nativeForm,
+	countryInputName,
+	disabled,
+	readOnly,
+	// Remember (and autofill) the value as a phone number.
+	autoComplete = 'tel',
+	style,
+	className,
+	onFocus,
+	onBlur,
+	onPaste,
+
+	// Number `<input/>` properties.
+	inputComponent = 'input',
+	numberInputProps,
+	// Set to `false` to use "basic" caret instead of the "smart" one.
+	smartCaret = true,
+	formatOnBlur,
+
+	// Country `<select/>` properties.
+	countrySelectComponent: CountrySelectComponent = CountrySelect,
+	countrySelectProps,
+
+	// Container `<div/>` properties.
+	containerComponent: ContainerComponent = 'div',
+
+	// Country flag properties.
+	flags,
+	flagComponent = Flag,
+	// By default, uses icons from `country-flag-icons` gitlab pages website.
+	// Must be equal to `flagUrl` in `./CountryIcon.js`.
+	flagUrl = 'https://purecatamphetamine.github.io/country-flag-icons/3x2/{XX}.svg',
+	flagSpriteUrl,
+	loadFlag,
+	internationalIcon = InternationalIcon,
+
+	// Phone number state properties.
+	value: valueProperty,
+	valueFormat,
+	onValueMigration,
+	onChange,
+	withChangeDetails,
+	onCountryChange,
+	country: countryProperty,
+	defaultCountry,
+	countries,
+	countryOptionsOrder,
+	suggestedCountries,
+	countryGroups,
+	groupBy,
+	recentCountries,
+	recentCountriesStorage,
+	labels,
+	locales,
+	// compareStrings,
+	addInternationalOption = true,
+	international,
+	limitMaxLength = false,
+	countryCallingCodeEditable = true,
+	keepIDDPrefix,
+	// `displayInitialValueAsLocalNumber` property has been
+	// superceded by `initialValueFormat` property.
+	displayInitialValueAsLocalNumber,
+	initialValueFormat,
+	focusInputOnCountrySelection = true,
+	reset,
+	withExtension,
+	extension: extensionProperty,
+	onExtensionChange,
+	extensionInputProps,
+	handleRef,
+	validate,
+	onValidate,
+	nativeValidation,
+	allowedNumberTypes,
+	metadata,
+
+	// Get "rest" properties (passed through to number `<input/>`).
+	...rest
+}, ref) {
+	const [isFocused, setFocused] = useState(false)
+
+	// Whether the phone number `<input/>` has lost focus at least once.
+	const [isTouched, setTouched] = useState(false)
+
+	// Calls `onValidate()` property, if it's passed,
+	// after the phone number has been changed or when the phone number `<input/>` loses focus.
+	const _onValidate = (value) => {
+		if (onValidate) {
+			onValidate(getValidationState(value, metadata, {
+				labels,
+				allowedNumberTypes
+			}))
 		}
-		return this.countrySelectOptionsMemo
 	}
 
-	getFirstSupportedCountry({ countries }) {
-		const countryOptions = this.getCountrySelectOptions({ countries })
-		return countryOptions[0].value
-	}
-
-	// A shorthand for not passing `metadata` as a second argument.
-	isCountrySupportedWithError = (country) => {
-		const { metadata } = this.props
-		return isCountrySupportedWithError(country, metadata)
-	}
-
-	// Country `<select/>` `onChange` handler.
-	onCountryChange = (newCountry) => {
-		const {
-			international,
-			metadata,
-			onChange,
-			focusInputOnCountrySelection
-		} = this.props
-
-		const {
-			phoneDigits: prevPhoneDigits,
-			country: prevCountry
-		} = this.state
-
-		// After the new `country` has been selected,
-		// if the phone number `<input/>` holds any digits
-		// then migrate those digits for the new `country`.
-		const newPhoneDigits = getPhoneDigitsForNewCountry(prevPhoneDigits, {
-			prevCountry,
-			newCountry,
-			metadata,
-			// Convert the phone number to "national" format
-			// when the user changes the selected country by hand.
-			useNationalFormat: !international
-		})
-
-		const newValue = e164(newPhoneDigits, newCountry, metadata)
-
-		// Focus phone number `<input/>` upon country selection.
-		if (focusInputOnCountrySelection) {
-			this.inputRef.current.focus()
+	const {
+		country,
+		ambiguousCountries,
+		setCountry,
+		phoneDigits,
+		setPhoneDigits,
+		value: stateValue,
+		extension,
+		setExtension,
+		reset: resetState,
+		options: countrySelectOptions,
+		inputProps: {
+			ref: inputRef,
+			onPaste: onPhoneNumberPaste
+		},
+		countrySelectProps: {
+			onChange: onCountrySelectChange
 		}
-
-		// If the user has already manually selected a country
-		// then don't override that already selected country
-		// if the `defaultCountry` property changes.
-		// That's what `hasUserSelectedACountry` flag is for.
-
-		this.setState({
-			country: newCountry,
-			hasUserSelectedACountry: true,
-			phoneDigits: newPhoneDigits,
-			value: newValue
+	} = usePhoneInputWithCountry({
+		value: valueProperty,
+		valueFormat,
+		onValueMigration,
+		onChange: (value, details) => {
+			if (details) {
+				onChange(value, details)
+			} else {
+				onChange(value)
+			}
+			_onValidate(value)
 		},
-		() => {
-			// Update the new `value` property.
-			// Doing it after the `state` has been updated
-			// because `onChange()` will trigger `getDerivedStateFromProps()`
-			// with the new `value` which will be compared to `state.value` there.
-			onChange(newValue)
+		withChangeDetails,
+		onCountryChange,
+		country: countryProperty,
+		defaultCountry,
+		countries,
+		countryOptionsOrder,
+		suggestedCountries,
+		countryGroups,
+		groupBy,
+		recentCountries,
+		recentCountriesStorage,
+		labels,
+		locales,
+		addInternationalOption,
+		international,
+		countryCallingCodeEditable,
+		limitMaxLength,
+		keepIDDPrefix,
+		displayInitialValueAsLocalNumber,
+		initialValueFormat,
+		allowedNumberTypes,
+		focusInputOnCountrySelection,
+		withExtension,
+		extension: extensionProperty,
+		onExtensionChange,
+		reset,
+		metadata
+	})
+
+	// Finds out whether the phone number has been input, pasted or autofilled.
+	const {
+		onInput: onPhoneNumberInput,
+		onChange: onPhoneNumberChange
+	} = useInputChangeReason({
+		onInput: rest.onInput,
+		onChange: setPhoneDigits
+	})
+
+	const setInputRef = useCallback((instance) => {
+		inputRef.current = instance
+		setRef(ref, instance)
+	}, [ref])
+
+	// Marks the phone number `<input/>` as invalid for the HTML Constraint Validation API.
+	useConstraintValidation({
+		nativeValidation,
+		inputRef,
+		value: stateValue,
+		phoneDigits,
+		required: rest.required,
+		labels,
+		allowedNumberTypes,
+		metadata
+	})
+
+	// The "imperative handle" of the component is passed to `handleRef`.
+	// It's not passed to `ref` because `ref` is forwarded to the `<input/>`.
+	const latest = useRef()
+	latest.current = {
+		country,
+		phoneDigits,
+		value: stateValue,
+		setCountry,
+		reset: resetState,
+		getValidationState: () => getValidationState(stateValue, metadata, {
+			labels,
+			allowedNumberTypes
 		})
 	}
-
-	/**
-	 * `<input/>` `onChange()` handler.
-	 * Updates `value` property accordingly (so that they are kept in sync).
-	 * @param {string?} input — Either a parsed phone number or an empty string. Examples: `""`, `"+"`, `"+123"`, `"123"`.
-	 */
-	onChange = (_phoneDigits) => {
-		const {
-			defaultCountry,
-			onChange,
-			addInternationalOption,
-			international,
-			limitMaxLength,
-			countryCallingCodeEditable,
-			metadata
-		} = this.props
-
-		const {
-			countries,
-			phoneDigits: prevPhoneDigits,
-			country: currentlySelectedCountry
-		} = this.state
-
-		const {
-			phoneDigits,
-			country,
-			value
-		} = onPhoneDigitsChange(_phoneDigits, {
-			prevPhoneDigits,
-			country: currentlySelectedCountry,
-			countryRequired: !addInternationalOption,
-			defaultCountry,
-			getAnyCountry: () => this.getFirstSupportedCountry({ countries }),
-			countries,
-			international,
-			limitMaxLength,
-			countryCallingCodeEditable,
-			metadata
+	useImperativeHandle(handleRef, () => ({
+		focus: () => inputRef.current.focus(),
+		reset: () => latest.current.reset(),
+		setCountry: (country) => latest.current.setCountry(country),
+		getCountry: () => latest.current.country,
+		getPhoneDigits: () => latest.current.phoneDigits,
+		getValidationState: () => latest.current.getValidationState()
+	}), [])
+
+	const CountryIcon = useMemo(() => {
+		return createCountryIconComponent({
+			flags,
+			flagUrl,
+			flagSpriteUrl,
+			loadFlag,
+			flagComponent,
+			internationalIcon
 		})
+	}, [flags, flagUrl, flagSpriteUrl, loadFlag, flagComponent, internationalIcon])
 
-		const stateUpdate = {
-			phoneDigits,
-			value,
-			country
+	/**
+	 * When the user pastes some text, the first phone number found in it
+	 * replaces the phone number `<input/>` value, and the country is selected accordingly.
+	 * For example, "Call me at (+44) 20 7946 0958" or "tel:+1-213-373-4253".
+	 */
+	const _onPaste = (event) => {
+		if (onPaste) {
+			onPaste(event)
 		}
-
-		if (countryCallingCodeEditable === false) {
-			// If it simply did `setState({ phoneDigits: intlPrefix })` here,
-			// then it would have no effect when erasing an inital international prefix
-			// via Backspace, because `phoneDigits` in `state` wouldn't change
-			// as a result, because it was `prefix` and it became `prefix`,
-			// so the component wouldn't rerender, and the user would be able
-			// to erase the country calling code part, and that part is
-			// assumed to be non-eraseable. That's why the component is
-			// forcefully rerendered here.
-			// https://github.com/catamphetamine/react-phone-number-input/issues/367#issuecomment-721703501
-			if (!value && phoneDigits === this.state.phoneDigits) {
-				// Force a re-render of the `<input/>` in order to reset its value.
-				stateUpdate.forceRerender = {}
-			}
+		if (event.defaultPrevented || readOnly) {
+			return
 		}
-
-		this.setState(
-			stateUpdate,
-			// Update the new `value` property.
-			// Doing it after the `state` has been updated
-			// because `onChange()` will trigger `getDerivedStateFromProps()`
-			// with the new `value` which will be compared to `state.value` there.
-			() => onChange(value)
-		)
+		onPhoneNumberPaste(event)
 	}
 
-	// Toggles the `--focus` CSS class.
-	_onFocus = () => this.setState({ isFocused: true })
-
-	// Toggles the `--focus` CSS class.
-	_onBlur = () => this.setState({ isFocused: false })
+	// Extension `<input/>` `onChange()` handler.
+	const onExtensionInputChange = (event) => {
+		setExtension(parseExtensionDigits(event.target.value) || undefined)
+	}
 
-	onFocus = (event) => {
-		this._onFocus()
-		const { onFocus } = this.props
+	const _onFocus = (event) => {
+		// Toggles the `--focus` CSS class.
+		setFocused(true)
 		if (onFocus) {
 			onFocus(event)
 		}
 	}
 
-	onBlur = (event) => {
-		const { onBlur } = this.props
-		this._onBlur()
+	const _onBlur = (event) => {
+		// Toggles the `--focus` CSS class.
+		setFocused(false)
 		if (onBlur) {
 			onBlur(event)
 		}
+		// When `validate` property is `true`, the phone number
+		// is only marked as invalid after the user has left the `<input/>`
+		// so that it's not marked as invalid while the user is still typing.
+		setTouched(true)
+		_onValidate(stateValue)
 	}
 
-	onCountryFocus = (event) => {
-		this._onFocus()
-		// this.setState({ countrySelectFocused: true })
-		const { countrySelectProps } = this.props
-		if (countrySelectProps) {
-			const { onFocus } = countrySelectProps
-			if (onFocus) {
-				onFocus(event)
-			}
+	const onCountryFocus = (event) => {
+		// Toggles the `--focus` CSS class.
+		setFocused(true)
+		if (countrySelectProps && countrySelectProps.onFocus) {
+			countrySelectProps.onFocus(event)
 		}
 	}
 
-	onCountryBlur = (event) => {
-		this._onBlur()
-		// this.setState({ countrySelectFocused: false })
-		const { countrySelectProps } = this.props
-		if (countrySelectProps) {
-			const { onBlur } = countrySelectProps
-			if (onBlur) {
-				onBlur(event)
-			}
+	const onCountryBlur = (event) => {
+		// Toggles the `--focus` CSS class.
+		setFocused(false)
+		if (countrySelectProps && countrySelectProps.onBlur) {
+			countrySelectProps.onBlur(event)
 		}
 	}
 
-	// `state` holds previous props as `props`, and also:
-	// * `country` — The currently selected country, e.g. `"RU"`.
-	// * `value` — The currently entered phone number (E.164), e.g. `+78005553535`.
-	// * `phoneDigits` — The parsed `<input/>` value, e.g. `8005553535`.
-	// (and a couple of other less significant properties)
-	static getDerivedStateFromProps(props, state) {
-		return {
-			// Emulate `prevProps` via `state.props`.
-			props,
-			...getPhoneInputWithCountryStateUpdateFromNewProps(props, state.props, state)
-		}
+	// Example phone numbers for `placeholder="example"`.
+	// Are loaded on demand.
+	const examplePhoneNumbers = useExamplePhoneNumbers(rest.placeholder === 'example')
+	if (rest.placeholder === 'example') {
+		// `libphonenumber-js` only provides example phone numbers for mobile phones.
+		rest.placeholder = areExamplePhoneNumbersOfAllowedType(allowedNumberTypes)
+			? getExamplePhoneNumberPlaceholder({
+				examples: examplePhoneNumbers,
+				country,
+				international,
+				withCountryCallingCode: true,
+				metadata
+			})
+			: undefined
 	}
 
-	render() {
-		const {
-			// Generic HTML attributes.
-			name,
-			disabled,
-			readOnly,
-			autoComplete,
-			style,
-			className,
-
-			// Number `<input/>` properties.
-			inputRef,
-			inputComponent,
-			numberInputProps,
-			smartCaret,
-
-			// Country `<select/>` properties.
-			countrySelectComponent: CountrySelectComponent,
-			countrySelectProps,
-
-			// Container `<div/>` properties.
-			containerComponent: ContainerComponent,
-
-			// Get "rest" properties (passed through to number `<input/>`).
-			defaultCountry,
-			countries: countriesProperty,
-			countryOptionsOrder,
-			labels,
-			flags,
-			flagComponent,
-			flagUrl,
-			addInternationalOption,
-			internationalIcon,
-			// `displayInitialValueAsLocalNumber` property has been
-			// superceded by `initialValueFormat` property.
-			displayInitialValueAsLocalNumber,
-			initialValueFormat,
-			onCountryChange,
-			limitMaxLength,
-			countryCallingCodeEditable,
-			focusInputOnCountrySelection,
-			reset,
-			metadata,
-			international,
-			locales,
-			// compareStrings,
-			...rest
-		} = this.props
-
-		const {
-			country,
-			countries,
-			phoneDigits,
-			isFocused
-		} = this.state
-
-		const InputComponent = smartCaret ? InputSmart : InputBasic
-
-		const countrySelectOptions = this.getCountrySelectOptions({ countries })
+	// An empty phone number isn't considered invalid.
+	const isInvalid = Boolean(validate && isTouched && stateValue && !getValidationState(stateValue, metadata, { allowedNumberTypes }).isValid)
 
-		return (
-			<ContainerComponent
-				style={{
-					...style,
-					flexDirection: 'row-reverse'
-				}}
-				className={classNames(className, 'PhoneInput', {
-					'PhoneInput--focus': isFocused,
-					'PhoneInput--disabled': disabled,
-					'PhoneInput--readOnly': readOnly
-				})}>
-				{/* Phone number `<input/>` */}
-				<InputComponent
-					ref={this.setInputRef}
-					type="tel"
-					autoComplete={autoComplete}
-					{...numberInputProps}
-					{...rest}
-					name={name}
-					metadata={metadata}
-					country={country}
-					value={phoneDigits || ''}
-					onChange={this.onChange}
-					onFocus={this.onFocus}
-					onBlur={this.onBlur}
-					disabled={disabled}
-					readOnly={readOnly}
-					inputComponent={inputComponent}
-					className={classNames(
-						'PhoneInputInput',
-						numberInputProps && numberInputProps.className,
-						rest.className
-					)}/>
-				{/* Country `<select/>` */}
-				<CountrySelectComponent
-					name={name ? `${name}Country` : undefined}
-					aria-label={labels.country}
-					{...countrySelectProps}
-					value={country}
-					options={countrySelectOptions}
-					onChange={this.onCountryChange}
-					onFocus={this.onCountryFocus}
-					onBlur={this.onCountryBlur}
-					disabled={disabled || (countrySelectProps && countrySelectProps.disabled)}
-					readOnly={readOnly || (countrySelectProps && countrySelectProps.readOnly)}
-					iconComponent={this.CountryIcon}/>
-			</ContainerComponent>
-		)
+	const InputComponent = smartCaret ? InputSmart : InputBasic
+
+	// When `nativeForm` property is passed, the `name` is given to a hidden `<input/>`
+	// carrying the `value` (E.164) rather than to the phone number `<input/>`
+	// carrying the formatted phone number, and the country is submitted via another hidden `<input/>`.
+	// "International" or a "non-geographic" country is submitted as an empty string.
+	if (countryInputName === undefined && name) {
+		countryInputName = `${name}Country`
 	}
+
+	return (
+		<ContainerComponent
+			style={{
+				...style,
+				flexDirection: 'row-reverse'
+			}}
+			className={classNames(className, 'PhoneInput', {
+				'PhoneInput--focus': isFocused,
+				'PhoneInput--disabled': disabled,
+				'PhoneInput--readOnly': readOnly,
+				'PhoneInput--invalid': isInvalid
+			})}>
+			{/* Phone number `<input/>` */}
+			<InputComponent
+				ref={setInputRef}
+				type="tel"
+				autoComplete={autoComplete}
+				{...numberInputProps}
+				{...rest}
+				name={nativeForm ? undefined : name}
+				aria-invalid={validate ? isInvalid : rest['aria-invalid']}
+				metadata={metadata}
+				// "Non-geographic" phone numbers, like `+80012345678`,
+				// are always input in international format.
+				country={isNonGeographicCountry(country) ? undefined : country}
+				value={phoneDigits || ''}
+				onChange={onPhoneNumberChange}
+				onInput={onPhoneNumberInput}
+				// When `international` property is `true`, the phone number
+				// can't be converted to "national" format.
+				formatOnBlur={formatOnBlur === 'national' && international ? true : formatOnBlur}
+				onFocus={_onFocus}
+				onBlur={_onBlur}
+				onPaste={_onPaste}
+				disabled={disabled}
+				readOnly={readOnly}
+				inputComponent={inputComponent}
+				className={classNames(
+					'PhoneInputInput',
+					numberInputProps && numberInputProps.className,
+					rest.className
+				)}/>
+			{/* Extension `<input/>` */}
+			{withExtension &&
+				<div className="PhoneInputExtension">
+					<span
+						aria-hidden
+						className="PhoneInputExtensionLabel">
+						{labels.ext}
+					</span>
+					<input
+						type="text"
+						inputMode="numeric"
+						autoComplete="tel-extension"
+						name={name ? `${name}Extension` : undefined}
+						aria-label={labels.ext}
+						{...extensionInputProps}
+						value={extension || ''}
+						onChange={onExtensionInputChange}
+						onFocus={_onFocus}
+						onBlur={_onBlur}
+						disabled={disabled}
+						readOnly={readOnly}
+						className={classNames(
+							'PhoneInputExtensionInput',
+							extensionInputProps && extensionInputProps.className
+						)}/>
+				</div>
+			}
+			{/* Country `<select/>` */}
+			<CountrySelectComponent
+				name={nativeForm ? undefined : countryInputName}
+				aria-label={labels.country}
+				{...countrySelectProps}
+				value={country}
+				ambiguousCountries={ambiguousCountries}
+				options={countrySelectOptions}
+				onChange={onCountrySelectChange}
+				onFocus={onCountryFocus}
+				onBlur={onCountryBlur}
+				metadata={metadata}
+				disabled={disabled || (countrySelectProps && countrySelectProps.disabled)}
+				readOnly={readOnly || (countrySelectProps && countrySelectProps.readOnly)}
+				iconComponent={CountryIcon}/>
+			{/* Hidden `<input/>`s for a native `<form/>` submission */}
+			{nativeForm && name &&
+				<input
+					type="hidden"
+					name={name}
+					value={stateValue || ''}/>
+			}
+			{nativeForm && countryInputName &&
+				<input
+					type="hidden"
+					name={countryInputName}
+					value={country && !isNonGeographicCountry(country) ? country : ''}/>
+			}
+		</ContainerComponent>
+	)
 }
 
-// This wrapper is only to `.forwardRef()` to the `<input/>`.
-const PhoneNumberInput = React.forwardRef((props, ref) => (
-	<PhoneNumberInput_ {...props} inputRef={ref}/>
-))
+PhoneNumberInputWithMetadata = React.forwardRef(PhoneNumberInputWithMetadata)
 
 PhoneNumberInput.propTypes = {
 	/**
@@ -527,6 +555,9 @@ PhoneNumberInput.propTypes = {
 	 * `"+12223333333"`
 	 *
 	 * Any "falsy" value like `undefined`, `null` or an empty string `""` is treated like "empty".
+	 *
+	 * Could also include a phone number extension as an RFC 3966 `;ext=` suffix.
+	 * Example: `"+12223333333;ext=1234"`.
 	 */
 	value: PropTypes.string,
 
@@ -536,8 +567,25 @@ PhoneNumberInput.propTypes = {
 	 * Updates the `value` property as the user inputs a phone number.
 	 *
 	 * If the user erases the input value, the argument is `undefined`.
+	 *
+	 * When `withChangeDetails` property is passed, there's a second argument:
+	 * an object of shape `{ country: string?, phoneDigits: string, formattedValue: string, nationalNumber: string?, isPossible: boolean, isValid: boolean, reason: string }`.
+	 *
+	 * Is only required when `value` property is passed.
+	 */
+	onChange: PropTypes.func,
+
+	/**
+	 * Pass `withChangeDetails` property to receive a second argument in `onChange(value, details)`.
+	 * * `country` — The selected country. When "International" option is selected, it's the country of the phone number, if it could be determined.
+	 * * `phoneDigits` — The phone number digits that've been input (and a leading `+`).
+	 * * `formattedValue` — The phone number `<input/>` value.
+	 * * `nationalNumber` — The "national (significant) number" part of the phone number.
+	 * * `isPossible` — Whether the phone number is "possible" (has a valid length).
+	 * * `isValid` — Whether the phone number is valid (and is of one of the `allowedNumberTypes`).
+	 * * `reason` — One of: `"input"`, `"paste"`, `"country-change"`, `"reset"`, `"autofill"`, `"migration"`.
 	 */
-	onChange: PropTypes.func.isRequired,
+	withChangeDetails: PropTypes.bool,
 
 	/**
 	 * Toggles the `--focus` CSS class.
@@ -584,7 +632,44 @@ PhoneNumberInput.propTypes = {
 	 *  what was submitted previously".
 	 */
 	// (is `"tel"` by default)
-	autoComplete: PropTypes.string.isRequired,
+	autoComplete: PropTypes.string,
+
+	/**
+	 * HTML `name` attribute of the phone number `<input/>`.
+	 * The country `<select/>` gets a `${name}Country` name,
+	 * and the extension `<input/>` gets a `${name}Extension` name.
+	 * When `nativeForm` property is passed, the `name` is given to a hidden `<input/>` instead.
+	 */
+	name: PropTypes.string,
+
+	/**
+	 * Pass `nativeForm` property when the phone number is submitted via a native `<form/>`
+	 * rather than via `onChange()`. A native `<form/>` would submit the formatted `<input/>` value,
+	 * like `"(213) 373-4253"`, and `"ZZ"` for "International" country.
+	 * With `nativeForm` property, the `value` (E.164) is submitted under the `name`
+	 * and the selected country is submitted under the `countryInputName`
+	 * via hidden `<input/>`s. "International" is submitted as an empty string.
+	 */
+	nativeForm: PropTypes.bool,
+
+	/**
+	 * HTML `name` of the country. Is `${name}Country` by default.
+	 * When `nativeForm` property is passed, it's the name of a hidden `<input/>`.
+	 * Otherwise, it's the name of the country `<select/>`.
+	 */
+	countryInputName: PropTypes.string,
+
+	/**
+	 * The phone number `<input/>` placeholder.
+	 * Pass `"example"` to show an example phone number for the selected country.
+	 * The example phone number is formatted in national or international format
+	 * depending on the `international` property.
+	 * Example phone numbers are mobile phone numbers, so they're not shown
+	 * when `allowedNumberTypes` doesn't include `"MOBILE"` or `"FIXED_LINE_OR_MOBILE"`.
+	 * Example phone numbers are loaded on demand
+	 * so that they don't increase the bundle size.
+	 */
+	placeholder: PropTypes.string,
 
 	/**
 	 * Set to `"national"` to show the initial `value` in
@@ -612,13 +697,32 @@ PhoneNumberInput.propTypes = {
 	// superceded by `initialValueFormat` property.
 	displayInitialValueAsLocalNumber: PropTypes.bool,
 
+	/**
+	 * The selected country, when it's controlled by the application.
+	 * For example, when it's synchronized with a "shipping country" field of a form.
+	 * Should be updated in `onCountryChange(country)`:
+	 * until then, the selected country stays the same.
+	 * When it changes, the phone number digits are migrated for the new country.
+	 * `null` means "International".
+	 *
+	 * Example: `"US"`.
+	 */
+	// A two-letter country code ("ISO 3166-1 alpha-2"),
+	// or a "non-geographic" country calling code like `"+800"`.
+	country: PropTypes.string,
+
 	/**
 	 * The country to be selected by default.
 	 * For example, can be set after a GeoIP lookup.
 	 *
 	 * Example: `"US"`.
+	 *
+	 * Pass `"auto"` to guess the country from the web browser's
+	 * time zone and languages (see `detectCountry()`).
+	 * Only the `countries` could be detected.
 	 */
-	// A two-letter country code ("ISO 3166-1 alpha-2").
+	// A two-letter country code ("ISO 3166-1 alpha-2"),
+	// or a "non-geographic" country calling code like `"+800"`.
 	defaultCountry: PropTypes.string,
 
 	/**
@@ -627,6 +731,9 @@ PhoneNumberInput.propTypes = {
 	 * Example:
 	 *
 	 * `["RU", "UA", "KZ"]`
+	 *
+	 * "Non-geographic" country calling codes, like `"+800"`,
+	 * are only available for selection when they're listed.
 	 */
 	countries: PropTypes.arrayOf(PropTypes.string),
 
@@ -683,7 +790,18 @@ PhoneNumberInput.propTypes = {
 	 * one should check the `CHANGELOG.md` every time before updating this library,
 	 * otherwise there's a possibility that some new country flag would be missing.
 	 */
-	flagUrl: PropTypes.string.isRequired,
+	flagUrl: PropTypes.string,
+
+	/**
+	 * A URL of an SVG sprite sheet with country flag icons.
+	 * Such sprite sheet could be generated for a given list of countries
+	 * using `runnable/generate-flag-sprite.js` script.
+	 * When passed, flags are rendered as `<svg><use href="{flagSpriteUrl}#{XX}"/></svg>`
+	 * and `flagUrl` property is ignored.
+	 * Could be used when the default `flagUrl` is not allowed by the
+	 * Content Security Policy, or in an offline application.
+	 */
+	flagSpriteUrl: PropTypes.string,
 
 	/**
 	 * Custom country flag icon components.
@@ -709,6 +827,24 @@ PhoneNumberInput.propTypes = {
 	 */
 	flags: PropTypes.objectOf(PropTypes.elementType),
 
+	/**
+	 * A function of `country` returning a `Promise` of a country flag icon component
+	 * (or of a module having such component as its `default` export).
+	 * Can be used instead of `flags` to only load the flags that're being shown.
+	 * Each flag is loaded when it's rendered for the first time and is then cached.
+	 * Until then, a placeholder `<div/>` having a `PhoneInputCountryFlag--loading`
+	 * CSS class is rendered.
+	 *
+	 * Should be a "stable" function, i.e. not a new function on every render.
+	 *
+	 * Example:
+	 *
+	 * `const loadFlag = (country) => import('./flags/' + country + '.js')`
+	 *
+	 * `<PhoneInput loadFlag={loadFlag} .../>`
+	 */
+	loadFlag: PropTypes.func,
+
 	/**
 	 * Country flag icon component.
 	 *
@@ -717,14 +853,16 @@ PhoneNumberInput.propTypes = {
 	 * * `country: string` — The country code.
 	 * * `countryName: string` — The country name.
 	 * * `flagUrl: string` — The `flagUrl` property (see above).
+	 * * `flagSpriteUrl: string` — The `flagSpriteUrl` property (see above).
+	 * * `loadFlag: function` — The `loadFlag` property (see above).
 	 * * `flags: object` — The `flags` property (see above).
 	 */
-	flagComponent: PropTypes.elementType.isRequired,
+	flagComponent: PropTypes.elementType,
 
 	/**
 	 * Set to `false` to remove the "International" option from country `<select/>`.
 	 */
-	addInternationalOption: PropTypes.bool.isRequired,
+	addInternationalOption: PropTypes.bool,
 
 	/**
 	 * "International" icon component.
@@ -734,7 +872,7 @@ PhoneNumberInput.propTypes = {
 	 *
 	 * * `title: string` — "International" country option label.
 	 */
-	internationalIcon: PropTypes.elementType.isRequired,
+	internationalIcon: PropTypes.elementType,
 
 	/**
 	 * Can be used to place some countries on top of the list of country `<select/>` options.
@@ -750,6 +888,54 @@ PhoneNumberInput.propTypes = {
 	 */
 	countryOptionsOrder: PropTypes.arrayOf(PropTypes.string),
 
+	/**
+	 * Countries that are shown in a "Suggested" group
+	 * on top of the list of country `<select/>` options.
+	 * For example, the countries where most of the users are from.
+	 *
+	 * Example: `["US", "CA"]`.
+	 */
+	suggestedCountries: PropTypes.arrayOf(PropTypes.string),
+
+	/**
+	 * Arranges the country `<select/>` options in groups.
+	 * Each group is rendered as an `<optgroup/>`.
+	 * Countries that aren't listed in any group are shown at the bottom.
+	 *
+	 * Example: `[{ label: "North America", countries: ["US", "CA", "MX"] }]`.
+	 */
+	countryGroups: PropTypes.arrayOf(PropTypes.shape({
+		label: PropTypes.string.isRequired,
+		countries: PropTypes.arrayOf(PropTypes.string).isRequired
+	})),
+
+	/**
+	 * Pass `"region"` to group the country `<select/>` options by region:
+	 * "Africa", "Americas", "Asia", "Europe" and "Oceania".
+	 * Region names are taken from the `labels`.
+	 * Is ignored when `countryGroups` property is passed.
+	 */
+	groupBy: PropTypes.oneOf(['region']),
+
+	/**
+	 * Pass `true` to show the countries that've been recently selected by the user
+	 * in a "Recent" group on top of the list of country `<select/>` options.
+	 * Recently selected countries are stored in `recentCountriesStorage`.
+	 */
+	recentCountries: PropTypes.bool,
+
+	/**
+	 * A storage for the recently selected countries.
+	 * Should have the same `getItem(key)` and `setItem(key, value)` methods as `localStorage`.
+	 * Is `localStorage` by default.
+	 * `createInMemoryStorage()` could be used to not persist recently selected countries,
+	 * or in tests.
+	 */
+	recentCountriesStorage: PropTypes.shape({
+		getItem: PropTypes.func.isRequired,
+		setItem: PropTypes.func.isRequired
+	}),
+
 	/**
 	 * `<Phone/>` component CSS style object.
 	 */
@@ -767,17 +953,19 @@ PhoneNumberInput.propTypes = {
 	 *
 	 * * `name: string?` — HTML `name` attribute.
 	 * * `value: string?` — The currently selected country code.
+	 * * `ambiguousCountries: string[]?` — When "International" is selected and the phone number being input starts with a country calling code that's shared by several countries, like `+1`, these're the countries that the phone number could belong to.
 	 * * `onChange(value: string?)` — Updates the `value`.
 	 * * `onFocus()` — Is used to toggle the `--focus` CSS class.
 	 * * `onBlur()` — Is used to toggle the `--focus` CSS class.
 	 * * `options: object[]` — The list of all selectable countries (including "International") each being an object of shape `{ value: string?, label: string }`.
-	 * * `iconComponent: PropTypes.elementType` — React component that renders a country icon: `<Icon country={value}/>`. If `country` is `undefined` then it renders an "International" icon.
+	 * * `iconComponent: PropTypes.elementType` — React component that renders a country icon: `<Icon country={value}/>`. If `country` is `undefined` then it renders an "International" icon. If `country` is `undefined` and `countryCallingCode` is passed then it renders a "shared country calling code" icon: `<Icon countryCallingCode="1"/>`.
+	 * * `metadata: object` — `libphonenumber-js` metadata. Can be used to get the country calling code of an option.
 	 * * `disabled: boolean?` — HTML `disabled` attribute.
 	 * * `readOnly: boolean?` — HTML `readOnly` attribute.
 	 * * `tabIndex: (number|string)?` — HTML `tabIndex` attribute.
 	 * * `className: string` — CSS class name.
 	 */
-	countrySelectComponent: PropTypes.elementType.isRequired,
+	countrySelectComponent: PropTypes.elementType,
 
 	/**
 	 * Country `<select/>` component props.
@@ -799,7 +987,7 @@ PhoneNumberInput.propTypes = {
 	 *
 	 * Must also either use `React.forwardRef()` to "forward" `ref` to the `<input/>` or implement `.focus()` method.
 	 */
-	inputComponent: PropTypes.elementType.isRequired,
+	inputComponent: PropTypes.elementType,
 
 	/**
 	 * Wrapping `<div/>` component.
@@ -809,7 +997,7 @@ PhoneNumberInput.propTypes = {
 	 * * `style: object` — A component CSS style object.
 	 * * `className: string` — Classes to attach to the component, typically changes when component focuses or blurs.
 	 */
-	containerComponent: PropTypes.elementType.isRequired,
+	containerComponent: PropTypes.elementType,
 
 	/**
 	 * Phone number `<input/>` component props.
@@ -828,7 +1016,18 @@ PhoneNumberInput.propTypes = {
 	 * with caret position during phone number input.
 	 */
 	// Is `true` by default.
-	smartCaret: PropTypes.bool.isRequired,
+	smartCaret: PropTypes.bool,
+
+	/**
+	 * Set to `true` to fully format the phone number when the `<input/>` loses focus.
+	 * For example, an autofilled `+12133734253` is shown as `+1 213 373 4253`.
+	 * Set to `"national"` to also convert an international phone number
+	 * of the selected country to "national" format: `+1 213 373 4253` → `(213) 373-4253`.
+	 */
+	formatOnBlur: PropTypes.oneOfType([
+		PropTypes.bool,
+		PropTypes.oneOf(['national'])
+	]),
 
 	/**
 	 * Set to `true` to force "international" phone number format.
@@ -841,26 +1040,76 @@ PhoneNumberInput.propTypes = {
 	 * If set to `true`, the phone number input will get trimmed
 	 * if it exceeds the maximum length for the country.
 	 */
-	limitMaxLength: PropTypes.bool.isRequired,
+	limitMaxLength: PropTypes.bool,
 
 	/**
 	 * If set to `false`, and `international` is `true`, then
 	 * users won't be able to erase the "country calling part"
 	 * of a phone number in the `<input/>`.
 	 */
-	countryCallingCodeEditable: PropTypes.bool.isRequired,
+	countryCallingCodeEditable: PropTypes.bool,
+
+	/**
+	 * A user may input an international phone number using an
+	 * "international dialing prefix" (of the selected country, or of the `defaultCountry`)
+	 * instead of a `+`. For example, `00` in Europe or `011` in the US:
+	 * `0049 30 1234567` or `011 44 20 7946 0958`.
+	 * Such phone number is recognized as an international one
+	 * and the corresponding country gets selected.
+	 * By default, the international dialing prefix is replaced with a `+` in the `<input/>`.
+	 * Set to `true` to keep the international dialing prefix in the `<input/>` the way the user has input it.
+	 * (it's only kept when it's an international dialing prefix of the selected country too)
+	 */
+	keepIDDPrefix: PropTypes.bool,
+
+	/**
+	 * Some users requested a way to reset the component:
+	 * both number `<input/>` and country `<select/>`.
+	 * Whenever `reset` property changes both number `<input/>`
+	 * and country `<select/>` are reset.
+	 * An alternative is calling `.reset()` method of the `handleRef`
+	 * "imperative handle", because `ref` is forwarded to `<input/>`.
+	 * It's also not replaced with just resetting `country` on
+	 * external `value` reset, because a user could select a country
+	 * and then not input any `value`, and so the selected country
+	 * would be "stuck", if not using this `reset` property.
+	 */
+	// https://github.com/catamphetamine/react-phone-number-input/issues/300
+	reset: PropTypes.any,
 
 	/**
 	 * `libphonenumber-js` metadata.
 	 *
 	 * Can be used to pass custom `libphonenumber-js` metadata
 	 * to reduce the overall bundle size for those who compile "custom" metadata.
+	 *
+	 * Could also be a metadata "loader": a function returning a `Promise`
+	 * (or a `Promise` itself). For example, `() => import('libphonenumber-js/min/metadata')`.
+	 * In that case, the component is disabled until the metadata has been loaded.
+	 * When another loader is passed, the metadata is loaded using that loader,
+	 * so a loader shouldn't be an "inline" function.
+	 */
+	metadata: PropTypes.oneOfType([
+		metadataPropType,
+		metadataLoaderPropType
+	]).isRequired,
+
+	/**
+	 * Is called when a metadata "loader" fails: `onMetadataError(error)`.
+	 * The component then stays disabled. To retry, pass another loader.
+	 * By default, the `error` is output to the console.
 	 */
-	metadata: metadataPropType.isRequired,
+	onMetadataError: PropTypes.func,
 
 	/**
 	 * Is called every time the selected country changes:
 	 * either programmatically or when user selects it manually from the list.
+	 *
+	 * The second argument is an object of shape `{ candidates: string[], confident: boolean }`.
+	 * `candidates` are the countries that the phone number could belong to.
+	 * `confident` is `false` when "International" is selected and the phone number
+	 * starts with a country calling code that's shared by several countries, like `+1`.
+	 * In that case, it's called every time the `candidates` change.
 	 */
 	// People have been asking for a way to get the selected country.
 	// @see  https://github.com/catamphetamine/react-phone-number-input/issues/128
@@ -881,113 +1130,118 @@ PhoneNumberInput.propTypes = {
 	 *  does not automatically cause a change of context unless the user
 	 *  has been advised of the behaviour before using the component."
 	 */
-	focusInputOnCountrySelection: PropTypes.bool.isRequired
-}
+	focusInputOnCountrySelection: PropTypes.bool,
 
-PhoneNumberInput.defaultProps = {
 	/**
-	 * Remember (and autofill) the value as a phone number.
+	 * Set to `true` to show a phone number extension `<input/>`
+	 * after the phone number `<input/>`.
+	 * The extension `<input/>` is labelled with the `ext` label from `labels`.
 	 */
-	autoComplete: 'tel',
+	withExtension: PropTypes.bool,
 
 	/**
-	 * Country `<select/>` component.
+	 * Phone number extension digits.
+	 * Example: `"1234"`.
+	 * The extension could also be passed as part of the `value`:
+	 * `"+12223333333;ext=1234"`.
 	 */
-	countrySelectComponent: CountrySelect,
+	extension: PropTypes.string,
 
 	/**
-	 * Flag icon component.
-	 */
-	flagComponent: Flag,
-
-	/**
-	 * By default, uses icons from `country-flag-icons` gitlab pages website.
-	 */
-	// Must be equal to `flagUrl` in `./CountryIcon.js`.
-	flagUrl: 'https://purecatamphetamine.github.io/country-flag-icons/3x2/{XX}.svg',
-
-	/**
-	 * Default "International" country `<select/>` option icon.
-	 */
-	internationalIcon: InternationalIcon,
-
-	/**
-	 * Phone number `<input/>` component.
+	 * A function of `extension: string?`.
+	 * Is called when the user edits the extension.
+	 * If the user erases the extension, the argument is `undefined`.
 	 */
-	inputComponent: 'input',
+	onExtensionChange: PropTypes.func,
 
 	/**
-	 * Wrapping `<div/>` component.
+	 * Extension `<input/>` props.
 	 */
-	containerComponent: 'div',
-
-	/**
-	 * Some users requested a way to reset the component:
-	 * both number `<input/>` and country `<select/>`.
-	 * Whenever `reset` property changes both number `<input/>`
-	 * and country `<select/>` are reset.
-	 * It's not implemented as some instance `.reset()` method
-	 * because `ref` is forwarded to `<input/>`.
-	 * It's also not replaced with just resetting `country` on
-	 * external `value` reset, because a user could select a country
-	 * and then not input any `value`, and so the selected country
-	 * would be "stuck", if not using this `reset` property.
-	 */
-	// https://github.com/catamphetamine/react-phone-number-input/issues/300
-	reset: PropTypes.any,
+	extensionInputProps: PropTypes.object,
 
 	/**
+	 * A `ref` that receives an "imperative handle" of the component:
+	 * an object having methods to control the component programmatically.
+	 * (`ref` itself is forwarded to the phone number `<input/>`)
 	 *
+	 * * `focus()` — Focuses the phone number `<input/>`.
+	 * * `reset()` — Resets both the phone number `<input/>` and the country `<select/>`, and calls `onChange(undefined)`.
+	 * * `setCountry(country: string?)` — Selects a country. `undefined` means "International". When `country` property is passed, only calls `onCountryChange(country)`.
+	 * * `getCountry(): string?` — Returns the currently selected country.
+	 * * `getPhoneDigits(): string?` — Returns the phone number digits (and a leading `+`) that've been input.
+	 * * `getValidationState(): object` — Returns the same `result` object as `onValidate(result)` (see below).
 	 */
+	handleRef: PropTypes.oneOfType([
+		PropTypes.func,
+		PropTypes.object
+	]),
 
 	/**
-	 * Set to `false` to use "basic" caret instead of the "smart" one.
-	 */
-	smartCaret: true,
-
-	/**
-	 * Whether to add the "International" option
-	 * to the list of countries.
+	 * Set to `true` to validate the phone number.
+	 * An invalid phone number gets `aria-invalid` attribute
+	 * and the component gets `PhoneInput--invalid` CSS class.
+	 * The phone number is validated after the user leaves
+	 * the phone number `<input/>` for the first time,
+	 * and then on every change.
+	 * An empty phone number isn't considered invalid.
 	 */
-	addInternationalOption: true,
+	validate: PropTypes.bool,
 
 	/**
-	 * If set to `true` the phone number input will get trimmed
-	 * if it exceeds the maximum length for the country.
+	 * A function of `result: object`.
+	 * Is called every time the phone number changes
+	 * and when the phone number `<input/>` loses focus.
+	 *
+	 * `result` has shape:
+	 *
+	 * * `value: string?` — The phone number.
+	 * * `isEmpty: boolean` — Whether the phone number is empty.
+	 * * `isPossible: boolean` — Whether the phone number is "possible", i.e. has a possible length.
+	 * * `isValid: boolean` — Whether the phone number is valid.
+	 * * `error: string?` — The reason why a non-empty phone number is invalid: `"TOO_SHORT"`, `"TOO_LONG"`, `"INVALID_LENGTH"`, `"INVALID_COUNTRY"`, `"NOT_A_NUMBER"`, `"INVALID_NUMBER"` or `"INVALID_TYPE"` (see `allowedNumberTypes`).
+	 * * `message: string?` — A localized error message from `labels`.
 	 */
-	limitMaxLength: false,
+	onValidate: PropTypes.func,
 
 	/**
-	 * If set to `false`, and `international` is `true`, then
-	 * users won't be able to erase the "country calling part"
-	 * of a phone number in the `<input/>`.
+	 * Pass `nativeValidation` property to validate the phone number
+	 * using the HTML Constraint Validation API.
+	 * An invalid phone number marks the phone number `<input/>` as invalid
+	 * via `setCustomValidity()` with a localized error message from `labels`,
+	 * so `form.checkValidity()`, `form.reportValidity()` and `:invalid` CSS selectors work.
+	 * An empty phone number isn't considered invalid unless the `<input/>` is `required`.
 	 */
-	countryCallingCodeEditable: true,
+	nativeValidation: PropTypes.bool,
 
 	/**
-	 * If set to `false`, will not focus the `<input/>` component
-	 * when the user selects a country from the list of countries.
-	 * This can be used to conform to the Web Content Accessibility Guidelines (WCAG).
-	 * Quote:
-	 * "On input: Changing the setting of any user interface component
-	 *  does not automatically cause a change of context unless the user
-	 *  has been advised of the behaviour before using the component."
+	 * Restricts the phone number to certain phone number types.
+	 * A valid phone number of any other type is considered invalid
+	 * with `"INVALID_TYPE"` error (see `onValidate`).
+	 * Countries that don't have any phone numbers of these types
+	 * are not shown in the country `<select/>`.
+	 * Example: `["MOBILE", "FIXED_LINE_OR_MOBILE"]`.
+	 *
+	 * Phone number types can only be detected when using "max" or "mobile" metadata.
+	 * With "min" metadata, phone number types are only available for a few countries
+	 * and phone numbers of other countries are not checked.
+	 *
+	 * See `libphonenumber-js` docs for the list of phone number types.
+	 * In some countries (for example, US) fixed line and mobile phone numbers
+	 * can't be told apart so their type is `"FIXED_LINE_OR_MOBILE"`.
 	 */
-	focusInputOnCountrySelection: true
+	allowedNumberTypes: PropTypes.arrayOf(PropTypes.oneOf([
+		'FIXED_LINE',
+		'MOBILE',
+		'FIXED_LINE_OR_MOBILE',
+		'TOLL_FREE',
+		'PREMIUM_RATE',
+		'SHARED_COST',
+		'VOIP',
+		'PERSONAL_NUMBER',
+		'PAGER',
+		'UAN',
+		'VOICEMAIL'
+	]))
 }
 
 export default PhoneNumberInput
-
-function areEqualArrays(a, b) {
-	if (a.length !== b.length) {
-		return false
-	}
-	let i = 0
-	while (i < a.length) {
-		if (a[i] !== b[i]) {
-			return false
-		}
-		i++
-	}
-	return true
-}
@@ -1,31 +1,67 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 
-import labels from '../locale/en.json.js'
+import en from '../locale/en.json.js'
 
 import {
 	metadata as metadataPropType,
+	metadataLoader as metadataLoaderPropType,
 	labels as labelsPropType
 } from './PropTypes.js'
 
 import PhoneInput from './PhoneInputWithCountry.js'
+import usePhoneInputWithCountry from './usePhoneInputWithCountry.js'
 
-export function createPhoneInput(defaultMetadata) {
-	const PhoneInputDefault = React.forwardRef((props, ref) => (
-		<PhoneInput ref={ref} {...props}/>
+/**
+ * Creates a "with country select" component
+ * having default `metadata` and `labels` properties.
+ * @param  {(object|function|Promise)} [defaultMetadata] — `libphonenumber-js` metadata (or a metadata loader).
+ * @param  {object} [defaultLabels] — English labels by default.
+ * @return {object} React component.
+ */
+export function createPhoneInput(defaultMetadata, defaultLabels = en) {
+	const PhoneInputDefault = React.forwardRef(({
+		metadata = defaultMetadata,
+		labels = defaultLabels,
+		...rest
+	}, ref) => (
+		<PhoneInput
+			ref={ref}
+			{...rest}
+			metadata={metadata}
+			labels={labels}/>
 	))
 
 	PhoneInputDefault.propTypes = {
-		metadata: metadataPropType.isRequired,
-		labels: labelsPropType.isRequired
-	}
-
-	PhoneInputDefault.defaultProps = {
-		metadata: defaultMetadata,
-		labels
+		metadata: PropTypes.oneOfType([
+			metadataPropType,
+			metadataLoaderPropType
+		]),
+		labels: labelsPropType
 	}
 
 	return PhoneInputDefault
 }
 
+/**
+ * Creates a `usePhoneInputWithCountry()` hook
+ * having default `metadata` and `labels` parameters.
+ * @param  {object} [defaultMetadata] — `libphonenumber-js` metadata.
+ * @param  {object} [defaultLabels] — English labels by default.
+ * @return {function}
+ */
+export function createUsePhoneInputWithCountry(defaultMetadata, defaultLabels = en) {
+	return function usePhoneInputWithCountryDefault({
+		metadata = defaultMetadata,
+		labels = defaultLabels,
+		...rest
+	}) {
+		return usePhoneInputWithCountry({
+			...rest,
+			metadata,
+			labels
+		})
+	}
+}
+
 export default createPhoneInput()
\ No newline at end of file
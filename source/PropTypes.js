@@ -5,4 +5,12 @@ export const metadata = PropTypes.shape({
 	countries : PropTypes.object.isRequired
 })
 
+// A function returning a `Promise` of `metadata`, or a `Promise` itself.
+export const metadataLoader = PropTypes.oneOfType([
+	PropTypes.func,
+	PropTypes.shape({
+		then: PropTypes.func.isRequired
+	})
+])
+
 export const labels = PropTypes.objectOf(PropTypes.string)
\ No newline at end of file
@@ -0,0 +1,22 @@
+import timeZoneCountries from './helpers/timeZoneCountries.js'
+
+import _detectCountry from './helpers/detectCountry.js'
+
+export { getLanguageRegion } from './helpers/detectCountry.js'
+
+/**
+ * Guesses the user's country from the web browser's time zone
+ * and "region" subtags of the web browser's languages (`navigator.languages`).
+ * Doesn't make any network requests.
+ * The time zone is a more reliable indicator, so it takes precedence:
+ * for example, a lot of people use `en-US` language regardless of where they live.
+ * @param  {object} [options]
+ * @param  {string[]} [options.countries] — If passed, only these countries could be detected.
+ * @param  {string[]} [options.languages] — Web browser's `navigator.languages` by default.
+ * @param  {string} [options.timeZone] — Web browser's time zone by default. Example: `"Europe/Berlin"`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string} [country] — A two-letter country code, or `undefined` if no country could be detected.
+ */
+export default function detectCountry(options, metadata) {
+	return _detectCountry(options, metadata, timeZoneCountries)
+}
@@ -0,0 +1,48 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import detectCountry, { getLanguageRegion } from './detectCountry.js'
+
+describe('detectCountry', () => {
+	it('should get a region from a language tag', () => {
+		getLanguageRegion('en-US').should.equal('US')
+		getLanguageRegion('pt_br').should.equal('BR')
+		getLanguageRegion('zh-Hans-CN').should.equal('CN')
+		getLanguageRegion('sr-Latn-RS-u-nu-latn').should.equal('RS')
+		expect(getLanguageRegion('en')).to.be.undefined
+		expect(getLanguageRegion('es-419')).to.be.undefined
+		expect(getLanguageRegion('zh-Hant')).to.be.undefined
+	})
+
+	it('should detect a country from a time zone', () => {
+		detectCountry({ timeZone: 'Europe/Berlin', languages: ['en-US'] }, metadata).should.equal('DE')
+		// Legacy time zone name.
+		detectCountry({ timeZone: 'Asia/Calcutta', languages: [] }, metadata).should.equal('IN')
+		// Legacy time zone names that are "links" to time zones of other countries.
+		// For example, "Africa/Asmera" (Eritrea) is a "link" to "Africa/Nairobi" (Kenya).
+		detectCountry({ timeZone: 'Africa/Asmera', languages: [] }, metadata).should.equal('ER')
+		detectCountry({ timeZone: 'Africa/Timbuktu', languages: [] }, metadata).should.equal('ML')
+		detectCountry({ timeZone: 'Pacific/Yap', languages: [] }, metadata).should.equal('FM')
+	})
+
+	it('should detect a country from languages', () => {
+		detectCountry({ timeZone: 'Etc/UTC', languages: ['en', 'fr-CA', 'en-US'] }, metadata).should.equal('CA')
+		detectCountry({ languages: ['de-AT'] }, metadata).should.equal('AT')
+	})
+
+	it('should only detect the allowed countries', () => {
+		detectCountry({
+			countries: ['AT', 'CH'],
+			timeZone: 'Europe/Berlin',
+			languages: ['de-DE', 'de-CH']
+		}, metadata).should.equal('CH')
+		expect(detectCountry({
+			countries: ['FR'],
+			timeZone: 'Europe/Berlin',
+			languages: ['de-DE']
+		}, metadata)).to.be.undefined
+	})
+
+	it('should return `undefined` when no country could be detected', () => {
+		expect(detectCountry({ timeZone: 'UTC', languages: ['en'] }, metadata)).to.be.undefined
+	})
+})
@@ -0,0 +1,111 @@
+import { formatIncompletePhoneNumber } from 'libphonenumber-js/core'
+
+import { parsePhoneNumber } from './phoneInputHelpers.js'
+import { getValidationState } from './validation.js'
+import { getInputValuePrefix, removeInputValuePrefix } from './inputValuePrefix.js'
+import { getAsYouTypeDefaultCountry, getPhoneNumberCountry } from './nonGeographic.js'
+
+/**
+ * Returns the second argument of `onChange(value, details)`
+ * when `withChangeDetails` property is passed.
+ * @param  {object} parameters
+ * @param  {string} [parameters.value] — E.164 phone number.
+ * @param  {string} [parameters.phoneDigits] — Phone number digits, possibly with a leading `+`.
+ * @param  {string} [parameters.country] — The selected country.
+ * @param  {string} [parameters.defaultCountry] — The country of a phone number being input in "national" format when no `country` is selected.
+ * @param  {boolean} [parameters.international]
+ * @param  {boolean} [parameters.withCountryCallingCode]
+ * @param  {string[]} [parameters.allowedNumberTypes]
+ * @param  {string} parameters.reason — One of: `"input"`, `"paste"`, `"country-change"`, `"reset"`, `"autofill"`, `"migration"`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {object} An object of shape `{ country: string?, phoneDigits: string, formattedValue: string, nationalNumber: string?, isPossible: boolean, isValid: boolean, reason: string }`.
+ */
+export function getChangeDetails({
+	value,
+	phoneDigits = '',
+	country,
+	defaultCountry,
+	international,
+	withCountryCallingCode,
+	allowedNumberTypes,
+	reason
+}, metadata) {
+	const phoneNumber = value ? parsePhoneNumber(value, metadata) : undefined
+	const { isPossible, isValid } = getValidationState(value, metadata, { allowedNumberTypes })
+	// The `<input/>` value doesn't include the country calling code
+	// when the phone number is input in "international" format for a `country`.
+	const prefix = getInputValuePrefix({
+		country,
+		international,
+		withCountryCallingCode,
+		metadata
+	})
+	return {
+		// When no country is selected ("International"),
+		// the country is derived from the phone number.
+		country: country || (phoneNumber ? getPhoneNumberCountry(phoneNumber, metadata) : undefined),
+		phoneDigits,
+		// The `<input/>` value.
+		formattedValue: removeInputValuePrefix(
+			formatIncompletePhoneNumber(
+				prefix + phoneDigits,
+				getAsYouTypeDefaultCountry(country || defaultCountry),
+				metadata
+			),
+			prefix
+		),
+		nationalNumber: phoneNumber ? phoneNumber.nationalNumber : undefined,
+		isPossible,
+		isValid,
+		reason
+	}
+}
+
+/**
+ * Returns the second argument of `onChange(value, details)`
+ * of a "with country select" component (or `usePhoneInputWithCountry()` hook)
+ * when `withChangeDetails` property is passed.
+ * @param  {object} state — The component `state`.
+ * @param  {object} props — The component properties.
+ * @param  {string} reason — One of: `"input"`, `"paste"`, `"country-change"`, `"reset"`, `"autofill"`, `"migration"`.
+ * @return {object}
+ */
+export function getPhoneInputWithCountryChangeDetails(state, {
+	defaultCountry,
+	international,
+	allowedNumberTypes,
+	metadata
+}, reason) {
+	return getChangeDetails({
+		value: state.value,
+		phoneDigits: state.phoneDigits,
+		country: state.country,
+		defaultCountry,
+		international,
+		// Unlike a "without country select" component, the phone number `<input/>`
+		// of a "with country select" component always includes the country calling code
+		// of an international phone number, even when `countryCallingCodeEditable` is `false`
+		// (in which case it's just not editable).
+		withCountryCallingCode: true,
+		allowedNumberTypes,
+		reason
+	}, metadata)
+}
+
+/**
+ * Returns the `reason` of a phone number `<input/>` change for an "input" event.
+ * Web browsers don't set `inputType` of an "input" event when autofilling an `<input/>` (Chrome),
+ * or set it to `"insertReplacementText"` (Firefox).
+ * @param  {Event} event — An "input" event.
+ * @return {string} One of: `"input"`, `"paste"`, `"autofill"`.
+ */
+export function getInputEventChangeReason(event) {
+	const { inputType } = event.nativeEvent || event
+	if (inputType === 'insertFromPaste') {
+		return 'paste'
+	}
+	if (!inputType || inputType === 'insertReplacementText') {
+		return 'autofill'
+	}
+	return 'input'
+}
@@ -0,0 +1,199 @@
+import metadata from 'libphonenumber-js/min/metadata'
+import metadataMax from 'libphonenumber-js/max/metadata'
+import { formatIncompletePhoneNumber } from 'libphonenumber-js/core'
+
+import {
+	getChangeDetails,
+	getPhoneInputWithCountryChangeDetails,
+	getInputEventChangeReason
+} from './changeDetails.js'
+
+import phoneInputWithCountryReducer, {
+	getInitialPhoneInputWithCountryState
+} from './phoneInputWithCountryReducer.js'
+
+describe('helpers/changeDetails', () => {
+	it('should get change details', () => {
+		getChangeDetails({
+			value: '+12133734253',
+			phoneDigits: '2133734253',
+			country: 'US',
+			reason: 'input'
+		}, metadata).should.deep.equal({
+			country: 'US',
+			phoneDigits: '2133734253',
+			formattedValue: '(213) 373-4253',
+			nationalNumber: '2133734253',
+			isPossible: true,
+			isValid: true,
+			reason: 'input'
+		})
+
+		// "International".
+		getChangeDetails({
+			value: '+78005553535',
+			phoneDigits: '+78005553535',
+			reason: 'paste'
+		}, metadata).should.deep.equal({
+			country: 'RU',
+			phoneDigits: '+78005553535',
+			formattedValue: '+7 800 555 35 35',
+			nationalNumber: '8005553535',
+			isPossible: true,
+			isValid: true,
+			reason: 'paste'
+		})
+
+		// Incomplete phone number.
+		getChangeDetails({
+			value: '+1213',
+			phoneDigits: '+1213',
+			reason: 'input'
+		}, metadata).should.deep.equal({
+			country: undefined,
+			phoneDigits: '+1213',
+			formattedValue: '+1 213',
+			nationalNumber: '213',
+			isPossible: false,
+			isValid: false,
+			reason: 'input'
+		})
+
+		// Empty.
+		getChangeDetails({
+			value: undefined,
+			phoneDigits: undefined,
+			country: 'US',
+			reason: 'reset'
+		}, metadata).should.deep.equal({
+			country: 'US',
+			phoneDigits: '',
+			formattedValue: '',
+			nationalNumber: undefined,
+			isPossible: false,
+			isValid: false,
+			reason: 'reset'
+		})
+
+		// "Non-geographic" phone number.
+		const details = getChangeDetails({
+			value: '+80012345678',
+			phoneDigits: '+80012345678',
+			reason: 'input'
+		}, metadata)
+		details.country.should.equal('+800')
+		details.formattedValue.should.equal('+800 1234 5678')
+		details.nationalNumber.should.equal('12345678')
+	})
+
+	it('should get change details ("without country select")', () => {
+		// `defaultCountry`.
+		getChangeDetails({
+			value: '+12133734253',
+			phoneDigits: '2133734253',
+			defaultCountry: 'US',
+			reason: 'autofill'
+		}, metadata).should.deep.equal({
+			country: 'US',
+			phoneDigits: '2133734253',
+			formattedValue: '(213) 373-4253',
+			nationalNumber: '2133734253',
+			isPossible: true,
+			isValid: true,
+			reason: 'autofill'
+		})
+
+		// `country` and `international`.
+		getChangeDetails({
+			value: '+12133734253',
+			phoneDigits: '2133734253',
+			country: 'US',
+			international: true,
+			reason: 'input'
+		}, metadata).formattedValue.should.equal('213 373 4253')
+	})
+
+	it('should get change details (`allowedNumberTypes`)', () => {
+		const details = getChangeDetails({
+			value: '+78005553535',
+			phoneDigits: '+78005553535',
+			allowedNumberTypes: ['MOBILE'],
+			reason: 'input'
+		}, metadataMax)
+		details.isPossible.should.equal(true)
+		details.isValid.should.equal(false)
+	})
+
+	it('should get change details ("with country select")', () => {
+		const getAnyCountry = () => 'US'
+
+		// The phone number `<input/>` value of a "with country select" component.
+		const getInputValue = (state) => formatIncompletePhoneNumber(state.phoneDigits || '', state.country, metadata)
+
+		const inputPhoneDigits = (props, phoneDigits) => {
+			return phoneInputWithCountryReducer(
+				getInitialPhoneInputWithCountryState(props, { getAnyCountry }),
+				{
+					type: 'PHONE_DIGITS',
+					phoneDigits,
+					props,
+					getAnyCountry
+				}
+			)
+		}
+
+		// `international` and `countryCallingCodeEditable={false}`.
+		let props = {
+			defaultCountry: 'US',
+			international: true,
+			countryCallingCodeEditable: false,
+			addInternationalOption: true,
+			metadata
+		}
+		let state = inputPhoneDigits(props, '+12133')
+		state.phoneDigits.should.equal('+12133')
+		let details = getPhoneInputWithCountryChangeDetails(state, props, 'input')
+		details.formattedValue.should.equal('+1 213 3')
+		details.formattedValue.should.equal(getInputValue(state))
+		details.country.should.equal('US')
+
+		// `international`.
+		props = {
+			...props,
+			countryCallingCodeEditable: true
+		}
+		state = inputPhoneDigits(props, '+12133')
+		details = getPhoneInputWithCountryChangeDetails(state, props, 'input')
+		details.formattedValue.should.equal(getInputValue(state))
+
+		// No country is selected.
+		props = {
+			addInternationalOption: true,
+			metadata
+		}
+		state = inputPhoneDigits(props, '+4420794')
+		details = getPhoneInputWithCountryChangeDetails(state, props, 'input')
+		details.formattedValue.should.equal('+44 20 794')
+		details.formattedValue.should.equal(getInputValue(state))
+
+		// A "national" phone number.
+		props = {
+			defaultCountry: 'US',
+			addInternationalOption: true,
+			metadata
+		}
+		state = inputPhoneDigits(props, '2133')
+		details = getPhoneInputWithCountryChangeDetails(state, props, 'input')
+		details.formattedValue.should.equal('(213) 3')
+		details.formattedValue.should.equal(getInputValue(state))
+	})
+
+	it('should get input event change reason', () => {
+		getInputEventChangeReason({ inputType: 'insertText' }).should.equal('input')
+		getInputEventChangeReason({ inputType: 'deleteContentBackward' }).should.equal('input')
+		getInputEventChangeReason({ inputType: 'insertFromPaste' }).should.equal('paste')
+		getInputEventChangeReason({ inputType: 'insertReplacementText' }).should.equal('autofill')
+		getInputEventChangeReason({}).should.equal('autofill')
+		getInputEventChangeReason({ nativeEvent: { inputType: 'insertText' } }).should.equal('input')
+	})
+})
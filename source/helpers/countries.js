@@ -1,5 +1,10 @@
-import { isSupportedCountry } from 'libphonenumber-js/core'
-export { getCountries } from 'libphonenumber-js/core'
+import { Metadata } from 'libphonenumber-js/core'
+
+import {
+	isSupportedCountry,
+	getCountryCallingCode,
+	getNumberingPlanId
+} from './nonGeographic.js'
 
 /**
  * Sorts country `<select/>` options.
@@ -41,6 +46,108 @@ export function sortCountryOptions(options, order) {
 	return optionsOnTop.concat(options).concat(optionsOnBottom)
 }
 
+/**
+ * Adds groups of country `<select/>` options on top of the list.
+ * For example, "Recent" or "Suggested" countries.
+ * The options in such groups are copies of the existing options
+ * having a `group` property set to the group label.
+ * A country is only added to the first group it's listed in.
+ * Countries that aren't in the list of options are skipped.
+ * @param  {object[]} options — Country `<select/>` options.
+ * @param  {object[]} groups — A list of groups of shape `{ label: string, countries: string[] }`.
+ * @return {object[]}
+ */
+export function addCountryOptionGroups(options, groups) {
+	const groupOptions = []
+	const addedCountries = []
+	for (const { label, countries } of groups) {
+		for (const country of countries) {
+			if (addedCountries.indexOf(country) >= 0) {
+				continue
+			}
+			const option = options.filter(option => !option.divider && option.value === country)[0]
+			if (option) {
+				groupOptions.push({ ...option, group: label })
+				addedCountries.push(country)
+			}
+		}
+	}
+	return groupOptions.concat(options)
+}
+
+/**
+ * Arranges country `<select/>` options into groups.
+ * For example, by region: "Africa", "Americas", etc.
+ * Each option for a country that's listed in a group gets a `group` property
+ * set to the group label, and the options are placed in the order of the groups.
+ * The "International" option stays on top, and the options for countries
+ * that aren't listed in any group are placed at the bottom.
+ * Dividers are removed because they're not needed when there're groups.
+ * @param  {object[]} options — Country `<select/>` options.
+ * @param  {object[]} groups — A list of groups of shape `{ label: string, countries: string[] }`.
+ * @return {object[]}
+ */
+export function setCountryOptionGroups(options, groups) {
+	const optionsOnTop = []
+	const optionsOnBottom = []
+	const groupOptions = groups.map(() => [])
+	for (const option of options) {
+		if (option.divider) {
+			continue
+		}
+		if (!option.value) {
+			optionsOnTop.push(option)
+			continue
+		}
+		const groupIndex = groups.findIndex(({ countries }) => countries.indexOf(option.value) >= 0)
+		if (groupIndex >= 0) {
+			groupOptions[groupIndex].push({ ...option, group: groups[groupIndex].label })
+		} else {
+			optionsOnBottom.push(option)
+		}
+	}
+	return groupOptions.reduce((all, options) => all.concat(options), optionsOnTop).concat(optionsOnBottom)
+}
+
+/**
+ * Splits a list of country `<select/>` options into consecutive
+ * runs of options having the same `group`.
+ * Is used for rendering `<optgroup/>`s.
+ * @param  {object[]} options — Country `<select/>` options.
+ * @return {object[]} A list of objects of shape `{ group: string?, options: object[], indexes: number[] }`, where `indexes` are the indexes of the `options` in the original list.
+ */
+export function groupCountryOptions(options) {
+	const groups = []
+	let group
+	options.forEach((option, index) => {
+		if (!group || group.group !== option.group) {
+			group = {
+				group: option.group,
+				options: [],
+				indexes: []
+			}
+			groups.push(group)
+		}
+		group.options.push(option)
+		group.indexes.push(index)
+	})
+	return groups
+}
+
+/**
+ * Returns the country calling code that's shared by the "ambiguous" countries:
+ * the countries that a phone number could belong to when no country is selected.
+ * @param  {string} [country] — Selected country.
+ * @param  {string[]} [ambiguousCountries]
+ * @param  {object} [metadata] — `libphonenumber-js` metadata.
+ * @return {string} [countryCallingCode]
+ */
+export function getAmbiguousCountryCallingCode(country, ambiguousCountries, metadata) {
+	if (!country && ambiguousCountries && metadata) {
+		return getCountryCallingCode(ambiguousCountries[0], metadata)
+	}
+}
+
 export function getSupportedCountryOptions(countryOptions, metadata) {
 	if (countryOptions) {
 		countryOptions = countryOptions.filter((option) => {
@@ -69,6 +176,44 @@ export function isCountrySupportedWithError(country, metadata) {
 	}
 }
 
+/**
+ * Tells whether a country has any phone numbers of the `numberTypes`.
+ * When the metadata doesn't contain phone number types for the country
+ * (for example, "min" metadata for most countries) it returns `true`.
+ * @param  {string} country — A two-letter country code or a country calling code. Or a "non-geographic" "country" like `"+800"`.
+ * @param  {string[]} numberTypes — Example: `["MOBILE", "FIXED_LINE_OR_MOBILE"]`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {boolean}
+ */
+export function countryHasNumberTypes(country, numberTypes, metadata) {
+	const numberingPlan = new Metadata(metadata).selectNumberingPlan(getNumberingPlanId(country)).numberingPlan
+	if (!numberingPlan.hasTypes()) {
+		return true
+	}
+	return numberTypes.some((type) => {
+		// "Fixed line or mobile" is not a distinct type in the metadata:
+		// it's when fixed line and mobile phone number patterns overlap.
+		if (type === 'FIXED_LINE_OR_MOBILE') {
+			return numberingPlan.type('FIXED_LINE') && numberingPlan.type('MOBILE')
+		}
+		return numberingPlan.type(type)
+	})
+}
+
+/**
+ * Filters out countries that don't have any phone numbers of the `numberTypes`.
+ * @param  {string[]} countries
+ * @param  {string[]} [numberTypes] — Example: `["MOBILE", "FIXED_LINE_OR_MOBILE"]`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string[]}
+ */
+export function filterCountriesByNumberTypes(countries, numberTypes, metadata) {
+	if (!numberTypes) {
+		return countries
+	}
+	return countries.filter(country => countryHasNumberTypes(country, numberTypes, metadata))
+}
+
 export function getSupportedCountries(countries, metadata) {
 	if (countries) {
 		countries = countries.filter(country => isCountrySupportedWithError(country, metadata))
@@ -77,4 +222,131 @@ export function getSupportedCountries(countries, metadata) {
 		}
 	}
 	return countries
-}
\ No newline at end of file
+}
+
+/**
+ * Filters country `<select/>` options by a search query.
+ * Matches country names, two-letter country codes and country calling codes.
+ * Options that match better are placed higher in the list:
+ * an exact country code match comes first, then country names
+ * starting with the query, then country names having a word
+ * starting with the query, then everything else that matches.
+ * Dividers are removed when filtering, and each country is only listed once.
+ * @param  {object[]} options — Country `<select/>` options.
+ * @param  {string} [query] — Search query. Examples: `"ger"`, `"DE"`, `"+49"`, `"+1 2"` (a country calling code followed by the beginning of a national number).
+ * @param  {object} [metadata] — `libphonenumber-js` metadata. Country calling codes are only matched when `metadata` is passed.
+ * @return {object[]}
+ */
+export function filterCountryOptions(options, query, metadata) {
+	query = normalizeSearchString(query || '')
+	if (!query) {
+		return options
+	}
+	// Country calling code search: "+49", "49", "+1 2".
+	const callingCodeQuery = query.replace(/[\s-]/g, '')
+	const isCallingCodeQuery = CALLING_CODE_QUERY_REGEXP.test(callingCodeQuery)
+	const callingCode = isCallingCodeQuery && metadata
+		? getCallingCodeForQuery(callingCodeQuery.replace('+', ''), metadata)
+		: undefined
+	const ranked = []
+	const seenCountries = []
+	for (const option of options) {
+		if (option.divider) {
+			continue
+		}
+		// A country could be listed several times:
+		// for example, in a "Recent" group and in the list of all countries.
+		if (seenCountries.indexOf(option.value) >= 0) {
+			continue
+		}
+		seenCountries.push(option.value)
+		const rank = getCountryOptionSearchRank(option, query, {
+			isCallingCodeQuery,
+			callingCode,
+			metadata
+		})
+		if (rank !== undefined) {
+			ranked.push({ option, rank })
+		}
+	}
+	// `Array.sort()` isn't guaranteed to be stable in older browsers,
+	// so the original index is used to keep the original order of options
+	// having the same rank.
+	return ranked
+		.map((item, i) => ({ ...item, i }))
+		.sort((a, b) => a.rank - b.rank || a.i - b.i)
+		.map(_ => _.option)
+}
+
+const CALLING_CODE_QUERY_REGEXP = /^\+?\d+$/
+
+// Country calling codes are at most 3 digits long.
+const MAX_CALLING_CODE_LENGTH = 3
+
+/**
+ * Returns a country calling code that's being searched for.
+ * Country calling codes are "prefix-free": no country calling code
+ * is a prefix of another one. So when the query starts with a valid
+ * country calling code, it's that one, and the rest of the digits
+ * are the beginning of a national number: for example, `"+1 2"` → `{ callingCode: "1", exact: true }`.
+ * Otherwise, the query is the beginning of a country calling code: for example, `"+4"` → `{ callingCode: "4" }`.
+ * @param  {string} digits — Example: `"12"`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {object} `{ callingCode: string, exact: boolean? }`
+ */
+function getCallingCodeForQuery(digits, metadata) {
+	metadata = new Metadata(metadata)
+	let i = 1
+	while (i <= MAX_CALLING_CODE_LENGTH && i <= digits.length) {
+		const callingCode = digits.slice(0, i)
+		if (metadata.hasCallingCode(callingCode)) {
+			return { callingCode, exact: true }
+		}
+		i++
+	}
+	return { callingCode: digits }
+}
+
+function getCountryOptionSearchRank(option, query, { isCallingCodeQuery, callingCode, metadata }) {
+	if (isCallingCodeQuery) {
+		if (option.value && callingCode) {
+			const countryCallingCode = getCountryCallingCode(option.value, metadata)
+			if (callingCode.exact
+				? countryCallingCode === callingCode.callingCode
+				: countryCallingCode.indexOf(callingCode.callingCode) === 0
+			) {
+				return 0
+			}
+		}
+		return
+	}
+	if (option.value && option.value.toLowerCase() === query) {
+		return 0
+	}
+	const label = normalizeSearchString(option.label || '')
+	if (label.indexOf(query) === 0) {
+		return 1
+	}
+	const index = label.indexOf(query)
+	if (index > 0) {
+		// A word in the country name starts with the query.
+		// Example: "Korea" in "South Korea".
+		if (WORD_SEPARATOR_REGEXP.test(label[index - 1])) {
+			return 2
+		}
+		return 3
+	}
+}
+
+const WORD_SEPARATOR_REGEXP = /[\s\-(,.']/
+
+// Converts a string to lower case and strips any diacritics
+// so that, for example, "aland" would match "Åland Islands".
+function normalizeSearchString(string) {
+	string = string.trim().toLowerCase()
+	/* istanbul ignore else */
+	if (String.prototype.normalize) {
+		string = string.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+	}
+	return string
+}
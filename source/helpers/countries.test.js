@@ -1,10 +1,18 @@
 import metadata from 'libphonenumber-js/min/metadata'
+import metadataMax from 'libphonenumber-js/max/metadata'
 
 import {
 	sortCountryOptions,
 	getSupportedCountryOptions,
 	isCountrySupportedWithError,
-	getSupportedCountries
+	getSupportedCountries,
+	filterCountryOptions,
+	filterCountriesByNumberTypes,
+	countryHasNumberTypes,
+	addCountryOptionGroups,
+	setCountryOptionGroups,
+	groupCountryOptions,
+	getAmbiguousCountryCallingCode
 } from './countries.js'
 
 describe('helpers/countries', () => {
@@ -188,4 +196,176 @@ describe('helpers/countries', () => {
 	it('should get supported countries (none supported)', () => {
 		expect(getSupportedCountries(['XX'], metadata)).to.be.undefined
 	})
-})
\ No newline at end of file
+
+	it('should filter country options', () => {
+		const options = [
+			{ label: 'International' },
+			{ value: 'DE', label: 'Germany' },
+			{ divider: true },
+			{ value: 'AX', label: 'Åland Islands' },
+			{ value: 'KR', label: 'South Korea' },
+			{ value: 'KP', label: 'North Korea' },
+			{ value: 'NG', label: 'Nigeria' },
+			{ value: 'US', label: 'United States' },
+			{ value: 'CA', label: 'Canada' }
+		]
+
+		// No query.
+		filterCountryOptions(options, '', metadata).should.equal(options)
+		filterCountryOptions(options, '  ', metadata).should.equal(options)
+
+		// By country name.
+		filterCountryOptions(options, 'ger', metadata).should.deep.equal([
+			{ value: 'DE', label: 'Germany' },
+			{ value: 'NG', label: 'Nigeria' }
+		])
+
+		// By a word in a country name.
+		filterCountryOptions(options, 'korea', metadata).should.deep.equal([
+			{ value: 'KR', label: 'South Korea' },
+			{ value: 'KP', label: 'North Korea' }
+		])
+
+		// Ignores diacritics.
+		filterCountryOptions(options, 'aland', metadata).should.deep.equal([
+			{ value: 'AX', label: 'Åland Islands' }
+		])
+
+		// By country code.
+		filterCountryOptions(options, 'de', metadata).should.deep.equal([
+			{ value: 'DE', label: 'Germany' }
+		])
+		filterCountryOptions(options, 'CA', metadata).should.deep.equal([
+			{ value: 'CA', label: 'Canada' }
+		])
+
+		// By country calling code.
+		filterCountryOptions(options, '+49', metadata).should.deep.equal([
+			{ value: 'DE', label: 'Germany' }
+		])
+		filterCountryOptions(options, '1', metadata).should.deep.equal([
+			{ value: 'US', label: 'United States' },
+			{ value: 'CA', label: 'Canada' }
+		])
+
+		// By the beginning of a country calling code.
+		filterCountryOptions(options, '+8', metadata).should.deep.equal([
+			{ value: 'KR', label: 'South Korea' },
+			{ value: 'KP', label: 'North Korea' }
+		])
+
+		// By a country calling code followed by the beginning of a national number.
+		filterCountryOptions(options, '+1 2', metadata).should.deep.equal([
+			{ value: 'US', label: 'United States' },
+			{ value: 'CA', label: 'Canada' }
+		])
+		filterCountryOptions(options, '+49 30', metadata).should.deep.equal([
+			{ value: 'DE', label: 'Germany' }
+		])
+
+		// Country calling codes are not matched without `metadata`.
+		filterCountryOptions(options, '+49').should.deep.equal([])
+
+		// "International" option.
+		filterCountryOptions(options, 'inter', metadata).should.deep.equal([
+			{ label: 'International' }
+		])
+	})
+
+	it('should tell if a country has phone numbers of the given types', () => {
+		countryHasNumberTypes('GB', ['MOBILE'], metadataMax).should.equal(true)
+		countryHasNumberTypes('TA', ['MOBILE'], metadataMax).should.equal(false)
+		countryHasNumberTypes('TA', ['FIXED_LINE_OR_MOBILE'], metadataMax).should.equal(false)
+		countryHasNumberTypes('TA', ['MOBILE', 'FIXED_LINE'], metadataMax).should.equal(true)
+		// "min" metadata doesn't have phone number types for Russia.
+		countryHasNumberTypes('RU', ['MOBILE'], metadata).should.equal(true)
+	})
+
+	it('should filter countries by phone number types', () => {
+		filterCountriesByNumberTypes(['GB', 'TA', 'US'], ['MOBILE'], metadataMax).should.deep.equal(['GB', 'US'])
+		filterCountriesByNumberTypes(['GB', 'TA', 'US'], undefined, metadataMax).should.deep.equal(['GB', 'TA', 'US'])
+	})
+
+	it('should add country option groups', () => {
+		const options = [
+			{ label: 'International' },
+			{ value: 'DE', label: 'Germany' },
+			{ value: 'RU', label: 'Russia' },
+			{ value: 'US', label: 'United States' }
+		]
+		addCountryOptionGroups(options, [
+			{ label: 'Recent', countries: ['US', 'XX'] },
+			{ label: 'Suggested', countries: ['DE', 'US'] },
+			{ label: 'Empty', countries: [] }
+		]).should.deep.equal([
+			{ value: 'US', label: 'United States', group: 'Recent' },
+			{ value: 'DE', label: 'Germany', group: 'Suggested' },
+			{ label: 'International' },
+			{ value: 'DE', label: 'Germany' },
+			{ value: 'RU', label: 'Russia' },
+			{ value: 'US', label: 'United States' }
+		])
+	})
+
+	it('should set country option groups', () => {
+		setCountryOptionGroups([
+			{ label: 'International' },
+			{ value: 'FR', label: 'France' },
+			{ divider: true },
+			{ value: 'DE', label: 'Germany' },
+			{ value: 'AQ', label: 'Antarctica' },
+			{ value: 'RU', label: 'Russia' },
+			{ value: 'US', label: 'United States' }
+		], [
+			{ label: 'Americas', countries: ['CA', 'US'] },
+			{ label: 'Europe', countries: ['DE', 'FR', 'RU'] }
+		]).should.deep.equal([
+			{ label: 'International' },
+			{ value: 'US', label: 'United States', group: 'Americas' },
+			{ value: 'FR', label: 'France', group: 'Europe' },
+			{ value: 'DE', label: 'Germany', group: 'Europe' },
+			{ value: 'RU', label: 'Russia', group: 'Europe' },
+			{ value: 'AQ', label: 'Antarctica' }
+		])
+	})
+
+	it('should get ambiguous country calling code', () => {
+		getAmbiguousCountryCallingCode(undefined, ['US', 'CA'], metadata).should.equal('1')
+		expect(getAmbiguousCountryCallingCode('US', ['US', 'CA'], metadata)).to.be.undefined
+		expect(getAmbiguousCountryCallingCode(undefined, undefined, metadata)).to.be.undefined
+	})
+
+	it('should group country options', () => {
+		const options = [
+			{ value: 'US', label: 'United States', group: 'Recent' },
+			{ value: 'DE', label: 'Germany', group: 'Suggested' },
+			{ label: 'International' },
+			{ value: 'DE', label: 'Germany' }
+		]
+		groupCountryOptions(options).should.deep.equal([{
+			group: 'Recent',
+			options: [options[0]],
+			indexes: [0]
+		}, {
+			group: 'Suggested',
+			options: [options[1]],
+			indexes: [1]
+		}, {
+			group: undefined,
+			options: [options[2], options[3]],
+			indexes: [2, 3]
+		}])
+		groupCountryOptions([]).should.deep.equal([])
+	})
+
+	it('should only list each country once when filtering country options', () => {
+		filterCountryOptions([
+			{ value: 'DE', label: 'Germany', group: 'Recent' },
+			{ value: 'DE', label: 'Germany' },
+			{ value: 'NG', label: 'Nigeria' }
+		], 'ger', metadata).should.deep.equal([
+			{ value: 'DE', label: 'Germany', group: 'Recent' },
+			{ value: 'NG', label: 'Nigeria' }
+		])
+	})
+})
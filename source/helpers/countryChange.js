@@ -0,0 +1,59 @@
+import { getPossibleCountriesForPartialE164Number } from './phoneInputHelpers.js'
+
+/**
+ * When "International" option is selected and the phone number
+ * that's being input starts with a country calling code that's shared
+ * by several countries, like `+1`, the country can't be selected
+ * until enough digits have been input. Until then, the country is "ambiguous".
+ * @param  {object} state — The component `state`.
+ * @param  {string[]} [countries] — The list of available countries.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string[]} [ambiguousCountries] — The countries that the phone number could belong to. Returns `undefined` if the country isn't "ambiguous".
+ */
+export function getAmbiguousCountries({ country, phoneDigits }, { countries, metadata }) {
+	if (!country && phoneDigits && phoneDigits[0] === '+') {
+		const possibleCountries = getPossibleCountriesForPartialE164Number(phoneDigits, {
+			countries,
+			metadata
+		})
+		if (possibleCountries.length > 1) {
+			return possibleCountries
+		}
+	}
+}
+
+/**
+ * Returns the arguments of `onCountryChange(country, details)`.
+ * @param  {string} [country] — The selected country.
+ * @param  {string[]} [ambiguousCountries] — See `getAmbiguousCountries()`.
+ * @return {object} An object of shape `{ country: string?, details: { candidates: string[], confident: boolean } }`.
+ */
+export function getCountryChange(country, ambiguousCountries) {
+	return {
+		country,
+		details: {
+			// `candidates` are the countries that the phone number could belong to.
+			// `confident` is `false` when the phone number could belong to several countries.
+			candidates: country ? [country] : (ambiguousCountries || []),
+			confident: !ambiguousCountries
+		}
+	}
+}
+
+/**
+ * Tells whether `onCountryChange()` should be called:
+ * either the country has changed, or no country is selected
+ * and the countries that the phone number could belong to have changed.
+ * @param  {object} countryChange — See `getCountryChange()`.
+ * @param  {object} prevCountryChange — See `getCountryChange()`.
+ * @return {boolean}
+ */
+export function hasCountryChanged(countryChange, prevCountryChange) {
+	if (countryChange.country !== prevCountryChange.country) {
+		return true
+	}
+	const { candidates } = countryChange.details
+	const { candidates: prevCandidates } = prevCountryChange.details
+	return candidates.length !== prevCandidates.length ||
+		candidates.some((country, i) => country !== prevCandidates[i])
+}
@@ -0,0 +1,81 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import {
+	getAmbiguousCountries,
+	getCountryChange,
+	hasCountryChanged
+} from './countryChange.js'
+
+import phoneInputWithCountryReducer, {
+	getInitialPhoneInputWithCountryState
+} from './phoneInputWithCountryReducer.js'
+
+describe('helpers/countryChange', () => {
+	it('should get ambiguous countries', () => {
+		expect(getAmbiguousCountries({ country: 'US', phoneDigits: '213' }, { metadata })).to.be.undefined
+		expect(getAmbiguousCountries({ phoneDigits: '+7800' }, { metadata })).to.be.undefined
+		getAmbiguousCountries({ phoneDigits: '+1213' }, { metadata }).should.deep.equal(['US', 'CA'])
+		expect(getAmbiguousCountries({ phoneDigits: '+1213' }, { countries: ['US', 'RU'], metadata })).to.be.undefined
+	})
+
+	it('should tell whether the country has changed', () => {
+		hasCountryChanged(getCountryChange('US'), getCountryChange('US')).should.equal(false)
+		hasCountryChanged(getCountryChange('CA'), getCountryChange('US')).should.equal(true)
+		hasCountryChanged(getCountryChange(undefined, ['US', 'CA']), getCountryChange(undefined, ['US', 'CA'])).should.equal(false)
+		hasCountryChanged(getCountryChange(undefined, ['US', 'CA']), getCountryChange(undefined, ['US', 'AG', 'CA'])).should.equal(true)
+		hasCountryChanged(getCountryChange(undefined), getCountryChange(undefined, ['US', 'CA'])).should.equal(true)
+	})
+
+	it('should call `onCountryChange()` when the candidate countries change', () => {
+		// "International" option is selected.
+		const props = { addInternationalOption: true, metadata }
+		const getAnyCountry = () => 'US'
+
+		const calls = []
+		let state = getInitialPhoneInputWithCountryState(props, { getAnyCountry })
+		let prevCountryChange = getCountryChange(state.country)
+
+		// Simulates the user's input and records `onCountryChange()` calls.
+		const inputPhoneDigits = (phoneDigits) => {
+			state = phoneInputWithCountryReducer(state, {
+				type: 'PHONE_DIGITS',
+				phoneDigits,
+				props,
+				getAnyCountry
+			})
+			const countryChange = getCountryChange(state.country, getAmbiguousCountries(state, { metadata }))
+			if (hasCountryChanged(countryChange, prevCountryChange)) {
+				calls.push([countryChange.country, countryChange.details])
+			}
+			prevCountryChange = countryChange
+		}
+
+		inputPhoneDigits('+1')
+		calls.length.should.equal(1)
+		expect(calls[0][0]).to.be.undefined
+		calls[0][1].confident.should.equal(false)
+		calls[0][1].candidates.length.should.be.above(2)
+		calls[0][1].candidates.should.include('AG')
+
+		inputPhoneDigits('+12')
+		inputPhoneDigits('+121')
+		inputPhoneDigits('+1213')
+		calls.length.should.equal(3)
+		expect(calls[2][0]).to.be.undefined
+		calls[2][1].should.deep.equal({
+			candidates: ['US', 'CA'],
+			confident: false
+		})
+
+		// The candidate countries don't change.
+		inputPhoneDigits('+12133')
+		calls.length.should.equal(3)
+
+		inputPhoneDigits('+12133734253')
+		calls.length.should.equal(4)
+		calls[3].should.deep.equal(['US', {
+			candidates: ['US'],
+			confident: true
+		}])
+	})
+})
@@ -0,0 +1,35 @@
+// Countries by United Nations geoscheme ("M49") region.
+// https://unstats.un.org/unsd/methodology/m49/
+// Region names are `labels` keys.
+// Taiwan and Kosovo are not listed in "M49" and are added to Asia and Europe.
+// Ascension Island and Tristan da Cunha are part of Saint Helena (Africa).
+const COUNTRY_REGIONS = {
+	africa: 'AC AO BF BI BJ BW CD CF CG CI CM CV DJ DZ EG EH ER ET GA GH GM GN GQ GW IO KE KM LR LS LY MA MG ML MR MU MW MZ NA NE NG RE RW SC SD SH SL SN SO SS ST SZ TA TD TG TN TZ UG YT ZA ZM ZW',
+	americas: 'AG AI AR AW BB BL BM BO BQ BR BS BZ CA CL CO CR CU CW DM DO EC FK GD GF GL GP GT GY HN HT JM KN KY LC MF MQ MS MX NI PA PE PM PR PY SR SV SX TC TT US UY VC VE VG VI',
+	asia: 'AE AF AM AZ BD BH BN BT CN CY GE HK ID IL IN IQ IR JO JP KG KH KP KR KW KZ LA LB LK MM MN MO MV MY NP OM PH PK PS QA SA SG SY TH TJ TL TM TR TW UZ VN YE',
+	europe: 'AD AL AT AX BA BE BG BY CH CZ DE DK EE ES FI FO FR GB GG GI GR HR HU IE IM IS IT JE LI LT LU LV MC MD ME MK MT NL NO PL PT RO RS RU SE SI SJ SK SM UA VA XK',
+	oceania: 'AS AU CC CK CX FJ FM GU KI MH MP NC NF NR NU NZ PF PG PW SB TK TO TV VU WF WS'
+}
+
+export const REGIONS = Object.keys(COUNTRY_REGIONS)
+
+/**
+ * Returns a list of countries in a region.
+ * @param  {string} region — One of: `"africa"`, `"americas"`, `"asia"`, `"europe"`, `"oceania"`.
+ * @return {string[]}
+ */
+export function getRegionCountries(region) {
+	return COUNTRY_REGIONS[region].split(' ')
+}
+
+/**
+ * Returns country groups for `groupBy="region"`.
+ * @param  {object} labels — Region labels. Example: `{ africa: "Africa", ... }`.
+ * @return {object[]} A list of groups of shape `{ label: string, countries: string[] }`.
+ */
+export function getRegionCountryGroups(labels) {
+	return REGIONS.map((region) => ({
+		label: labels[region] || region,
+		countries: getRegionCountries(region)
+	}))
+}
@@ -0,0 +1,23 @@
+import metadata from 'libphonenumber-js/max/metadata'
+import { getCountries } from 'libphonenumber-js/core'
+
+import {
+	REGIONS,
+	getRegionCountries,
+	getRegionCountryGroups
+} from './countryRegions.js'
+
+describe('helpers/countryRegions', () => {
+	it('should place every country in exactly one region', () => {
+		const countries = REGIONS.reduce((all, region) => all.concat(getRegionCountries(region)), [])
+		countries.slice().sort().should.deep.equal(getCountries(metadata).slice().sort())
+	})
+
+	it('should get region country groups', () => {
+		const groups = getRegionCountryGroups({ europe: 'Europe' })
+		groups.length.should.equal(5)
+		groups[3].label.should.equal('Europe')
+		groups[3].countries.should.include('DE')
+		groups[0].label.should.equal('africa')
+	})
+})
@@ -0,0 +1,91 @@
+import { isSupportedCountry } from 'libphonenumber-js/core'
+
+let timeZoneCountriesPromise
+
+/**
+ * Loads the table of time zone countries.
+ * It's loaded lazily (via a dynamic `import()`) so that it doesn't increase
+ * the bundle size for those who don't use `defaultCountry="auto"`.
+ * @return {Promise<object>} A promise resolving to an object mapping IANA time zones to two-letter country codes.
+ */
+export function loadTimeZoneCountries() {
+	if (!timeZoneCountriesPromise) {
+		timeZoneCountriesPromise = import('./timeZoneCountries.js').then((_) => {
+			return _.default
+		}, (error) => {
+			// Could retry loading it later.
+			timeZoneCountriesPromise = undefined
+			throw error
+		})
+	}
+	return timeZoneCountriesPromise
+}
+
+/**
+ * Guesses the user's country. See `detectCountry()` exported from `../detectCountry.js`.
+ * @param  {object} [options]
+ * @param  {string[]} [options.countries] — If passed, only these countries could be detected.
+ * @param  {string[]} [options.languages] — Web browser's `navigator.languages` by default.
+ * @param  {string} [options.timeZone] — Web browser's time zone by default. Example: `"Europe/Berlin"`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @param  {object} [timeZoneCountries] — Maps IANA time zones to two-letter country codes. If not passed, the time zone isn't used.
+ * @return {string} [country] — A two-letter country code, or `undefined` if no country could be detected.
+ */
+export default function detectCountry({
+	countries,
+	languages = getBrowserLanguages(),
+	timeZone = getBrowserTimeZone()
+} = {}, metadata, timeZoneCountries) {
+	const isAllowed = (country) => {
+		return isSupportedCountry(country, metadata) && (!countries || countries.includes(country))
+	}
+	const timeZoneCountry = timeZone && timeZoneCountries && timeZoneCountries[timeZone]
+	if (timeZoneCountry && isAllowed(timeZoneCountry)) {
+		return timeZoneCountry
+	}
+	for (const language of languages) {
+		const country = getLanguageRegion(language)
+		if (country && isAllowed(country)) {
+			return country
+		}
+	}
+}
+
+// Matches a "region" subtag of a language tag.
+// Examples: "en-US", "zh-Hans-CN", "pt_BR".
+// Numeric regions like "es-419" (Latin America) are skipped.
+const LANGUAGE_REGION_REG_EXP = /^[a-z]{2,3}(?:[-_][a-z]{4})?[-_]([a-z]{2})(?:[-_]|$)/i
+
+/**
+ * Returns a "region" subtag of a language tag.
+ * @param  {string} language — Example: `"en-US"`.
+ * @return {string} [country] — Example: `"US"`.
+ */
+export function getLanguageRegion(language) {
+	const match = language.match(LANGUAGE_REGION_REG_EXP)
+	if (match) {
+		return match[1].toUpperCase()
+	}
+}
+
+function getBrowserLanguages() {
+	if (typeof navigator !== 'undefined') {
+		if (navigator.languages) {
+			return navigator.languages
+		}
+		if (navigator.language) {
+			return [navigator.language]
+		}
+	}
+	return []
+}
+
+function getBrowserTimeZone() {
+	if (typeof Intl !== 'undefined' && Intl.DateTimeFormat) {
+		try {
+			return Intl.DateTimeFormat().resolvedOptions().timeZone
+		} catch (error) {
+			// Some old web browsers throw when resolving a time zone.
+		}
+	}
+}
@@ -0,0 +1,16 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import detectCountry, { loadTimeZoneCountries } from './detectCountry.js'
+
+describe('helpers/detectCountry', () => {
+	it('should load time zone countries', async () => {
+		const timeZoneCountries = await loadTimeZoneCountries()
+		timeZoneCountries['Europe/Berlin'].should.equal('DE')
+		loadTimeZoneCountries().should.equal(loadTimeZoneCountries())
+		detectCountry({ timeZone: 'Europe/Berlin', languages: ['en-US'] }, metadata, timeZoneCountries).should.equal('DE')
+	})
+
+	it('should detect a country without time zone countries', () => {
+		detectCountry({ timeZone: 'Europe/Berlin', languages: ['en-US'] }, metadata).should.equal('US')
+	})
+})
@@ -0,0 +1,84 @@
+import { getExampleNumber } from 'libphonenumber-js/core'
+
+import { getInputValuePrefix, removeInputValuePrefix } from './inputValuePrefix.js'
+
+let examplePhoneNumbers
+let examplePhoneNumbersPromise
+
+/**
+ * Loads example phone numbers.
+ * Example phone numbers are loaded lazily (via a dynamic `import()`)
+ * so that they don't increase the bundle size for those who don't use them.
+ * `libphonenumber-js` only provides example phone numbers for mobile phones.
+ * @return {Promise<object>} A promise resolving to example phone numbers.
+ */
+export function loadExamplePhoneNumbers() {
+	if (!examplePhoneNumbersPromise) {
+		examplePhoneNumbersPromise = import('libphonenumber-js/examples.mobile').then((_) => {
+			examplePhoneNumbers = _.default
+			return examplePhoneNumbers
+		}, (error) => {
+			// Could retry loading them later.
+			examplePhoneNumbersPromise = undefined
+			throw error
+		})
+	}
+	return examplePhoneNumbersPromise
+}
+
+/**
+ * Returns example phone numbers if they have already been loaded.
+ * @return {object} [examples]
+ */
+export function getLoadedExamplePhoneNumbers() {
+	return examplePhoneNumbers
+}
+
+/**
+ * Returns a formatted example phone number for a country.
+ * @param  {object} examples — Example phone numbers.
+ * @param  {string} [country] — A two-letter country code.
+ * @param  {boolean} [international] — Whether to format the example phone number in international format.
+ * @param  {boolean} [withCountryCallingCode] — Whether to include the "country calling code" in international format. When not passed, the "country calling code" is omitted, like it is in a "without country select" `<input/>`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string} [placeholder]
+ */
+export function getExamplePhoneNumberPlaceholder({
+	examples,
+	country,
+	international,
+	withCountryCallingCode,
+	metadata
+}) {
+	if (!examples || !country) {
+		return
+	}
+	const phoneNumber = getExampleNumber(country, examples, metadata)
+	if (!phoneNumber) {
+		return
+	}
+	if (!international) {
+		return phoneNumber.formatNational()
+	}
+	return removeInputValuePrefix(
+		phoneNumber.formatInternational(),
+		getInputValuePrefix({
+			country,
+			international,
+			withCountryCallingCode,
+			metadata
+		})
+	)
+}
+
+/**
+ * Tells whether example phone numbers (which are mobile phone numbers)
+ * would match the `allowedNumberTypes`.
+ * @param  {string[]} [allowedNumberTypes]
+ * @return {boolean}
+ */
+export function areExamplePhoneNumbersOfAllowedType(allowedNumberTypes) {
+	return !allowedNumberTypes ||
+		allowedNumberTypes.indexOf('MOBILE') >= 0 ||
+		allowedNumberTypes.indexOf('FIXED_LINE_OR_MOBILE') >= 0
+}
@@ -0,0 +1,59 @@
+import metadata from 'libphonenumber-js/min/metadata'
+import examples from 'libphonenumber-js/examples.mobile'
+
+import {
+	loadExamplePhoneNumbers,
+	getLoadedExamplePhoneNumbers,
+	getExamplePhoneNumberPlaceholder,
+	areExamplePhoneNumbersOfAllowedType
+} from './examplePhoneNumbers.js'
+
+describe('helpers/examplePhoneNumbers', () => {
+	it('should load example phone numbers', async () => {
+		const loadedExamples = await loadExamplePhoneNumbers()
+		loadedExamples.US.should.equal(examples.US)
+		getLoadedExamplePhoneNumbers().should.equal(loadedExamples)
+	})
+
+	it('should get example phone number placeholder', () => {
+		expect(getExamplePhoneNumberPlaceholder({
+			examples: undefined,
+			country: 'US',
+			metadata
+		})).to.be.undefined
+
+		expect(getExamplePhoneNumberPlaceholder({
+			examples,
+			country: undefined,
+			metadata
+		})).to.be.undefined
+
+		getExamplePhoneNumberPlaceholder({
+			examples,
+			country: 'US',
+			metadata
+		}).should.equal('(201) 555-0123')
+
+		getExamplePhoneNumberPlaceholder({
+			examples,
+			country: 'US',
+			international: true,
+			metadata
+		}).should.equal('201 555 0123')
+
+		getExamplePhoneNumberPlaceholder({
+			examples,
+			country: 'US',
+			international: true,
+			withCountryCallingCode: true,
+			metadata
+		}).should.equal('+1 201 555 0123')
+	})
+
+	it('should tell if example phone numbers are of an allowed type', () => {
+		areExamplePhoneNumbersOfAllowedType().should.equal(true)
+		areExamplePhoneNumbersOfAllowedType(['MOBILE']).should.equal(true)
+		areExamplePhoneNumbersOfAllowedType(['FIXED_LINE_OR_MOBILE']).should.equal(true)
+		areExamplePhoneNumbersOfAllowedType(['FIXED_LINE']).should.equal(false)
+	})
+})
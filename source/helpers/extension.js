@@ -0,0 +1,46 @@
+// RFC 3966 phone number extension parameter.
+// Example: "+12133734253;ext=1234".
+// https://www.rfc-editor.org/rfc/rfc3966#section-5.1
+const EXTENSION_PARAMETER_REGEXP = /;ext=([^;]*)/i
+
+/**
+ * Splits a `value` into an E.164 phone number and an extension.
+ * @param  {string} [value] — E.164 phone number, possibly having an RFC 3966 `;ext=` suffix. Example: `"+12133734253;ext=1234"`.
+ * @return {object} An object of shape `{ value: string?, extension: string? }`.
+ */
+export function parseValueExtension(value) {
+	if (value) {
+		const match = value.match(EXTENSION_PARAMETER_REGEXP)
+		if (match) {
+			return {
+				value: value.slice(0, match.index) || undefined,
+				extension: parseExtensionDigits(match[1]) || undefined
+			}
+		}
+	}
+	return {
+		value
+	}
+}
+
+/**
+ * Removes any non-digit characters from an extension `<input/>` value.
+ * @param  {string} input
+ * @return {string}
+ */
+export function parseExtensionDigits(input) {
+	return input.replace(/\D/g, '')
+}
+
+/**
+ * Returns the extension for the component properties:
+ * either the `extension` property or the `;ext=` part of the `value` property.
+ * @param  {object} props
+ * @return {string} [extension]
+ */
+export function getExtensionFromProps({ value, extension }) {
+	if (extension !== undefined) {
+		return extension || undefined
+	}
+	return parseValueExtension(value).extension
+}
\ No newline at end of file
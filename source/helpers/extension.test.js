@@ -0,0 +1,44 @@
+import {
+	parseValueExtension,
+	parseExtensionDigits,
+	getExtensionFromProps
+} from './extension.js'
+
+describe('helpers/extension', () => {
+	it('should parse value extension', () => {
+		parseValueExtension(undefined).should.deep.equal({ value: undefined })
+		parseValueExtension('+12133734253').should.deep.equal({ value: '+12133734253' })
+
+		parseValueExtension('+12133734253;ext=1234').should.deep.equal({
+			value: '+12133734253',
+			extension: '1234'
+		})
+
+		parseValueExtension('+12133734253;EXT=1234').should.deep.equal({
+			value: '+12133734253',
+			extension: '1234'
+		})
+
+		// Other RFC 3966 parameters.
+		parseValueExtension('+12133734253;ext=1234;isub=5').should.deep.equal({
+			value: '+12133734253',
+			extension: '1234'
+		})
+
+		expect(parseValueExtension('+12133734253;ext=').extension).to.be.undefined
+		expect(parseValueExtension(';ext=1234').value).to.be.undefined
+	})
+
+	it('should parse extension digits', () => {
+		parseExtensionDigits('').should.equal('')
+		parseExtensionDigits('12a3-4').should.equal('1234')
+	})
+
+	it('should get extension from props', () => {
+		expect(getExtensionFromProps({})).to.be.undefined
+		expect(getExtensionFromProps({ value: '+12133734253' })).to.be.undefined
+		getExtensionFromProps({ value: '+12133734253;ext=1234' }).should.equal('1234')
+		getExtensionFromProps({ value: '+12133734253;ext=1234', extension: '5' }).should.equal('5')
+		expect(getExtensionFromProps({ value: '+12133734253;ext=1234', extension: '' })).to.be.undefined
+	})
+})
\ No newline at end of file
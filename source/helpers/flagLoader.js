@@ -0,0 +1,55 @@
+// Loaded flag components (or flag components being loaded), by `loadFlag` function and country.
+const cache = new WeakMap()
+
+/**
+ * Loads a country flag component. Only loads it once for any given `loadFlag` function and country.
+ * @param  {function} loadFlag — A function of `country` returning a `Promise` of a flag component. Example: `(country) => import('./flags/' + country + '.js')`.
+ * @param  {string} country
+ * @return {Promise<function>}
+ */
+export function loadFlag(loadFlag, country) {
+	let entries = cache.get(loadFlag)
+	if (!entries) {
+		entries = new Map()
+		cache.set(loadFlag, entries)
+	}
+	let entry = entries.get(country)
+	if (!entry) {
+		entry = {}
+		entry.promise = Promise.resolve(loadFlag(country)).then((Flag) => {
+			Flag = getComponentFromModule(Flag)
+			entry.Flag = Flag
+			return Flag
+		}, (error) => {
+			// Could retry loading it later.
+			entries.delete(country)
+			throw error
+		})
+		entries.set(country, entry)
+	}
+	return entry.promise
+}
+
+/**
+ * Returns a country flag component that has already been loaded.
+ * @param  {function} loadFlag
+ * @param  {string} country
+ * @return {function} [Flag]
+ */
+export function getLoadedFlag(loadFlag, country) {
+	const entries = cache.get(loadFlag)
+	if (entries) {
+		const entry = entries.get(country)
+		if (entry) {
+			return entry.Flag
+		}
+	}
+}
+
+// `import()` returns a "module" object having a `default` export.
+function getComponentFromModule(Flag) {
+	if (Flag && typeof Flag === 'object' && Flag.default) {
+		return Flag.default
+	}
+	return Flag
+}
@@ -0,0 +1,40 @@
+import { loadFlag, getLoadedFlag } from './flagLoader.js'
+
+describe('helpers/flagLoader', () => {
+	it('should load a flag component once per country', async () => {
+		const RU = () => null
+		const GB = () => null
+		const calls = []
+		const load = (country) => {
+			calls.push(country)
+			return Promise.resolve(country === 'RU' ? { default: RU } : GB)
+		}
+		expect(getLoadedFlag(load, 'RU')).to.be.undefined
+		const promise = loadFlag(load, 'RU')
+		loadFlag(load, 'RU').should.equal(promise)
+		;(await promise).should.equal(RU)
+		getLoadedFlag(load, 'RU').should.equal(RU)
+		expect(getLoadedFlag(load, 'GB')).to.be.undefined
+		;(await loadFlag(load, 'GB')).should.equal(GB)
+		calls.should.deep.equal(['RU', 'GB'])
+	})
+
+	it('should retry loading a flag component after an error', async () => {
+		const RU = () => null
+		let calls = 0
+		const load = () => {
+			calls++
+			return calls === 1 ? Promise.reject(new Error('Network error')) : Promise.resolve(RU)
+		}
+		let error
+		try {
+			await loadFlag(load, 'RU')
+		} catch (_error) {
+			error = _error
+		}
+		error.message.should.equal('Network error')
+		expect(getLoadedFlag(load, 'RU')).to.be.undefined
+		;(await loadFlag(load, 'RU')).should.equal(RU)
+		calls.should.equal(2)
+	})
+})
@@ -0,0 +1,59 @@
+import {
+	AsYouType,
+	getCountryCallingCode,
+	parseDigits
+} from 'libphonenumber-js/core'
+
+// Any punctuation at the end of an incomplete phone number, except a closing bracket.
+const TRAILING_PUNCTUATION_REGEXP = /[\s\-.\/(]+$/
+
+/**
+ * Formats phone number `<input/>` value when the `<input/>` doesn't have focus.
+ * Unlike "as you type" formatting, a complete phone number is formatted "fully",
+ * and there's no trailing punctuation.
+ * @param  {string} phoneDigits — Phone number digits, possibly with a leading `+`.
+ * @param  {string} [country] — The country of a phone number being input in "national" format.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string}
+ */
+export function formatPhoneDigitsOnBlur(phoneDigits, country, metadata) {
+	const asYouType = new AsYouType(country, metadata)
+	let text = asYouType.input(phoneDigits)
+	const phoneNumber = asYouType.getNumber()
+	if (phoneNumber && phoneNumber.isPossible()) {
+		const formattedPhoneNumber = phoneDigits[0] === '+'
+			? phoneNumber.formatInternational()
+			: phoneNumber.formatNational()
+		// Formatting a phone number could add or remove a "national prefix",
+		// in which case the formatted phone number wouldn't correspond to the `<input/>` value.
+		if (parseDigits(formattedPhoneNumber) === parseDigits(phoneDigits)) {
+			text = formattedPhoneNumber
+		}
+	}
+	return text.replace(TRAILING_PUNCTUATION_REGEXP, '')
+}
+
+/**
+ * Converts an international phone number of the `country` to "national" phone digits.
+ * For example, `"+12133734253"` → `"2133734253"` for `US`.
+ * @param  {string} phoneDigits — Phone number digits, possibly with a leading `+`.
+ * @param  {string} [country]
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string} [phoneDigits] — Returns `undefined` if `phoneDigits` isn't a complete international phone number of the `country`.
+ */
+export function getNationalPhoneDigits(phoneDigits, country, metadata) {
+	if (!country || !phoneDigits || phoneDigits[0] !== '+') {
+		return
+	}
+	const asYouType = new AsYouType(undefined, metadata)
+	asYouType.input(phoneDigits)
+	const phoneNumber = asYouType.getNumber()
+	if (phoneNumber && phoneNumber.isPossible()) {
+		// Several countries could share the same country calling code.
+		if (phoneNumber.countryCallingCode === getCountryCallingCode(country, metadata)) {
+			if (!phoneNumber.country || phoneNumber.country === country) {
+				return parseDigits(phoneNumber.formatNational())
+			}
+		}
+	}
+}
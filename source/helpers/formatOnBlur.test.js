@@ -0,0 +1,44 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import {
+	formatPhoneDigitsOnBlur,
+	getNationalPhoneDigits
+} from './formatOnBlur.js'
+
+describe('helpers/formatOnBlur', () => {
+	it('should format phone digits on blur', () => {
+		formatPhoneDigitsOnBlur('', undefined, metadata).should.equal('')
+		formatPhoneDigitsOnBlur('+', undefined, metadata).should.equal('+')
+		formatPhoneDigitsOnBlur('+12133734253', undefined, metadata).should.equal('+1 213 373 4253')
+		formatPhoneDigitsOnBlur('+12133734253', 'US', metadata).should.equal('+1 213 373 4253')
+		formatPhoneDigitsOnBlur('2133734253', 'US', metadata).should.equal('(213) 373-4253')
+		formatPhoneDigitsOnBlur('+78005553535', undefined, metadata).should.equal('+7 800 555 35 35')
+		formatPhoneDigitsOnBlur('88005553535', 'RU', metadata).should.equal('8 (800) 555-35-35')
+		formatPhoneDigitsOnBlur('+80012345678', undefined, metadata).should.equal('+800 1234 5678')
+	})
+
+	it('should not add or remove a "national prefix" when formatting phone digits on blur', () => {
+		formatPhoneDigitsOnBlur('12133734253', 'US', metadata).should.equal('1 (213) 373-4253')
+	})
+
+	it('should not leave trailing punctuation when formatting phone digits on blur', () => {
+		formatPhoneDigitsOnBlur('213', 'US', metadata).should.equal('(213)')
+		formatPhoneDigitsOnBlur('21337', 'US', metadata).should.equal('(213) 37')
+		formatPhoneDigitsOnBlur('+7800555', undefined, metadata).should.equal('+7 800 555')
+	})
+
+	it('should get national phone digits', () => {
+		getNationalPhoneDigits('+12133734253', 'US', metadata).should.equal('2133734253')
+		getNationalPhoneDigits('+78005553535', 'RU', metadata).should.equal('88005553535')
+		// Not an international phone number.
+		expect(getNationalPhoneDigits('2133734253', 'US', metadata)).to.be.undefined
+		// No country.
+		expect(getNationalPhoneDigits('+12133734253', undefined, metadata)).to.be.undefined
+		// Incomplete phone number.
+		expect(getNationalPhoneDigits('+1213373', 'US', metadata)).to.be.undefined
+		// A phone number of another country.
+		expect(getNationalPhoneDigits('+442079460958', 'US', metadata)).to.be.undefined
+		// A phone number of another country having the same country calling code.
+		expect(getNationalPhoneDigits('+16135550123', 'US', metadata)).to.be.undefined
+	})
+})
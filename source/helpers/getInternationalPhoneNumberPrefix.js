@@ -3,8 +3,14 @@ import {
 	Metadata
 } from 'libphonenumber-js/core'
 
+import { isNonGeographicCountry } from './nonGeographic.js'
+
 const ONLY_DIGITS_REGEXP = /^\d+$/
 export default function getInternationalPhoneNumberPrefix(country, metadata) {
+	// A "non-geographic" "country" is a `+` followed by the country calling code.
+	if (isNonGeographicCountry(country)) {
+		return country
+	}
 	// Standard international phone number prefix: "+" and "country calling code".
 	let prefix = '+' + getCountryCallingCode(country, metadata)
 	// Get "leading digits" for a phone number of the country.
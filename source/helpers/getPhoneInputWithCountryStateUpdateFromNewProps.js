@@ -1,7 +1,9 @@
 import {
 	getInitialPhoneDigits,
 	getCountryForPartialE164Number,
-	parsePhoneNumber
+	getPhoneDigitsForNewCountry,
+	parsePhoneNumber,
+	e164
 } from './phoneInputHelpers.js'
 
 import {
@@ -9,12 +11,37 @@ import {
 	getSupportedCountries
 } from './countries.js'
 
+import {
+	parseValueExtension,
+	getExtensionFromProps
+} from './extension.js'
+
+import { getPhoneNumberCountry } from './nonGeographic.js'
+
 export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, prevProps, state) {
+	const stateUpdate = getStateUpdate(props, prevProps, state)
+	// If both `value` and `country` properties have changed
+	// then the new `country` is applied to the new `value`.
+	const countryStateUpdate = getCountryStateUpdate(props, prevProps, {
+		...state,
+		...stateUpdate
+	})
+	const extensionStateUpdate = getExtensionStateUpdate(props, prevProps, state)
+	if (stateUpdate || countryStateUpdate || extensionStateUpdate) {
+		return {
+			...stateUpdate,
+			...countryStateUpdate,
+			...extensionStateUpdate
+		}
+	}
+}
+
+function getStateUpdate(props, prevProps, state) {
 	const {
 		metadata,
 		countries,
+		country: countryProperty,
 		defaultCountry: newDefaultCountry,
-		value: newValue,
 		reset: newReset,
 		international,
 		// `displayInitialValueAsLocalNumber` property has been
@@ -25,10 +52,14 @@ export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, p
 
 	const {
 		defaultCountry: prevDefaultCountry,
-		value: prevValue,
 		reset: prevReset
 	} = prevProps
 
+	// `value` property could have an RFC 3966 `;ext=` suffix.
+	// The extension is handled separately in `getExtensionStateUpdate()`.
+	const newValue = parseValueExtension(props.value).value
+	const prevValue = parseValueExtension(prevProps.value).value
+
 	const {
 		country,
 		value,
@@ -58,15 +89,7 @@ export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, p
 	// would be "stuck", if not using this `reset` property.
 	// https://github.com/catamphetamine/react-phone-number-input/issues/300
 	if (newReset !== prevReset) {
-		return {
-			phoneDigits: _getInitialPhoneDigits({
-				value: undefined,
-				defaultCountry: newDefaultCountry
-			}),
-			value: undefined,
-			country: newDefaultCountry,
-			hasUserSelectedACountry: undefined
-		}
+		return getPhoneInputWithCountryStateForReset(props)
 	}
 
 	// `value` is the value currently shown in the component:
@@ -123,9 +146,10 @@ export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, p
 	// is basically `props.value !== prevProps.value`
 	// so it means "if value property was changed externally".
 	// The second part — `newValue !== value` —
-	// is for ignoring the `getDerivedStateFromProps()` call
-	// which happens in `this.onChange()` right after `this.setState()`.
-	// If this `getDerivedStateFromProps()` call isn't ignored
+	// is for ignoring the properties update
+	// which happens right after the user has input something
+	// and the component has called `onChange(value)`.
+	// If this properties update isn't ignored
 	// then the country flag would reset on each input.
 	if (newValue !== prevValue && newValue !== value) {
 		let phoneNumber
@@ -133,11 +157,14 @@ export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, p
 		if (newValue) {
 			phoneNumber = parsePhoneNumber(newValue, metadata)
 			const supportedCountries = getSupportedCountries(countries, metadata)
-			if (phoneNumber && phoneNumber.country) {
+			// "Non-geographic" phone numbers, like `+80012345678`,
+			// get a "non-geographic" "country", like `"+800"`.
+			const phoneNumberCountry = phoneNumber && getPhoneNumberCountry(phoneNumber, metadata)
+			if (phoneNumberCountry) {
 				// Ignore `else` because all countries are supported in metadata.
 				/* istanbul ignore next */
-				if (!supportedCountries || supportedCountries.indexOf(phoneNumber.country) >= 0) {
-					parsedCountry = phoneNumber.country
+				if (!supportedCountries || supportedCountries.indexOf(phoneNumberCountry) >= 0) {
+					parsedCountry = phoneNumberCountry
 				}
 			} else {
 				parsedCountry = getCountryForPartialE164Number(newValue, {
@@ -147,8 +174,12 @@ export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, p
 				})
 			}
 		}
+		// When `country` property is passed, the selected country
+		// is controlled by the application, so it isn't reset
+		// when the `value` is erased.
+		const defaultCountry = isCountryControlled(props) ? (countryProperty || undefined) : newDefaultCountry
 		let hasUserSelectedACountryUpdate
-		if (!newValue) {
+		if (!newValue && !isCountryControlled(props)) {
 			// Reset `hasUserSelectedACountry` flag in `state`.
 			hasUserSelectedACountryUpdate = {
 				hasUserSelectedACountry: undefined
@@ -159,10 +190,13 @@ export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, p
 			phoneDigits: _getInitialPhoneDigits({
 				phoneNumber,
 				value: newValue,
-				defaultCountry: newDefaultCountry
+				defaultCountry
 			}),
 			value: newValue,
-			country: newValue ? parsedCountry : newDefaultCountry
+			// A controlled `country` isn't derived from the `value`.
+			country: isCountryControlled(props)
+				? defaultCountry
+				: (newValue ? parsedCountry : defaultCountry)
 		}
 	}
 
@@ -171,4 +205,169 @@ export default function getPhoneInputWithCountryStateUpdateFromNewProps(props, p
 	// `phoneDigits` didn't change, because `value` didn't change.
 	//
 	// So no need to update state.
+}
+
+/**
+ * Tells whether the selected country is controlled by the application
+ * via the `country` property. `null` means "International".
+ * When it's controlled, the selected country only changes when the `country` property changes.
+ * @param  {object} props
+ * @return {boolean}
+ */
+export function isCountryControlled(props) {
+	return props.country !== undefined
+}
+
+/**
+ * Updates `country` in `state` when the `country` property changes.
+ * The `country` property is used when the selected country
+ * is controlled by the application: for example, when it's synchronized
+ * with some other "country" field of a form.
+ * The phone number digits are only migrated for the new country here:
+ * neither selecting a country nor inputting a phone number
+ * changes a controlled country (see `phoneInputWithCountryReducer()`).
+ */
+function getCountryStateUpdate(props, prevProps, state) {
+	const {
+		countries,
+		addInternationalOption,
+		metadata
+	} = props
+
+	if (props.country === prevProps.country) {
+		return
+	}
+
+	// `null` means "International".
+	const newCountry = props.country || undefined
+
+	if (newCountry) {
+		if (!isCountrySupportedWithError(newCountry, metadata)) {
+			return
+		}
+		const supportedCountries = getSupportedCountries(countries, metadata)
+		if (supportedCountries && supportedCountries.indexOf(newCountry) < 0) {
+			console.error(`Country not available: ${newCountry}`)
+			return
+		}
+	} else if (addInternationalOption === false) {
+		console.error('"International" option is not available')
+		return
+	}
+
+	// When the application has accepted a country that's been derived
+	// from the phone number digits, those digits are left as is.
+	if (
+		state.countryChangeRequest &&
+		state.countryChangeRequest.phoneDigits &&
+		state.countryChangeRequest.country === newCountry
+	) {
+		return {
+			country: newCountry,
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		}
+	}
+
+	return {
+		...getPhoneInputWithCountryStateForNewCountry(state, newCountry, props),
+		// Any pending country change request is superseded by the `country` property.
+		countryChangeRequest: undefined
+	}
+}
+
+/**
+ * Returns the phone number component `state` after a new country has been selected.
+ * If the phone number `<input/>` holds any digits then those digits are migrated for the new `country`.
+ * @param  {object} state
+ * @param  {string} [country]
+ * @param  {object} props
+ * @return {object}
+ */
+export function getPhoneInputWithCountryStateForNewCountry(state, country, {
+	international,
+	metadata
+}) {
+	const phoneDigits = getPhoneDigitsForNewCountry(state.phoneDigits, {
+		prevCountry: state.country,
+		newCountry: country,
+		metadata,
+		// Convert the phone number to "national" format
+		// when the selected country changes.
+		useNationalFormat: !international
+	})
+	return {
+		country,
+		// A new `defaultCountry` property shouldn't override the selected country.
+		hasUserSelectedACountry: true,
+		phoneDigits,
+		value: e164(phoneDigits, country, metadata)
+	}
+}
+
+/**
+ * Returns the phone number component `state` after it has been reset:
+ * both the phone number `<input/>` and the country `<select/>`
+ * are reset to their initial "empty" values.
+ * When `country` property is passed, the selected country isn't reset.
+ * @param  {object} props
+ * @return {object}
+ */
+export function getPhoneInputWithCountryStateForReset(props) {
+	const {
+		country: countryProperty,
+		defaultCountry,
+		international,
+		// `displayInitialValueAsLocalNumber` property has been
+		// superceded by `initialValueFormat` property.
+		displayInitialValueAsLocalNumber,
+		initialValueFormat,
+		metadata
+	} = props
+	const country = isCountryControlled(props) ? (countryProperty || undefined) : defaultCountry
+	return {
+		phoneDigits: getInitialPhoneDigits({
+			value: undefined,
+			defaultCountry: country,
+			international,
+			useNationalFormat: displayInitialValueAsLocalNumber || initialValueFormat === 'national',
+			metadata
+		}),
+		value: undefined,
+		country,
+		hasUserSelectedACountry: isCountryControlled(props) ? true : undefined
+	}
+}
+
+/**
+ * Updates `extension` in `state` when the extension
+ * passed in the properties changes, or when the component is reset.
+ * The extension could be passed either as an `extension` property
+ * or as part of the `value` property: `"+12133734253;ext=1234"`.
+ */
+function getExtensionStateUpdate(props, prevProps, state) {
+	let newExtension = getExtensionFromProps(props)
+	if (props.reset === prevProps.reset) {
+		if (props.extension !== undefined) {
+			if (newExtension === getExtensionFromProps(prevProps)) {
+				return
+			}
+		} else {
+			if (props.value === prevProps.value) {
+				return
+			}
+			// When `onChange()` is called, the new `value` property
+			// doesn't have an `;ext=` suffix, and that shouldn't erase
+			// the extension. The extension is only erased when a new
+			// `value` is set externally.
+			if (!newExtension && parseValueExtension(props.value).value === state.value) {
+				return
+			}
+		}
+	}
+	if (newExtension !== state.extension) {
+		return {
+			extension: newExtension
+		}
+	}
 }
\ No newline at end of file
@@ -215,4 +215,387 @@ describe('getPhoneInputWithCountryStateUpdateFromNewProps', () => {
 			{}
 		)).to.be.undefined
 	})
-})
\ No newline at end of file
+
+	it('should get state update from new props (`value` changed) (has extension)', () => {
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				value: '+12133734253;ext=1234'
+			},
+			{},
+			{}
+		).should.deep.equal({
+			country: 'US',
+			phoneDigits: '+12133734253',
+			value: '+12133734253',
+			extension: '1234'
+		})
+	})
+
+	it('should get state update from new props (`value` did not change) (extension changed)', () => {
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				value: '+12133734253',
+				extension: '5'
+			},
+			{
+				value: '+12133734253',
+				extension: '1234'
+			},
+			{
+				value: '+12133734253',
+				extension: '1234'
+			}
+		).should.deep.equal({
+			extension: '5'
+		})
+	})
+
+	it('should get state update from new props (extension changed, but already displayed)', () => {
+		expect(getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				value: '+12133734253',
+				extension: '5'
+			},
+			{
+				value: '+12133734253'
+			},
+			{
+				value: '+12133734253',
+				extension: '5'
+			}
+		)).to.be.undefined
+	})
+
+	it('should get state update from new props (reset) (has extension)', () => {
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				reset: true
+			},
+			{},
+			{
+				extension: '1234'
+			}
+		).should.deep.equal({
+			phoneDigits: undefined,
+			value: undefined,
+			country: undefined,
+			hasUserSelectedACountry: undefined,
+			extension: undefined
+		})
+	})
+
+	it('should get state update from new props (`value` changed) (extension was part of the previous `value`)', () => {
+		// `onChange()` has been called.
+		expect(getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				value: '+12133734254'
+			},
+			{
+				value: '+12133734253;ext=1234'
+			},
+			{
+				value: '+12133734254',
+				extension: '1234'
+			}
+		)).to.be.undefined
+
+		// `value` has been changed externally.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				value: '+12133734254'
+			},
+			{
+				value: '+12133734253;ext=1234'
+			},
+			{
+				value: '+12133734253',
+				extension: '1234'
+			}
+		).should.deep.equal({
+			country: 'US',
+			phoneDigits: '+12133734254',
+			value: '+12133734254',
+			extension: undefined
+		})
+	})
+
+	it('should get state update from new props (`country` changed)', () => {
+		// National phone number of the same country calling code.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: 'CA',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				phoneDigits: '2133734253',
+				value: '+12133734253',
+				hasUserSelectedACountry: true
+			}
+		).should.deep.equal({
+			country: 'CA',
+			phoneDigits: '2133734253',
+			value: '+12133734253',
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+
+		// International phone number of another country is discarded.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: 'RU',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				phoneDigits: '+12133734253',
+				value: '+12133734253'
+			}
+		).should.deep.equal({
+			country: 'RU',
+			phoneDigits: '',
+			value: undefined,
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+
+		// "International".
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: undefined,
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				phoneDigits: '2133734253',
+				value: '+12133734253'
+			}
+		).should.deep.equal({
+			country: undefined,
+			phoneDigits: '+12133734253',
+			value: '+12133734253',
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+	})
+
+	it('should get state update from new props (`country` changed) (requested)', () => {
+		// The `country` property is updated in `onCountryChange()`
+		// after the user has selected a country. Until then, the selected country
+		// and the phone number digits stay the same.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: 'GB'
+			},
+			{
+				country: 'US'
+			},
+			{
+				country: 'US',
+				phoneDigits: '2133734253',
+				value: '+12133734253',
+				countryChangeRequest: { country: 'GB' }
+			}
+		).should.deep.equal({
+			country: 'GB',
+			phoneDigits: '2133734253',
+			value: '+442133734253',
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+
+		// The country has been derived from the phone number digits,
+		// so those digits are left as is.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: 'GB'
+			},
+			{
+				country: 'US'
+			},
+			{
+				country: 'US',
+				phoneDigits: '+4420',
+				value: '+4420',
+				countryChangeRequest: { country: 'GB', phoneDigits: true }
+			}
+		).should.deep.equal({
+			country: 'GB',
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+	})
+
+	it('should get state update from new props (`country` changed) ("International")', () => {
+		// `null` means "International".
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: null,
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				phoneDigits: '2133734253',
+				value: '+12133734253'
+			}
+		).should.deep.equal({
+			country: undefined,
+			phoneDigits: '+12133734253',
+			value: '+12133734253',
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+	})
+
+	it('should not get state update from new props (`country` changed) (not available)', () => {
+		const consoleError = console.error
+		const errors = []
+		console.error = (message) => errors.push(message)
+		try {
+			expect(getPhoneInputWithCountryStateUpdateFromNewProps(
+				{
+					country: 'RU',
+					countries: ['US', 'CA']
+				},
+				{
+					country: 'US',
+					countries: ['US', 'CA']
+				},
+				{
+					country: 'US'
+				}
+			)).to.be.undefined
+
+			expect(getPhoneInputWithCountryStateUpdateFromNewProps(
+				{
+					country: undefined,
+					addInternationalOption: false
+				},
+				{
+					country: 'US',
+					addInternationalOption: false
+				},
+				{
+					country: 'US'
+				}
+			)).to.be.undefined
+		} finally {
+			console.error = consoleError
+		}
+		errors.should.deep.equal([
+			'Country not available: RU',
+			'"International" option is not available'
+		])
+	})
+
+	it('should get state update from new props (`value` changed) (`country` property)', () => {
+		// The selected country stays when the `value` is erased.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: 'RU',
+				defaultCountry: 'US',
+				value: undefined
+			},
+			{
+				country: 'RU',
+				defaultCountry: 'US',
+				value: '+78005553535'
+			},
+			{
+				country: 'RU',
+				phoneDigits: '88005553535',
+				value: '+78005553535',
+				hasUserSelectedACountry: true
+			}
+		).should.deep.equal({
+			country: 'RU',
+			phoneDigits: undefined,
+			value: undefined
+		})
+
+		// Both `value` and `country` have changed.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: 'RU',
+				value: undefined
+			},
+			{
+				country: 'US',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				phoneDigits: '2133734253',
+				value: '+12133734253'
+			}
+		).should.deep.equal({
+			country: 'RU',
+			phoneDigits: undefined,
+			value: undefined,
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+
+		// Both `value` and `country` have changed.
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				country: 'RU',
+				value: '+12133734253'
+			},
+			{
+				country: 'US',
+				value: '+78005553535'
+			},
+			{
+				country: 'RU',
+				phoneDigits: '+78005553535',
+				value: '+78005553535'
+			}
+		).should.deep.equal({
+			country: 'RU',
+			phoneDigits: '+12133734253',
+			value: '+12133734253',
+			hasUserSelectedACountry: true,
+			countryChangeRequest: undefined
+		})
+	})
+
+	it('should get state update from new props (reset) (`country` property)', () => {
+		getPhoneInputWithCountryStateUpdateFromNewProps(
+			{
+				reset: true,
+				country: 'GB',
+				defaultCountry: 'RU'
+			},
+			{
+				country: 'GB',
+				defaultCountry: 'RU'
+			},
+			{
+				country: 'GB',
+				phoneDigits: '7'
+			}
+		).should.deep.equal({
+			phoneDigits: undefined,
+			value: undefined,
+			country: 'GB',
+			hasUserSelectedACountry: true
+		})
+	})
+})
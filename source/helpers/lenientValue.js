@@ -0,0 +1,45 @@
+import { isSupportedCountry } from 'libphonenumber-js/core'
+
+import { findPhoneNumberInPastedText } from './pastedText.js'
+import { parseValueExtension } from './extension.js'
+
+/**
+ * Implements `valueFormat="lenient"` property.
+ * Parses a `value` that isn't an E.164 phone number: for example, a phone number
+ * that has been stored in a database in some other format.
+ * Supported formats are the ones supported when pasting a phone number:
+ * a national phone number like `"(213) 373-4253"`, an international phone number
+ * with an "international dialing prefix" like `"0044 20 7946 0958"`,
+ * an RFC 3966 `tel:` URI like `"tel:+1-213-373-4253"`, etc.
+ * @param  {string} [value]
+ * @param  {string} [country] — The country that's used to parse national phone numbers.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {object} [migration] — Returns `undefined` if the `value` is empty or is already an E.164 phone number. Otherwise, returns an object of shape `{ originalValue: string, value: string? }`, where `value` is an E.164 phone number, or `undefined` if no phone number could be found in the `originalValue`.
+ */
+export function getLenientValueMigration(value, country, metadata) {
+	if (!value || isE164Value(value)) {
+		return
+	}
+	// `defaultCountry` could be a "non-geographic" "country" like `"+800"`.
+	if (country && !isSupportedCountry(country, metadata)) {
+		country = undefined
+	}
+	let result = findPhoneNumberInPastedText(value, country, metadata)
+	// `00` is the "international dialing prefix" in most countries
+	// so it's recognized even if it's not the one of the `country`.
+	// For example, `"0044 20 7946 0958"` when the `country` is `US`.
+	if (!result && /^\s*00/.test(value)) {
+		result = findPhoneNumberInPastedText(value.replace(/^\s*00/, '+'), country, metadata)
+	}
+	return {
+		originalValue: value,
+		// An extension, if any, is discarded.
+		value: result ? result.phoneNumber.number : undefined
+	}
+}
+
+// An incomplete E.164 phone number, like `"+1213"`, is a valid `value` too.
+// A `value` could also have an RFC 3966 `;ext=` suffix.
+function isE164Value(value) {
+	return /^\+\d+$/.test(parseValueExtension(value).value || '')
+}
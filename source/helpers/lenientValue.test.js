@@ -0,0 +1,50 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import { getLenientValueMigration } from './lenientValue.js'
+
+describe('helpers/lenientValue', () => {
+	it('should not migrate an empty or an E.164 value', () => {
+		expect(getLenientValueMigration(undefined, 'US', metadata)).to.be.undefined
+		expect(getLenientValueMigration('', 'US', metadata)).to.be.undefined
+		expect(getLenientValueMigration('+12133734253', 'US', metadata)).to.be.undefined
+		expect(getLenientValueMigration('+1213', 'US', metadata)).to.be.undefined
+		expect(getLenientValueMigration('+12133734253;ext=1234', 'US', metadata)).to.be.undefined
+	})
+
+	it('should migrate a national phone number', () => {
+		getLenientValueMigration('(213) 373-4253', 'US', metadata).should.deep.equal({
+			originalValue: '(213) 373-4253',
+			value: '+12133734253'
+		})
+		getLenientValueMigration('8 800 555 35 35', 'RU', metadata).value.should.equal('+78005553535')
+	})
+
+	it('should migrate an international phone number', () => {
+		getLenientValueMigration('+1 (213) 373-4253', undefined, metadata).value.should.equal('+12133734253')
+		getLenientValueMigration('011 44 20 7946 0958', 'US', metadata).value.should.equal('+442079460958')
+		getLenientValueMigration('0044 20 7946 0958', 'GB', metadata).value.should.equal('+442079460958')
+		// `00` isn't an "international dialing prefix" in the US.
+		getLenientValueMigration('0044 20 7946 0958', 'US', metadata).value.should.equal('+442079460958')
+		getLenientValueMigration('0044 20 7946 0958', undefined, metadata).value.should.equal('+442079460958')
+	})
+
+	it('should migrate a `tel:` URI', () => {
+		getLenientValueMigration('tel:+1-213-373-4253', undefined, metadata).value.should.equal('+12133734253')
+		// The extension is discarded.
+		getLenientValueMigration('tel:+1-213-373-4253;ext=1234', undefined, metadata).value.should.equal('+12133734253')
+	})
+
+	it('should not migrate a value that is not a phone number', () => {
+		getLenientValueMigration('garbage', 'US', metadata).should.deep.equal({
+			originalValue: 'garbage',
+			value: undefined
+		})
+		// A national phone number without a country.
+		expect(getLenientValueMigration('(213) 373-4253', undefined, metadata).value).to.be.undefined
+	})
+
+	it('should ignore an unsupported country', () => {
+		getLenientValueMigration('+1 (213) 373-4253', 'auto', metadata).value.should.equal('+12133734253')
+		getLenientValueMigration('+1 (213) 373-4253', '+800', metadata).value.should.equal('+12133734253')
+	})
+})
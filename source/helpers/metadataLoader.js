@@ -0,0 +1,57 @@
+// Loaded metadata (or metadata being loaded), by loader.
+// A loader is either a function returning a `Promise` or a `Promise` itself.
+const cache = new WeakMap()
+
+/**
+ * Tells whether `metadata` property is a metadata loader rather than metadata itself.
+ * A loader is either a function returning a `Promise` or a `Promise` itself.
+ * Example: `() => import('libphonenumber-js/min/metadata')`.
+ * @param  {(object|function|Promise)} [metadata]
+ * @return {boolean}
+ */
+export function isMetadataLoader(metadata) {
+	return typeof metadata === 'function' || Boolean(metadata && typeof metadata.then === 'function')
+}
+
+/**
+ * Loads metadata. Only loads it once for any given loader.
+ * @param  {(function|Promise)} loader
+ * @return {Promise<object>}
+ */
+export function loadMetadata(loader) {
+	let entry = cache.get(loader)
+	if (!entry) {
+		entry = {}
+		entry.promise = Promise.resolve(typeof loader === 'function' ? loader() : loader).then((metadata) => {
+			metadata = getMetadataFromModule(metadata)
+			entry.metadata = metadata
+			return metadata
+		}, (error) => {
+			// Could retry loading it later.
+			cache.delete(loader)
+			throw error
+		})
+		cache.set(loader, entry)
+	}
+	return entry.promise
+}
+
+/**
+ * Returns metadata that has already been loaded by a loader.
+ * @param  {(function|Promise)} loader
+ * @return {object} [metadata]
+ */
+export function getLoadedMetadata(loader) {
+	const entry = cache.get(loader)
+	if (entry) {
+		return entry.metadata
+	}
+}
+
+// `import()` returns a "module" object having a `default` export.
+function getMetadataFromModule(metadata) {
+	if (metadata && !metadata.countries && metadata.default) {
+		return metadata.default
+	}
+	return metadata
+}
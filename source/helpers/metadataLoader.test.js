@@ -0,0 +1,54 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import {
+	isMetadataLoader,
+	loadMetadata,
+	getLoadedMetadata
+} from './metadataLoader.js'
+
+describe('helpers/metadataLoader', () => {
+	it('should tell a metadata loader from metadata', () => {
+		isMetadataLoader(metadata).should.equal(false)
+		isMetadataLoader(undefined).should.equal(false)
+		isMetadataLoader(() => Promise.resolve(metadata)).should.equal(true)
+		isMetadataLoader(Promise.resolve(metadata)).should.equal(true)
+	})
+
+	it('should load metadata using a function', async () => {
+		let calls = 0
+		const loader = () => {
+			calls++
+			return Promise.resolve({ default: metadata })
+		}
+		expect(getLoadedMetadata(loader)).to.be.undefined
+		const promise = loadMetadata(loader)
+		loadMetadata(loader).should.equal(promise)
+		;(await promise).should.equal(metadata)
+		getLoadedMetadata(loader).should.equal(metadata)
+		calls.should.equal(1)
+	})
+
+	it('should load metadata using a promise', async () => {
+		const loader = Promise.resolve(metadata)
+		;(await loadMetadata(loader)).should.equal(metadata)
+		getLoadedMetadata(loader).should.equal(metadata)
+	})
+
+	it('should retry loading metadata after an error', async () => {
+		let calls = 0
+		const loader = () => {
+			calls++
+			return calls === 1 ? Promise.reject(new Error('Network error')) : Promise.resolve(metadata)
+		}
+		let error
+		try {
+			await loadMetadata(loader)
+		} catch (_error) {
+			error = _error
+		}
+		error.message.should.equal('Network error')
+		expect(getLoadedMetadata(loader)).to.be.undefined
+		;(await loadMetadata(loader)).should.equal(metadata)
+		calls.should.equal(2)
+	})
+})
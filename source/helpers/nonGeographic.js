@@ -0,0 +1,126 @@
+import {
+	getCountryCallingCode as _getCountryCallingCode,
+	isSupportedCountry as _isSupportedCountry,
+	Metadata
+} from 'libphonenumber-js/core'
+
+// Phone numbers having a "non-geographic" country calling code,
+// like `+800` (International Freephone) or `+881` (Global Mobile Satellite System),
+// don't belong to any country. Still, each such country calling code
+// is listed in the country `<select/>` as if it was a separate "country".
+// Such "non-geographic" "countries" are identified by a `+`
+// followed by the country calling code: `"+800"`, `"+881"`, etc.
+//
+// Non-geographic phone numbers don't have a "national" format,
+// so they're always input in international format.
+
+const NON_GEOGRAPHIC_COUNTRY_REGEXP = /^\+\d+$/
+
+/**
+ * Tells whether a `country` is a "non-geographic" one, like `"+800"`.
+ * @param  {string} [country]
+ * @return {boolean}
+ */
+export function isNonGeographicCountry(country) {
+	return typeof country === 'string' && NON_GEOGRAPHIC_COUNTRY_REGEXP.test(country)
+}
+
+/**
+ * Tells whether a country could be selected.
+ * "Non-geographic" "countries" are only available when they're listed in `countries`.
+ * @param  {string} country
+ * @param  {string[]} [countries] — The list of available countries. If not passed then "all countries" are assumed.
+ * @return {boolean}
+ */
+export function isCountryAvailable(country, countries) {
+	if (countries) {
+		return countries.indexOf(country) >= 0
+	}
+	return !isNonGeographicCountry(country)
+}
+
+/**
+ * Returns the list of "non-geographic" "countries" present in the metadata.
+ * Example: `["+800", "+808", "+870", ...]`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string[]}
+ */
+export function getNonGeographicCountries(metadata) {
+	return Object.keys(new Metadata(metadata).nonGeographic() || {})
+		.map(countryCallingCode => '+' + countryCallingCode)
+}
+
+/**
+ * Same as `isSupportedCountry()` of `libphonenumber-js`
+ * but also supports "non-geographic" "countries".
+ * @param  {string} country
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {boolean}
+ */
+export function isSupportedCountry(country, metadata) {
+	if (isNonGeographicCountry(country)) {
+		const nonGeographic = new Metadata(metadata).nonGeographic()
+		return Boolean(nonGeographic && nonGeographic[country.slice('+'.length)])
+	}
+	return _isSupportedCountry(country, metadata)
+}
+
+/**
+ * Same as `getCountryCallingCode()` of `libphonenumber-js`
+ * but also supports "non-geographic" "countries".
+ * @param  {string} country
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string}
+ */
+export function getCountryCallingCode(country, metadata) {
+	if (isNonGeographicCountry(country)) {
+		return country.slice('+'.length)
+	}
+	return _getCountryCallingCode(country, metadata)
+}
+
+/**
+ * Returns an argument for `Metadata.selectNumberingPlan()`:
+ * either a two-letter country code or a "non-geographic" country calling code.
+ * @param  {string} country
+ * @return {string}
+ */
+export function getNumberingPlanId(country) {
+	if (isNonGeographicCountry(country)) {
+		return country.slice('+'.length)
+	}
+	return country
+}
+
+/**
+ * Returns the "default country" argument for `AsYouType`.
+ * For "non-geographic" "countries" it returns `{ defaultCallingCode }`.
+ * @param  {string} [country]
+ * @return {(string|object)} [defaultCountry]
+ */
+export function getAsYouTypeDefaultCountry(country) {
+	if (isNonGeographicCountry(country)) {
+		return {
+			defaultCallingCode: country.slice('+'.length)
+		}
+	}
+	return country
+}
+
+/**
+ * Returns the country of a phone number.
+ * For "non-geographic" phone numbers, like `+80012345678`,
+ * returns a "non-geographic" "country", like `"+800"`.
+ * @param  {object} phoneNumber — An instance of `PhoneNumber` class.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string} [country]
+ */
+export function getPhoneNumberCountry(phoneNumber, metadata) {
+	if (phoneNumber.country) {
+		return phoneNumber.country
+	}
+	const nonGeographicCountry = '+' + phoneNumber.countryCallingCode
+	if (isSupportedCountry(nonGeographicCountry, metadata)) {
+		return nonGeographicCountry
+	}
+}
@@ -0,0 +1,60 @@
+import metadata from 'libphonenumber-js/min/metadata'
+import { parsePhoneNumber } from 'libphonenumber-js/core'
+
+import {
+	isNonGeographicCountry,
+	getNonGeographicCountries,
+	isSupportedCountry,
+	getCountryCallingCode,
+	getNumberingPlanId,
+	getAsYouTypeDefaultCountry,
+	getPhoneNumberCountry
+} from './nonGeographic.js'
+
+describe('helpers/nonGeographic', () => {
+	it('should tell whether a country is a "non-geographic" one', () => {
+		isNonGeographicCountry('+800').should.equal(true)
+		isNonGeographicCountry('US').should.equal(false)
+		isNonGeographicCountry('800').should.equal(false)
+		isNonGeographicCountry(undefined).should.equal(false)
+	})
+
+	it('should get "non-geographic" countries', () => {
+		const countries = getNonGeographicCountries(metadata)
+		countries.should.include('+800')
+		countries.should.include('+882')
+		countries.should.include('+979')
+		getNonGeographicCountries({ ...metadata, nonGeographic: undefined }).should.deep.equal([])
+	})
+
+	it('should tell whether a country is supported', () => {
+		isSupportedCountry('+800', metadata).should.equal(true)
+		isSupportedCountry('+801', metadata).should.equal(false)
+		isSupportedCountry('RU', metadata).should.equal(true)
+		isSupportedCountry('XX', metadata).should.equal(false)
+		isSupportedCountry('+800', { ...metadata, nonGeographic: undefined }).should.equal(false)
+	})
+
+	it('should get country calling code', () => {
+		getCountryCallingCode('+800', metadata).should.equal('800')
+		getCountryCallingCode('RU', metadata).should.equal('7')
+	})
+
+	it('should get numbering plan id', () => {
+		getNumberingPlanId('+800').should.equal('800')
+		getNumberingPlanId('RU').should.equal('RU')
+	})
+
+	it('should get `AsYouType` default country', () => {
+		getAsYouTypeDefaultCountry('+800').should.deep.equal({ defaultCallingCode: '800' })
+		getAsYouTypeDefaultCountry('RU').should.equal('RU')
+		expect(getAsYouTypeDefaultCountry(undefined)).to.be.undefined
+	})
+
+	it('should get phone number country', () => {
+		getPhoneNumberCountry(parsePhoneNumber('+78005553535', metadata), metadata).should.equal('RU')
+		getPhoneNumberCountry(parsePhoneNumber('+80012345678', metadata), metadata).should.equal('+800')
+		getPhoneNumberCountry(parsePhoneNumber('+882130123456', metadata), metadata).should.equal('+882')
+		expect(getPhoneNumberCountry(parsePhoneNumber('+80012345678', metadata), { ...metadata, nonGeographic: undefined })).to.be.undefined
+	})
+})
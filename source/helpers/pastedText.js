@@ -0,0 +1,88 @@
+import {
+	parsePhoneNumberFromString,
+	findPhoneNumbersInText,
+	getCountryCallingCode
+} from 'libphonenumber-js/core'
+
+import { generateNationalNumberDigits } from './phoneInputHelpers.js'
+
+/**
+ * Finds the first phone number in a pasted text.
+ * Supports RFC 3966 `tel:` URIs, including `;phone-context=` and `;ext=` parameters.
+ * Example: `"Call me at (+44) 20 7946 0958, thanks!"`.
+ * Example: `"tel:+1-213-373-4253;ext=123"`.
+ * @param  {string} text
+ * @param  {string} [country] — The country that's used to parse national phone numbers.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {object} [result] — An object of shape `{ phoneNumber: PhoneNumber, international: boolean }`, where `international` tells whether the phone number has been written in international format.
+ */
+export function findPhoneNumberInPastedText(text, country, metadata) {
+	text = text.trim()
+	if (/^tel:/i.test(text)) {
+		// The URI scheme is case-insensitive.
+		const phoneNumber = parsePhoneNumberFromString('tel:' + text.slice('tel:'.length), country, metadata)
+		if (phoneNumber) {
+			return {
+				phoneNumber,
+				// `tel:` URIs contain either a global phone number
+				// or a local one with a global `;phone-context=`.
+				international: text.indexOf('+') >= 0
+			}
+		}
+		return
+	}
+	const result = findPhoneNumbersInText(text, { defaultCountry: country }, metadata)[0]
+	if (result) {
+		return {
+			phoneNumber: result.number,
+			international: text.slice(result.startsAt, result.endsAt).indexOf('+') >= 0
+		}
+	}
+}
+
+/**
+ * Converts a pasted text to the "phone digits" of a phone number `<input/>`
+ * (digits and, possibly, a leading `+`).
+ * Returns `undefined` if there's no phone number in the text,
+ * or if the phone number can't be input in the `<input/>`.
+ * @param  {string} text
+ * @param  {string} [country] — If specified, only phone numbers of this country can be input.
+ * @param  {string} [defaultCountry] — The country that's used to parse national phone numbers.
+ * @param  {boolean} [international] — Whether the phone number should be input in international format.
+ * @param  {boolean} [withCountryCallingCode] — When a `country` is specified and `international` is `true`, tells whether the `<input/>` value includes the country calling code.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {object} [result] — An object of shape `{ phoneDigits: string, extension: string? }`.
+ */
+export function getPhoneDigitsForPastedText(text, {
+	country,
+	defaultCountry,
+	international,
+	withCountryCallingCode,
+	metadata
+}) {
+	const result = findPhoneNumberInPastedText(text, country || defaultCountry, metadata)
+	if (!result) {
+		return
+	}
+	const { phoneNumber } = result
+	let phoneDigits
+	if (country) {
+		if (phoneNumber.countryCallingCode !== getCountryCallingCode(country, metadata)) {
+			return
+		}
+		if (international) {
+			phoneDigits = withCountryCallingCode ? phoneNumber.number : phoneNumber.nationalNumber
+		} else {
+			phoneDigits = generateNationalNumberDigits(phoneNumber)
+		}
+	} else if (defaultCountry && !international && !result.international && phoneNumber.country === defaultCountry) {
+		// Keep a national phone number in national format.
+		phoneDigits = generateNationalNumberDigits(phoneNumber)
+	} else {
+		phoneDigits = phoneNumber.number
+	}
+	return {
+		phoneDigits,
+		extension: phoneNumber.ext
+	}
+}
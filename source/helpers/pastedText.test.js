@@ -0,0 +1,98 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import {
+	findPhoneNumberInPastedText,
+	getPhoneDigitsForPastedText
+} from './pastedText.js'
+
+describe('helpers/pastedText', () => {
+	it('should find a phone number in pasted text', () => {
+		const result = findPhoneNumberInPastedText('Call me at (+44) 20 7946 0958, thanks!', 'US', metadata)
+		result.phoneNumber.number.should.equal('+442079460958')
+		result.international.should.equal(true)
+
+		findPhoneNumberInPastedText('Call me at 213-373-4253', 'US', metadata).international.should.equal(false)
+
+		expect(findPhoneNumberInPastedText('Call me at 213-373-4253', undefined, metadata)).to.be.undefined
+		expect(findPhoneNumberInPastedText('No phone number here', 'US', metadata)).to.be.undefined
+	})
+
+	it('should find a phone number in a `tel:` URI', () => {
+		let result = findPhoneNumberInPastedText('tel:+1-213-373-4253;ext=123', undefined, metadata)
+		result.phoneNumber.number.should.equal('+12133734253')
+		result.phoneNumber.ext.should.equal('123')
+		result.international.should.equal(true)
+
+		result = findPhoneNumberInPastedText(' TEL:7946-0958;phone-context=+44-20 ', undefined, metadata)
+		result.phoneNumber.number.should.equal('+442079460958')
+
+		expect(findPhoneNumberInPastedText('tel:', undefined, metadata)).to.be.undefined
+	})
+
+	it('should get phone digits for pasted text', () => {
+		// International phone number.
+		getPhoneDigitsForPastedText('Call me at (+44) 20 7946 0958, thanks!', {
+			defaultCountry: 'US',
+			metadata
+		}).should.deep.equal({
+			phoneDigits: '+442079460958',
+			extension: undefined
+		})
+
+		// National phone number.
+		getPhoneDigitsForPastedText('Call me at 020 7946 0958', {
+			defaultCountry: 'GB',
+			metadata
+		}).should.deep.equal({
+			phoneDigits: '02079460958',
+			extension: undefined
+		})
+
+		// National phone number in `international` mode.
+		getPhoneDigitsForPastedText('Call me at 020 7946 0958', {
+			defaultCountry: 'GB',
+			international: true,
+			metadata
+		}).phoneDigits.should.equal('+442079460958')
+
+		// Extension.
+		getPhoneDigitsForPastedText('tel:+1-213-373-4253;ext=123', {
+			metadata
+		}).should.deep.equal({
+			phoneDigits: '+12133734253',
+			extension: '123'
+		})
+
+		// No phone number.
+		expect(getPhoneDigitsForPastedText('123', {
+			defaultCountry: 'US',
+			metadata
+		})).to.be.undefined
+	})
+
+	it('should get phone digits for pasted text when `country` is specified', () => {
+		getPhoneDigitsForPastedText('+1 213 373 4253', {
+			country: 'US',
+			metadata
+		}).phoneDigits.should.equal('2133734253')
+
+		getPhoneDigitsForPastedText('+1 213 373 4253', {
+			country: 'US',
+			international: true,
+			metadata
+		}).phoneDigits.should.equal('2133734253')
+
+		getPhoneDigitsForPastedText('(213) 373-4253', {
+			country: 'US',
+			international: true,
+			withCountryCallingCode: true,
+			metadata
+		}).phoneDigits.should.equal('+12133734253')
+
+		// Phone numbers of other countries can't be input.
+		expect(getPhoneDigitsForPastedText('+44 20 7946 0958', {
+			country: 'US',
+			metadata
+		})).to.be.undefined
+	})
+})
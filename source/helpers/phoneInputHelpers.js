@@ -1,11 +1,19 @@
 import parsePhoneNumber_, {
-	getCountryCallingCode,
 	AsYouType,
 	Metadata
 } from 'libphonenumber-js/core'
 
 import getInternationalPhoneNumberPrefix from './getInternationalPhoneNumberPrefix.js'
 
+import {
+	isNonGeographicCountry,
+	isCountryAvailable,
+	getCountryCallingCode,
+	getNumberingPlanId,
+	getAsYouTypeDefaultCountry,
+	getPhoneNumberCountry
+} from './nonGeographic.js'
+
 /**
  * Decides which country should be pre-selected
  * when the phone number input component is first mounted.
@@ -28,9 +36,12 @@ export function getPreSelectedCountry({
 
 	// If can get country from E.164 phone number
 	// then it overrides the `country` passed (or not passed).
-	if (phoneNumber && phoneNumber.country) {
+	// "Non-geographic" phone numbers, like `+80012345678`,
+	// get a "non-geographic" "country", like `"+800"`.
+	const phoneNumberCountry = phoneNumber && getPhoneNumberCountry(phoneNumber, metadata)
+	if (phoneNumberCountry) {
 		// `country` will be left `undefined` in case of non-detection.
-		country = phoneNumber.country
+		country = phoneNumberCountry
 	} else if (defaultCountry) {
 		if (!value || couldNumberBelongToCountry(value, defaultCountry, metadata)) {
 			country = defaultCountry
@@ -38,7 +49,7 @@ export function getPreSelectedCountry({
 	}
 
 	// Only pre-select a country if it's in the available `countries` list.
-	if (countries && countries.indexOf(country) < 0) {
+	if (country && !isCountryAvailable(country, countries)) {
 		country = undefined
 	}
 
@@ -88,7 +99,19 @@ export function getCountrySelectOptions({
 	}))
 
 	// Sort the list of countries alphabetically.
-	countrySelectOptions.sort((a, b) => _compareStrings(a.label, b.label, compareStringsLocales))
+	// "Non-geographic" "countries", like `"+800"`, are placed
+	// at the bottom of the list in the order of their country calling codes.
+	countrySelectOptions.sort((a, b) => {
+		const aIsNonGeographic = isNonGeographicCountry(a.value)
+		const bIsNonGeographic = isNonGeographicCountry(b.value)
+		if (aIsNonGeographic && bIsNonGeographic) {
+			return Number(a.value.slice('+'.length)) - Number(b.value.slice('+'.length))
+		}
+		if (aIsNonGeographic || bIsNonGeographic) {
+			return aIsNonGeographic ? 1 : -1
+		}
+		return _compareStrings(a.label, b.label, compareStringsLocales)
+	})
 
 	// Add the "International" option to the country list (if suitable)
 	if (addInternationalOption) {
@@ -146,6 +169,14 @@ export function getPhoneDigitsForNewCountry(phoneDigits, {
 		return phoneDigits
 	}
 
+	// "Non-geographic" phone numbers don't have a "national" format.
+	if (isNonGeographicCountry(newCountry)) {
+		if (phoneDigits && phoneDigits.indexOf(newCountry) === 0) {
+			return phoneDigits
+		}
+		return getInternationalPhoneNumberPrefix(newCountry, metadata)
+	}
+
 	// If `parsed_input` is empty
 	// then no need to migrate anything.
 	if (!phoneDigits) {
@@ -288,7 +319,7 @@ export function e164(number, country, metadata) {
 		// but `libphonenumber-js` is "forgiving" when it comes to parsing
 		// user's input, and this input component follows that behavior.
 		//
-		const asYouType = new AsYouType(country, metadata)
+		const asYouType = new AsYouType(getAsYouTypeDefaultCountry(country), metadata)
 		asYouType.input(number)
 		// This function would return `undefined` only when `number` is `"+"`,
 		// but at this point it is known that `number` is not `"+"`.
@@ -342,7 +373,7 @@ export function trimNumber(number, country, metadata) {
 function getMaxNumberLength(country, metadata) {
 	// Get "possible lengths" for a phone number of the country.
 	metadata = new Metadata(metadata)
-	metadata.selectNumberingPlan(country)
+	metadata.selectNumberingPlan(getNumberingPlanId(country))
 	// Return the last "possible length".
 	return metadata.numberingPlan.possibleLengths()[metadata.numberingPlan.possibleLengths().length - 1]
 }
@@ -373,7 +404,7 @@ export function getCountryForPartialE164Number(partialE164Number, {
 	// If a phone number is being input in international form
 	// and the country can already be derived from it,
 	// then select that country.
-	if (derived_country && (!countries || (countries.indexOf(derived_country) >= 0))) {
+	if (derived_country && isCountryAvailable(derived_country, countries)) {
 		return derived_country
 	}
 	// If "International" country option has not been disabled
@@ -399,6 +430,7 @@ export function getCountryForPartialE164Number(partialE164Number, {
  * @param  {string[]?} countries - A list of available countries. If not passed then "all countries" are assumed.
  * @param  {boolean} international - Set to `true` to force international phone number format (leading `+`). Set to `false` to force "national" phone number format. Is `undefined` by default.
  * @param  {boolean} limitMaxLength — Whether to enable limiting phone number max length.
+ * @param  {boolean} keepIDDPrefix — Whether to keep an international dialing prefix (like `00`) as input by the user instead of replacing it with a `+`.
  * @param  {object} metadata - `libphonenumber-js` metadata.
  * @return {object} An object of shape `{ input, country, value }`.
  */
@@ -412,8 +444,24 @@ export function onPhoneDigitsChange(phoneDigits, {
 	international,
 	limitMaxLength,
 	countryCallingCodeEditable,
+	keepIDDPrefix,
 	metadata
 }) {
+	// The user might input an international phone number
+	// using an "international dialing prefix" instead of a `+`.
+	// For example, `00` in Europe or `011` in the US.
+	// Such phone number is then handled as if it was input with a `+`.
+	// If `international` property is `false`, then only national
+	// phone numbers are allowed, so the digits are left as is.
+	let iddPrefix
+	if (international !== false && phoneDigits && phoneDigits[0] !== '+') {
+		const converted = convertIDDPrefixToPlus(phoneDigits, [country, defaultCountry], metadata)
+		if (converted) {
+			phoneDigits = converted.phoneDigits
+			iddPrefix = converted.iddPrefix
+		}
+	}
+
 	if (international && countryCallingCodeEditable === false) {
 		const prefix = getInternationalPhoneNumberPrefix(country, metadata)
 		// The `<input/>` value must start with the country calling code.
@@ -451,10 +499,17 @@ export function onPhoneDigitsChange(phoneDigits, {
 	// so, if that's the case, then remove all `+` characters,
 	// but only if some country is currently selected.
 	// (not if "International" country is selected).
-	if (international === false && country && phoneDigits && phoneDigits[0] === '+') {
+	if (international === false && country && !isNonGeographicCountry(country) && phoneDigits && phoneDigits[0] === '+') {
 		phoneDigits = convertInternationalPhoneDigitsToNational(phoneDigits, country, metadata)
 	}
 
+	// "Non-geographic" phone numbers, like `+80012345678`, are always
+	// input in international format, so if a "non-geographic" "country"
+	// is selected, the digits are prepended with its country calling code.
+	if (isNonGeographicCountry(country) && phoneDigits && phoneDigits[0] !== '+') {
+		phoneDigits = getInternationalPhoneNumberPrefix(country, metadata) + phoneDigits
+	}
+
 	// Trim the input to not exceed the maximum possible number length.
 	if (phoneDigits && country && limitMaxLength) {
 		phoneDigits = trimNumber(phoneDigits, country, metadata)
@@ -547,7 +602,7 @@ export function onPhoneDigitsChange(phoneDigits, {
 		// so, if that's the case, then remove all `+` characters,
 		// but only if some country is currently selected.
 		// (not if "International" country is selected).
-		if (international === false && country && phoneDigits && phoneDigits[0] === '+') {
+		if (international === false && country && !isNonGeographicCountry(country) && phoneDigits && phoneDigits[0] === '+') {
 			phoneDigits = convertInternationalPhoneDigitsToNational(phoneDigits, country, metadata)
 			// Re-calculate `value` because `phoneDigits` has changed.
 			value = e164(phoneDigits, country, metadata)
@@ -558,6 +613,16 @@ export function onPhoneDigitsChange(phoneDigits, {
 		country = defaultCountry || getAnyCountry()
 	}
 
+	// Restore the international dialing prefix if it should be kept.
+	// It's only kept if it's also an international dialing prefix
+	// of the (possibly newly) selected country, because the phone number
+	// in the `<input/>` is formatted according to the rules of that country.
+	if (iddPrefix && keepIDDPrefix && !international && country && !isNonGeographicCountry(country) && phoneDigits && phoneDigits[0] === '+') {
+		if (new RegExp('^(?:' + getIDDPrefixPattern(country, metadata) + ')$').test(iddPrefix)) {
+			phoneDigits = iddPrefix + phoneDigits.slice('+'.length)
+		}
+	}
+
 	return {
 		phoneDigits,
 		country,
@@ -565,6 +630,53 @@ export function onPhoneDigitsChange(phoneDigits, {
 	}
 }
 
+/**
+ * Replaces an international dialing prefix ("IDD prefix") at the start of `phoneDigits` with a `+`.
+ * For example, `00` in Germany or `011` in the US.
+ * The IDD prefix is only replaced when it's followed by a complete country calling code.
+ * @param  {string} phoneDigits — Phone number digits without a leading `+`.
+ * @param  {string[]} countries — The countries whose IDD prefixes are recognized. Can contain `undefined`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {object} [result] — An object of shape `{ phoneDigits: string, iddPrefix: string }`.
+ * @example
+ * // Returns `{ phoneDigits: "+49301234567", iddPrefix: "00" }`.
+ * convertIDDPrefixToPlus('0049301234567', ['DE'], metadata)
+ */
+export function convertIDDPrefixToPlus(phoneDigits, countries, metadata) {
+	const _metadata = new Metadata(metadata)
+	for (const country of countries) {
+		// "Non-geographic" "countries" don't have an international dialing prefix.
+		if (!country || isNonGeographicCountry(country)) {
+			continue
+		}
+		const iddPrefixPattern = getIDDPrefixPattern(country, metadata)
+		const match = iddPrefixPattern && phoneDigits.match(new RegExp('^(?:' + iddPrefixPattern + ')'))
+		if (match) {
+			const iddPrefix = match[0]
+			const rest = phoneDigits.slice(iddPrefix.length)
+			// Country calling codes are "prefix-free",
+			// so there could only be one matching calling code.
+			for (let length = 1; length <= MAX_COUNTRY_CALLING_CODE_LENGTH && length <= rest.length; length++) {
+				// Also matches "non-geographic" country calling codes like `800`.
+				if (_metadata.hasCallingCode(rest.slice(0, length))) {
+					return {
+						phoneDigits: '+' + rest,
+						iddPrefix
+					}
+				}
+			}
+		}
+	}
+}
+
+const MAX_COUNTRY_CALLING_CODE_LENGTH = 3
+
+function getIDDPrefixPattern(country, metadata) {
+	metadata = new Metadata(metadata)
+	metadata.selectNumberingPlan(country)
+	return metadata.numberingPlan.IDDPrefix()
+}
+
 function convertInternationalPhoneDigitsToNational(input, country, metadata) {
 	// Handle the case when a user might have pasted
 	// a phone number in international format.
@@ -590,6 +702,7 @@ function convertInternationalPhoneDigitsToNational(input, country, metadata) {
 
 /**
  * Determines the country for a given (possibly incomplete) E.164 phone number.
+ * For "non-geographic" phone numbers, like `+800...`, it returns a "non-geographic" "country", like `"+800"`.
  * @param  {string} number - A possibly incomplete E.164 phone number.
  * @param  {object} metadata - `libphonenumber-js` metadata.
  * @return {string?}
@@ -602,7 +715,149 @@ export function getCountryFromPossiblyIncompleteInternationalPhoneNumber(number,
 	// if (formatter.getCountry() === '001') {
 	// 	return
 	// }
-	return formatter.getCountry()
+	return getCountryForAsYouType(formatter, metadata)
+}
+
+// Returns the country of the phone number that's being input.
+// For "non-geographic" phone numbers, like `+800...`, returns
+// a "non-geographic" "country", like `"+800"`.
+function getCountryForAsYouType(formatter, metadata) {
+	if (formatter.getCountry()) {
+		return formatter.getCountry()
+	}
+	if (formatter.getCallingCode() && new Metadata(metadata).isNonGeographicCallingCode(formatter.getCallingCode())) {
+		return '+' + formatter.getCallingCode()
+	}
+}
+
+/**
+ * Returns the countries that a (possibly incomplete) E.164 phone number could belong to.
+ * For example, `+1` is shared by the US, Canada and several other countries,
+ * and a phone number like `+1213` can't be attributed to any one of them
+ * until more digits have been input.
+ * For "non-geographic" phone numbers, like `+800...`, it returns a "non-geographic" "country", like `"+800"`.
+ * @param  {string} number - A possibly incomplete E.164 phone number.
+ * @param  {string[]?} countries - A list of available countries. If not passed then "all countries" are assumed.
+ * @param  {object} metadata - `libphonenumber-js` metadata.
+ * @return {string[]} Returns an empty list if the country calling code hasn't been input yet.
+ */
+export function getPossibleCountriesForPartialE164Number(number, {
+	countries,
+	metadata
+}) {
+	const formatter = new AsYouType(null, metadata)
+	formatter.input(number)
+	let possibleCountries = []
+	const country = getCountryForAsYouType(formatter, metadata)
+	if (country) {
+		possibleCountries = [country]
+	} else if (formatter.getCallingCode()) {
+		possibleCountries = new Metadata(metadata).countryCallingCodes()[formatter.getCallingCode()] || []
+		// A country that's identified by the "leading digits" of a phone number
+		// (like `268` for Antigua and Barbuda) is ruled out as soon as
+		// the national number digits that've been input can't start with those.
+		const nationalNumber = formatter.getNationalNumber()
+		if (nationalNumber) {
+			const _metadata = new Metadata(metadata)
+			possibleCountries = possibleCountries.filter((country) => {
+				if (country === '001') {
+					return true
+				}
+				_metadata.selectNumberingPlan(country)
+				return couldNationalNumberHaveLeadingDigits(nationalNumber, _metadata.numberingPlan.leadingDigits())
+			})
+		}
+	}
+	// `001` is a special "non-geographic entity" code
+	// in Google's `libphonenumber` library.
+	return possibleCountries.filter((country) => {
+		return country !== '001' && isCountryAvailable(country, countries)
+	})
+}
+
+/**
+ * Tells whether a (possibly incomplete) national number could start with the "leading digits"
+ * of a country that shares its country calling code with other countries.
+ * @param  {string} nationalNumber
+ * @param  {string} [leadingDigits] — A regular expression. Example: `"8001|8[024]9"`.
+ * @return {boolean} Returns `true` when there're no `leadingDigits`.
+ */
+export function couldNationalNumberHaveLeadingDigits(nationalNumber, leadingDigits) {
+	if (!leadingDigits) {
+		return true
+	}
+	const prefixes = getLeadingDigitsPrefixes(leadingDigits)
+	// Unsupported regular expression syntax.
+	if (!prefixes) {
+		return true
+	}
+	return prefixes.some((prefix) => {
+		return nationalNumber.indexOf(prefix) === 0 || prefix.indexOf(nationalNumber) === 0
+	})
+}
+
+/**
+ * Lists all the strings that a "leading digits" regular expression matches.
+ * "Leading digits" regular expressions are short and only consist of digits,
+ * `[...]` character classes, `(?:...)` groups and `|` alternatives.
+ * @param  {string} leadingDigits — Example: `"74576|(?:16|7[56])24"`.
+ * @return {string[]} [prefixes] — Returns `undefined` in case of any other syntax. Example: `["74576", "1624", "7524", "7624"]`.
+ */
+function getLeadingDigitsPrefixes(leadingDigits) {
+	let i = 0
+	const parseAlternatives = () => {
+		let prefixes = parseSequence()
+		while (prefixes && leadingDigits[i] === '|') {
+			i++
+			const alternative = parseSequence()
+			prefixes = alternative && prefixes.concat(alternative)
+		}
+		return prefixes
+	}
+	const parseSequence = () => {
+		let prefixes = ['']
+		while (prefixes && i < leadingDigits.length && leadingDigits[i] !== '|' && leadingDigits[i] !== ')') {
+			const characters = parseCharacters()
+			prefixes = characters && prefixes.reduce((all, prefix) => {
+				return all.concat(characters.map(character => prefix + character))
+			}, [])
+		}
+		return prefixes
+	}
+	const parseCharacters = () => {
+		const character = leadingDigits[i++]
+		if (character >= '0' && character <= '9') {
+			return [character]
+		}
+		if (character === '[') {
+			const digits = []
+			while (i < leadingDigits.length && leadingDigits[i] !== ']') {
+				const digit = leadingDigits[i++]
+				if (leadingDigits[i] === '-') {
+					const lastDigit = leadingDigits[i + 1]
+					i += 2
+					for (let code = digit.charCodeAt(0); code <= lastDigit.charCodeAt(0); code++) {
+						digits.push(String.fromCharCode(code))
+					}
+				} else {
+					digits.push(digit)
+				}
+			}
+			i++
+			return digits
+		}
+		if (character === '(' && leadingDigits.slice(i, i + 2) === '?:') {
+			i += 2
+			const prefixes = parseAlternatives()
+			if (leadingDigits[i++] === ')') {
+				return prefixes
+			}
+		}
+	}
+	const prefixes = parseAlternatives()
+	if (i === leadingDigits.length) {
+		return prefixes
+	}
 }
 
 /**
@@ -673,7 +928,7 @@ export function stripCountryCallingCode(number, country, metadata) {
  */
 export function getNationalSignificantNumberDigits(number, country, metadata) {
 	// Create "as you type" formatter.
-	const formatter = new AsYouType(country, metadata)
+	const formatter = new AsYouType(getAsYouTypeDefaultCountry(country), metadata)
 	// Input partial national phone number.
 	formatter.input(number)
 	// Return the parsed partial national phone number.
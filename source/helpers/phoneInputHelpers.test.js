@@ -8,6 +8,9 @@ import {
 	getCountryForPartialE164Number,
 	onPhoneDigitsChange,
 	getInitialPhoneDigits,
+	convertIDDPrefixToPlus,
+	getPossibleCountriesForPartialE164Number,
+	couldNationalNumberHaveLeadingDigits,
 	// Private functions
 	getCountryFromPossiblyIncompleteInternationalPhoneNumber,
 	compareStrings,
@@ -511,6 +514,59 @@ describe('phoneInputHelpers', () => {
 		expect(getCountryFromPossiblyIncompleteInternationalPhoneNumber('+12', metadata)).to.be.undefined
 	})
 
+	it('should get possible countries for partial E.164 number', () =>
+	{
+		// Country calling code hasn't been input yet.
+		getPossibleCountriesForPartialE164Number('+', { metadata }).should.deep.equal([])
+		getPossibleCountriesForPartialE164Number('+2', { metadata }).should.deep.equal([])
+
+		// Country calling code is shared by several countries.
+		const possibleCountries = getPossibleCountriesForPartialE164Number('+1', { metadata })
+		possibleCountries[0].should.equal('US')
+		possibleCountries.should.include('CA')
+		possibleCountries.length.should.be.above(2)
+
+		// Countries having "leading digits" are ruled out
+		// when the phone number can't start with those.
+		getPossibleCountriesForPartialE164Number('+1213', { metadata }).should.deep.equal(['US', 'CA'])
+		getPossibleCountriesForPartialE164Number('+12', { metadata }).should.include('AG')
+		getPossibleCountriesForPartialE164Number('+447', { metadata }).should.deep.equal(['GB', 'GG', 'IM', 'JE'])
+
+		// Only the available countries are returned.
+		getPossibleCountriesForPartialE164Number('+1213', { countries: ['CA', 'RU', 'US'], metadata }).should.deep.equal(['US', 'CA'])
+
+		// Country can be derived.
+		getPossibleCountriesForPartialE164Number('+1876', { metadata }).should.deep.equal(['JM'])
+		getPossibleCountriesForPartialE164Number('+12133734253', { metadata }).should.deep.equal(['US'])
+		getPossibleCountriesForPartialE164Number('+1876', { countries: ['US'], metadata }).should.deep.equal([])
+
+		// Country calling code isn't shared.
+		getPossibleCountriesForPartialE164Number('+33', { metadata }).should.deep.equal(['FR'])
+
+		// "Non-geographic" country calling code.
+		// Such "countries" are only available when they're listed in `countries`.
+		getPossibleCountriesForPartialE164Number('+800', { countries: ['US', '+800'], metadata }).should.deep.equal(['+800'])
+		getPossibleCountriesForPartialE164Number('+800', { countries: ['US'], metadata }).should.deep.equal([])
+		getPossibleCountriesForPartialE164Number('+800', { metadata }).should.deep.equal([])
+	})
+
+	it('should tell whether a national number could have leading digits', () => {
+		couldNationalNumberHaveLeadingDigits('213', undefined).should.equal(true)
+		couldNationalNumberHaveLeadingDigits('2', '268').should.equal(true)
+		couldNationalNumberHaveLeadingDigits('26', '268').should.equal(true)
+		couldNationalNumberHaveLeadingDigits('2684', '268').should.equal(true)
+		couldNationalNumberHaveLeadingDigits('21', '268').should.equal(false)
+		couldNationalNumberHaveLeadingDigits('802', '8001|8[024]9').should.equal(false)
+		couldNationalNumberHaveLeadingDigits('829', '8001|8[024]9').should.equal(true)
+		couldNationalNumberHaveLeadingDigits('75', '74576|(?:16|7[56])24').should.equal(true)
+		couldNationalNumberHaveLeadingDigits('7524', '74576|(?:16|7[56])24').should.equal(true)
+		couldNationalNumberHaveLeadingDigits('7525', '74576|(?:16|7[56])24').should.equal(false)
+		couldNationalNumberHaveLeadingDigits('5', '3[04-689]|[489]').should.equal(false)
+		couldNationalNumberHaveLeadingDigits('35', '3[04-689]|[489]').should.equal(true)
+		// Unsupported regular expression syntax.
+		couldNationalNumberHaveLeadingDigits('5', '3\\d').should.equal(true)
+	})
+
 	it('should compare strings', () =>
 	{
 		compareStrings('aa', 'ab').should.equal(-1)
@@ -952,6 +1008,217 @@ describe('phoneInputHelpers', () => {
 		})
 	})
 
+	it('should handle "non-geographic" countries', () => {
+		// Pre-selects a "non-geographic" country for a "non-geographic" phone number.
+		getPreSelectedCountry({
+			value: '+882130123456',
+			phoneNumber: parsePhoneNumber('+882130123456', metadata),
+			countries: ['US', '+882'],
+			metadata
+		}).should.equal('+882')
+
+		// Unless it's not in the list of `countries`.
+		expect(getPreSelectedCountry({
+			value: '+882130123456',
+			phoneNumber: parsePhoneNumber('+882130123456', metadata),
+			countries: ['US', 'RU'],
+			metadata
+		})).to.be.undefined
+
+		// "Non-geographic" countries are only available when they're listed in `countries`.
+		expect(getPreSelectedCountry({
+			value: '+882130123456',
+			phoneNumber: parsePhoneNumber('+882130123456', metadata),
+			metadata
+		})).to.be.undefined
+
+		// "Non-geographic" countries are placed at the bottom of the list.
+		getCountrySelectOptions({
+			countries: ['+882', 'US', '+800', 'RU'],
+			countryNames: {
+				'+800': 'International Freephone',
+				'+882': 'International Networks',
+				'RU': 'Russia',
+				'US': 'United States'
+			}
+		}).should.deep.equal([
+			{ value: 'RU', label: 'Russia' },
+			{ value: 'US', label: 'United States' },
+			{ value: '+800', label: 'International Freephone' },
+			{ value: '+882', label: 'International Networks' }
+		])
+
+		// Selecting a "non-geographic" country.
+		getPhoneDigitsForNewCountry('', {
+			newCountry: '+800',
+			useNationalFormat: true,
+			metadata
+		}).should.equal('+800')
+
+		getPhoneDigitsForNewCountry('8005553535', {
+			prevCountry: 'RU',
+			newCountry: '+800',
+			useNationalFormat: true,
+			metadata
+		}).should.equal('+800')
+
+		getPhoneDigitsForNewCountry('+80012345678', {
+			newCountry: '+800',
+			metadata
+		}).should.equal('+80012345678')
+
+		// Selecting a country after a "non-geographic" one.
+		getPhoneDigitsForNewCountry('+80012345678', {
+			prevCountry: '+800',
+			newCountry: 'RU',
+			metadata
+		}).should.equal('+7')
+
+		// Derives a "non-geographic" country from the input.
+		onPhoneDigitsChange('+8001234', {
+			countries: ['US', '+800'],
+			metadata
+		}).should.deep.equal({
+			phoneDigits: '+8001234',
+			country: '+800',
+			value: '+8001234'
+		})
+
+		// Unless "non-geographic" countries aren't listed in `countries`.
+		onPhoneDigitsChange('+8001234', {
+			metadata
+		}).should.deep.equal({
+			phoneDigits: '+8001234',
+			country: undefined,
+			value: '+8001234'
+		})
+
+		// A "non-geographic" phone number is always input in international format.
+		onPhoneDigitsChange('1234', {
+			country: '+800',
+			international: false,
+			metadata
+		}).should.deep.equal({
+			phoneDigits: '+8001234',
+			country: '+800',
+			value: '+8001234'
+		})
+
+		onPhoneDigitsChange('+80012345678', {
+			country: '+800',
+			international: false,
+			limitMaxLength: true,
+			metadata
+		}).should.deep.equal({
+			phoneDigits: '+80012345678',
+			country: '+800',
+			value: '+80012345678'
+		})
+
+		// Trims the input to not exceed the maximum possible number length.
+		trimNumber('+800123456789', '+800', metadata).should.equal('+80012345678')
+
+		e164('+80012345678', '+800', metadata).should.equal('+80012345678')
+
+		couldNumberBelongToCountry('+80', '+800', metadata).should.equal(true)
+		couldNumberBelongToCountry('+81', '+800', metadata).should.equal(false)
+
+		getCountryFromPossiblyIncompleteInternationalPhoneNumber('+800', metadata).should.equal('+800')
+
+		// An international dialing prefix followed by a "non-geographic" country calling code.
+		convertIDDPrefixToPlus('0080012345678', ['DE'], metadata).should.deep.equal({
+			phoneDigits: '+80012345678',
+			iddPrefix: '00'
+		})
+		expect(convertIDDPrefixToPlus('0080012345678', ['+800'], metadata)).to.be.undefined
+	})
+
+	it('should convert international dialing prefix to a `+`', () => {
+		convertIDDPrefixToPlus('0049301234567', ['DE'], metadata).should.deep.equal({
+			phoneDigits: '+49301234567',
+			iddPrefix: '00'
+		})
+
+		convertIDDPrefixToPlus('011442079460958', [undefined, 'US'], metadata).should.deep.equal({
+			phoneDigits: '+442079460958',
+			iddPrefix: '011'
+		})
+
+		convertIDDPrefixToPlus('81044', ['RU'], metadata).should.deep.equal({
+			phoneDigits: '+44',
+			iddPrefix: '810'
+		})
+
+		// Incomplete country calling code.
+		expect(convertIDDPrefixToPlus('00', ['DE'], metadata)).to.be.undefined
+		expect(convertIDDPrefixToPlus('004', ['DE'], metadata)).to.be.undefined
+
+		// Not an international dialing prefix of the country.
+		expect(convertIDDPrefixToPlus('0044', ['US'], metadata)).to.be.undefined
+
+		// National phone number.
+		expect(convertIDDPrefixToPlus('02079460958', ['GB'], metadata)).to.be.undefined
+	})
+
+	it('should handle phone digits change (international dialing prefix)', () => {
+		const onChange = (phoneDigits, options) => onPhoneDigitsChange(phoneDigits, {
+			prevPhoneDigits: '',
+			country: 'US',
+			metadata,
+			...options
+		})
+
+		onChange('011442079460958').should.deep.equal({
+			phoneDigits: '+442079460958',
+			country: 'GB',
+			value: '+442079460958'
+		})
+
+		// Incomplete country calling code.
+		onChange('0114').should.deep.equal({
+			phoneDigits: '0114',
+			country: 'US',
+			value: '+1'
+		})
+
+		// International dialing prefix of the `defaultCountry`.
+		onChange('011442079460958', {
+			country: undefined,
+			defaultCountry: 'US'
+		}).should.deep.equal({
+			phoneDigits: '+442079460958',
+			country: 'GB',
+			value: '+442079460958'
+		})
+
+		// Only national phone numbers are allowed.
+		const result = onChange('011442079460958', {
+			international: false
+		})
+		result.phoneDigits.should.equal('011442079460958')
+		result.country.should.equal('US')
+
+		// Keep the international dialing prefix.
+		onChange('0049301234567', {
+			country: 'FR',
+			keepIDDPrefix: true
+		}).should.deep.equal({
+			phoneDigits: '0049301234567',
+			country: 'DE',
+			value: '+49301234567'
+		})
+
+		// Keep the international dialing prefix,
+		// but it's not an international dialing prefix of the newly selected country.
+		onChange('011442079460958', {
+			keepIDDPrefix: true
+		}).should.deep.equal({
+			phoneDigits: '+442079460958',
+			country: 'GB',
+			value: '+442079460958'
+		})
+	})
+
 	it('should get initial parsed input', () => {
 		getInitialPhoneDigits({
 			value: '+78005553535',
@@ -0,0 +1,307 @@
+import { getCountries } from 'libphonenumber-js/core'
+
+import {
+	getPreSelectedCountry,
+	getCountrySelectOptions,
+	parsePhoneNumber,
+	getInitialPhoneDigits,
+	onPhoneDigitsChange,
+	compareStrings
+} from './phoneInputHelpers.js'
+
+import { getRegionCountryGroups } from './countryRegions.js'
+
+import {
+	sortCountryOptions,
+	addCountryOptionGroups,
+	setCountryOptionGroups,
+	isCountrySupportedWithError,
+	getSupportedCountryOptions,
+	filterCountriesByNumberTypes
+} from './countries.js'
+
+import { getNonGeographicCountries } from './nonGeographic.js'
+
+import {
+	parseValueExtension,
+	getExtensionFromProps
+} from './extension.js'
+
+import getPhoneInputWithCountryStateUpdateFromNewProps, {
+	getPhoneInputWithCountryStateForNewCountry,
+	getPhoneInputWithCountryStateForReset,
+	isCountryControlled
+} from './getPhoneInputWithCountryStateUpdateFromNewProps.js'
+
+/**
+ * Returns the initial state of a "with country select" phone number input.
+ * @param  {object} props — Phone number input properties.
+ * @param  {string[]} [countries] — Supported countries from the `countries` property.
+ * @param  {function} getAnyCountry — Returns the first country in the list of country `<select/>` options.
+ * @return {object} An object of shape `{ country: string?, phoneDigits: string?, value: string?, extension: string?, hasUserSelectedACountry: boolean? }`.
+ */
+export function getInitialPhoneInputWithCountryState(props, { countries, getAnyCountry }) {
+	const {
+		international,
+		addInternationalOption,
+		// `displayInitialValueAsLocalNumber` property has been
+		// superceded by `initialValueFormat` property.
+		displayInitialValueAsLocalNumber,
+		initialValueFormat,
+		metadata
+	} = props
+
+	// When `country` property is passed, the selected country
+	// is controlled by the application. `null` means "International".
+	let defaultCountry = isCountryControlled(props) ? (props.country || undefined) : props.defaultCountry
+
+	// Validate `defaultCountry`.
+	if (defaultCountry) {
+		if (!isCountrySupportedWithError(defaultCountry, metadata)) {
+			defaultCountry = undefined
+		}
+	}
+
+	// `value` property could have an RFC 3966 `;ext=` suffix.
+	const { value } = parseValueExtension(props.value)
+
+	const phoneNumber = parsePhoneNumber(value, metadata)
+
+	return {
+		// The country selected.
+		// A controlled country isn't derived from the `value`.
+		country: isCountryControlled(props) ? defaultCountry : getPreSelectedCountry({
+			value,
+			phoneNumber,
+			defaultCountry,
+			required: !addInternationalOption,
+			// `libphonenumber-js`'s `getCountries()` doesn't return "non-geographic" "countries"
+			// like `"+800"`: those are only available when listed in `countries` property.
+			countries: countries || getCountries(metadata),
+			getAnyCountry,
+			metadata
+		}),
+
+		// `phoneDigits` holds non-formatted user's input.
+		// The reason is that there's no way of finding out
+		// in which form should `value` be displayed: international or national.
+		// E.g. if `value` is `+78005553535` then it could be input
+		// by a user both as `8 (800) 555-35-35` and `+7 800 555 35 35`.
+		// Hence storing just `value` is not sufficient for correct formatting.
+		// E.g. if a user entered `8 (800) 555-35-35`
+		// then value is `+78005553535` and `phoneDigits` are `88005553535`
+		// and if a user entered `+7 800 555 35 35`
+		// then value is `+78005553535` and `phoneDigits` are `+78005553535`.
+		phoneDigits: getInitialPhoneDigits({
+			value,
+			phoneNumber,
+			defaultCountry,
+			international,
+			useNationalFormat: displayInitialValueAsLocalNumber || initialValueFormat === 'national',
+			metadata
+		}),
+
+		// `value` property is duplicated in state.
+		// The reason is that when the properties change
+		// the new `value` property is compared to `state.value`
+		// to find out if `phoneDigits` needs updating:
+		// If the `value` property was changed externally
+		// then it won't be equal to `state.value`
+		// in which case `phoneDigits` and `country` should be updated.
+		value,
+
+		// Phone number extension digits.
+		// Example: `"1234"`.
+		extension: getExtensionFromProps(props),
+
+		// If the user has already manually selected a country
+		// then don't override that already selected country
+		// if the `defaultCountry` property changes.
+		hasUserSelectedACountry: isCountryControlled(props) ? true : undefined
+	}
+}
+
+/**
+ * "With country select" phone number input state reducer.
+ *
+ * Actions:
+ *
+ * * `{ type: "PROPS", props: object, prevProps: object }` — Properties have changed.
+ * * `{ type: "PHONE_DIGITS", phoneDigits: string?, props: object, countries: string[]?, getAnyCountry: function }` — The user has input some digits.
+ * * `{ type: "COUNTRY", country: string?, props: object }` — The user has selected a country.
+ * * `{ type: "EXTENSION", extension: string? }` — The user has input a phone number extension.
+ * * `{ type: "RESET", props: object }` — Resets the phone number, the country and the extension.
+ *
+ * When the selected country is controlled by the application via the `country` property,
+ * neither selecting a country nor inputting a phone number of another country
+ * changes `state.country`. Instead, `state.countryChangeRequest` is set to `{ country }`,
+ * and the application is supposed to update the `country` property in `onCountryChange()`.
+ * When the country has been derived from the phone number digits, the request is `{ country, phoneDigits: true }`.
+ *
+ * @param  {object} state
+ * @param  {object} action
+ * @return {object} New state.
+ */
+export default function phoneInputWithCountryReducer(state, action) {
+	switch (action.type) {
+		case 'PROPS':
+			return {
+				...state,
+				...getPhoneInputWithCountryStateUpdateFromNewProps(action.props, action.prevProps, state)
+			}
+
+		case 'PHONE_DIGITS': {
+			const {
+				defaultCountry,
+				addInternationalOption,
+				international,
+				limitMaxLength,
+				countryCallingCodeEditable,
+				keepIDDPrefix,
+				metadata
+			} = action.props
+
+			const parameters = {
+				prevPhoneDigits: state.phoneDigits,
+				country: state.country,
+				countryRequired: !addInternationalOption,
+				defaultCountry,
+				getAnyCountry: action.getAnyCountry,
+				countries: action.countries,
+				international,
+				limitMaxLength,
+				countryCallingCodeEditable,
+				keepIDDPrefix,
+				metadata
+			}
+
+			const {
+				phoneDigits,
+				country,
+				value
+			} = onPhoneDigitsChange(action.phoneDigits, parameters)
+
+			// A controlled country isn't changed when the user inputs a phone number
+			// of another country: the phone number digits are input as is, without
+			// deriving any country from them, and the new country is requested instead.
+			if (isCountryControlled(action.props) && country !== state.country) {
+				return {
+					...state,
+					...onPhoneDigitsChange(action.phoneDigits, {
+						...parameters,
+						countryRequired: false,
+						countries: []
+					}),
+					country: state.country,
+					// The same country isn't requested again on every input.
+					countryChangeRequest: state.countryChangeRequest &&
+						state.countryChangeRequest.phoneDigits &&
+						state.countryChangeRequest.country === country
+						? state.countryChangeRequest
+						: { country, phoneDigits: true }
+				}
+			}
+
+			return {
+				...state,
+				phoneDigits,
+				value,
+				country,
+				countryChangeRequest: undefined
+			}
+		}
+
+		case 'COUNTRY':
+			// A controlled country is only changed when the `country` property changes.
+			if (isCountryControlled(action.props)) {
+				return {
+					...state,
+					countryChangeRequest: {
+						country: action.country
+					}
+				}
+			}
+			// After the new `country` has been selected,
+			// if the phone number `<input/>` holds any digits
+			// then migrate those digits for the new `country`.
+			return {
+				...state,
+				...getPhoneInputWithCountryStateForNewCountry(state, action.country, action.props)
+			}
+
+		case 'EXTENSION':
+			return {
+				...state,
+				extension: action.extension
+			}
+
+		case 'RESET':
+			return {
+				...state,
+				...getPhoneInputWithCountryStateForReset(action.props),
+				extension: undefined
+			}
+
+		default:
+			throw new Error(`Unknown action: ${action.type}`)
+	}
+}
+
+/**
+ * Returns the list of country `<select/>` options.
+ * @param  {object} props — Phone number input properties.
+ * @param  {string[]} [countries] — Supported countries from the `countries` property.
+ * @param  {string[]} [recentCountries] — Recently selected countries. Are shown in a "Recent" group.
+ * @return {object[]}
+ */
+export function getPhoneInputWithCountrySelectOptions({
+	international,
+	countryCallingCodeEditable,
+	countryOptionsOrder,
+	addInternationalOption,
+	suggestedCountries,
+	countryGroups,
+	groupBy,
+	labels,
+	locales,
+	allowedNumberTypes,
+	metadata
+}, countries, recentCountries) {
+	let options = sortCountryOptions(
+		getCountrySelectOptions({
+			countries: filterCountriesByNumberTypes(
+				countries || getCountries(metadata),
+				allowedNumberTypes,
+				metadata
+			),
+			countryNames: labels,
+			addInternationalOption: (international && countryCallingCodeEditable === false) ? false : addInternationalOption,
+			compareStringsLocales: locales,
+			// compareStrings
+		}),
+		getSupportedCountryOptions(countryOptionsOrder, metadata)
+	)
+	// Region groups are sorted by their localized labels.
+	// "Non-geographic" "countries" like `"+800"` don't belong to any region,
+	// so they're placed in an "International" group after the regions.
+	const groups = countryGroups || (groupBy === 'region'
+		? getRegionCountryGroups(labels).sort((a, b) => compareStrings(a.label, b.label, locales)).concat({
+			label: labels.ZZ,
+			countries: getNonGeographicCountries(metadata)
+		})
+		: undefined
+	)
+	if (groups) {
+		options = setCountryOptionGroups(options, groups)
+	}
+	if ((recentCountries && recentCountries.length > 0) || (suggestedCountries && suggestedCountries.length > 0)) {
+		return addCountryOptionGroups(options, [{
+			label: labels.recent,
+			countries: recentCountries || []
+		}, {
+			label: labels.suggested,
+			countries: suggestedCountries || []
+		}])
+	}
+	return options
+}
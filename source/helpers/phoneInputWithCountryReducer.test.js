@@ -0,0 +1,409 @@
+import metadata from 'libphonenumber-js/min/metadata'
+
+import phoneInputWithCountryReducer, {
+	getInitialPhoneInputWithCountryState,
+	getPhoneInputWithCountrySelectOptions
+} from './phoneInputWithCountryReducer.js'
+
+describe('helpers/phoneInputWithCountryReducer', () => {
+	const props = {
+		addInternationalOption: true,
+		countryCallingCodeEditable: true,
+		metadata
+	}
+
+	const getAnyCountry = () => 'US'
+
+	it('should get initial state', () => {
+		getInitialPhoneInputWithCountryState({
+			...props,
+			value: '+78005553535'
+		}, { getAnyCountry }).should.deep.equal({
+			country: 'RU',
+			phoneDigits: '+78005553535',
+			value: '+78005553535',
+			extension: undefined,
+			hasUserSelectedACountry: undefined
+		})
+
+		getInitialPhoneInputWithCountryState({
+			...props,
+			defaultCountry: 'US',
+			value: '+12133734253',
+			initialValueFormat: 'national'
+		}, { getAnyCountry }).should.deep.equal({
+			country: 'US',
+			phoneDigits: '2133734253',
+			value: '+12133734253',
+			extension: undefined,
+			hasUserSelectedACountry: undefined
+		})
+
+		getInitialPhoneInputWithCountryState({
+			...props,
+			value: '+12133734253;ext=123'
+		}, { getAnyCountry }).should.deep.equal({
+			country: 'US',
+			phoneDigits: '+12133734253',
+			value: '+12133734253',
+			extension: '123',
+			hasUserSelectedACountry: undefined
+		})
+
+		// Should ignore an invalid `defaultCountry`.
+		const state = getInitialPhoneInputWithCountryState({
+			...props,
+			defaultCountry: 'XX'
+		}, { getAnyCountry })
+		expect(state.country).to.be.undefined
+		expect(state.phoneDigits).to.be.undefined
+	})
+
+	it('should handle "PHONE_DIGITS" action', () => {
+		const state = getInitialPhoneInputWithCountryState({
+			...props,
+			defaultCountry: 'US'
+		}, { getAnyCountry })
+
+		const newState = phoneInputWithCountryReducer(state, {
+			type: 'PHONE_DIGITS',
+			phoneDigits: '+7800',
+			props: {
+				...props,
+				defaultCountry: 'US'
+			},
+			getAnyCountry
+		})
+
+		newState.phoneDigits.should.equal('+7800')
+		newState.value.should.equal('+7800')
+		newState.country.should.equal('RU')
+	})
+
+	it('should handle "COUNTRY" action', () => {
+		const state = getInitialPhoneInputWithCountryState({
+			...props,
+			value: '+78005553535'
+		}, { getAnyCountry })
+
+		const newState = phoneInputWithCountryReducer(state, {
+			type: 'COUNTRY',
+			country: 'US',
+			props
+		})
+
+		newState.country.should.equal('US')
+		newState.hasUserSelectedACountry.should.equal(true)
+		newState.phoneDigits.should.equal('')
+		expect(newState.value).to.be.undefined
+	})
+
+	it('should handle "PROPS" action', () => {
+		const state = getInitialPhoneInputWithCountryState(props, { getAnyCountry })
+
+		const newState = phoneInputWithCountryReducer(state, {
+			type: 'PROPS',
+			props: {
+				...props,
+				value: '+78005553535'
+			},
+			prevProps: props
+		})
+
+		newState.country.should.equal('RU')
+		newState.phoneDigits.should.equal('+78005553535')
+		newState.value.should.equal('+78005553535')
+	})
+
+	it('should keep a controlled country until the `country` property changes', () => {
+		const controlledProps = {
+			...props,
+			country: 'US'
+		}
+
+		let state = getInitialPhoneInputWithCountryState(controlledProps, { getAnyCountry })
+		state.country.should.equal('US')
+
+		// The user selects a country but the application ignores `onCountryChange()`.
+		state = phoneInputWithCountryReducer(state, {
+			type: 'COUNTRY',
+			country: 'CA',
+			props: controlledProps
+		})
+		state.country.should.equal('US')
+		state.countryChangeRequest.should.deep.equal({ country: 'CA' })
+
+		state = phoneInputWithCountryReducer(state, {
+			type: 'PROPS',
+			props: controlledProps,
+			prevProps: controlledProps
+		})
+		state.country.should.equal('US')
+
+		// The user inputs a phone number of another country.
+		state = phoneInputWithCountryReducer(state, {
+			type: 'PHONE_DIGITS',
+			phoneDigits: '+447400123456',
+			props: controlledProps,
+			getAnyCountry
+		})
+		state.country.should.equal('US')
+		state.phoneDigits.should.equal('+447400123456')
+		state.value.should.equal('+447400123456')
+		state.countryChangeRequest.should.deep.equal({ country: 'GB', phoneDigits: true })
+
+		// The application accepts the country change.
+		state = phoneInputWithCountryReducer(state, {
+			type: 'PROPS',
+			props: {
+				...controlledProps,
+				country: 'GB'
+			},
+			prevProps: controlledProps
+		})
+		state.country.should.equal('GB')
+		state.phoneDigits.should.equal('+447400123456')
+		state.value.should.equal('+447400123456')
+	})
+
+	it('should clear a controlled country change request when the `country` property changes', () => {
+		const controlledProps = {
+			...props,
+			country: 'US'
+		}
+
+		let state = getInitialPhoneInputWithCountryState(controlledProps, { getAnyCountry })
+
+		// The user selects a country but the application ignores `onCountryChange()`.
+		state = phoneInputWithCountryReducer(state, {
+			type: 'COUNTRY',
+			country: 'GB',
+			props: controlledProps
+		})
+		const ignoredCountryChangeRequest = state.countryChangeRequest
+		ignoredCountryChangeRequest.should.deep.equal({ country: 'GB' })
+
+		// The application then selects another country.
+		state = phoneInputWithCountryReducer(state, {
+			type: 'PROPS',
+			props: {
+				...controlledProps,
+				country: 'CA'
+			},
+			prevProps: controlledProps
+		})
+		state.country.should.equal('CA')
+		expect(state.countryChangeRequest).to.be.undefined
+
+		// The application then selects "International".
+		state = phoneInputWithCountryReducer(state, {
+			type: 'PROPS',
+			props: {
+				...controlledProps,
+				country: null
+			},
+			prevProps: {
+				...controlledProps,
+				country: 'CA'
+			}
+		})
+		expect(state.country).to.be.undefined
+		expect(state.countryChangeRequest).to.be.undefined
+
+		// The user inputs a phone number of the country that's been ignored before.
+		state = phoneInputWithCountryReducer(state, {
+			type: 'PHONE_DIGITS',
+			phoneDigits: '+447400123456',
+			props: {
+				...controlledProps,
+				country: null
+			},
+			getAnyCountry
+		})
+		expect(state.country).to.be.undefined
+		state.countryChangeRequest.should.deep.equal({ country: 'GB', phoneDigits: true })
+		state.countryChangeRequest.should.not.equal(ignoredCountryChangeRequest)
+	})
+
+	it('should handle "EXTENSION" action', () => {
+		const state = getInitialPhoneInputWithCountryState(props, { getAnyCountry })
+		phoneInputWithCountryReducer(state, {
+			type: 'EXTENSION',
+			extension: '123'
+		}).extension.should.equal('123')
+	})
+
+	it('should handle "RESET" action', () => {
+		const state = getInitialPhoneInputWithCountryState({
+			...props,
+			value: '+78005553535;ext=123'
+		}, { getAnyCountry })
+
+		const newState = phoneInputWithCountryReducer(state, {
+			type: 'RESET',
+			props: {
+				...props,
+				defaultCountry: 'US'
+			}
+		})
+
+		newState.country.should.equal('US')
+		expect(newState.phoneDigits).to.be.undefined
+		expect(newState.value).to.be.undefined
+		expect(newState.extension).to.be.undefined
+	})
+
+	it('should throw on an unknown action', () => {
+		expect(() => phoneInputWithCountryReducer({}, { type: 'UNKNOWN' })).to.throw('Unknown action')
+	})
+
+	it('should get country select options', () => {
+		const options = getPhoneInputWithCountrySelectOptions({
+			...props,
+			labels: { ZZ: 'International', RU: 'Russia', US: 'United States' }
+		}, ['US', 'RU'])
+
+		options.should.deep.equal([
+			{ label: 'International' },
+			{ value: 'RU', label: 'Russia' },
+			{ value: 'US', label: 'United States' }
+		])
+	})
+
+	it('should get country select options (with "Recent" and "Suggested" groups)', () => {
+		const options = getPhoneInputWithCountrySelectOptions({
+			...props,
+			suggestedCountries: ['RU', 'US'],
+			labels: { ZZ: 'International', RU: 'Russia', US: 'United States', recent: 'Recent', suggested: 'Suggested' }
+		}, ['US', 'RU'], ['US'])
+
+		options.should.deep.equal([
+			{ value: 'US', label: 'United States', group: 'Recent' },
+			{ value: 'RU', label: 'Russia', group: 'Suggested' },
+			{ label: 'International' },
+			{ value: 'RU', label: 'Russia' },
+			{ value: 'US', label: 'United States' }
+		])
+	})
+
+	it('should get initial state (`country` property)', () => {
+		getInitialPhoneInputWithCountryState({
+			...props,
+			country: 'RU',
+			defaultCountry: 'US'
+		}, { getAnyCountry }).should.deep.equal({
+			country: 'RU',
+			phoneDigits: undefined,
+			value: undefined,
+			extension: undefined,
+			hasUserSelectedACountry: true
+		})
+
+		getInitialPhoneInputWithCountryState({
+			...props,
+			country: 'CA',
+			value: '+12133734253',
+			initialValueFormat: 'national'
+		}, { getAnyCountry }).should.deep.equal({
+			country: 'CA',
+			phoneDigits: '2133734253',
+			value: '+12133734253',
+			extension: undefined,
+			hasUserSelectedACountry: true
+		})
+	})
+
+	it('should get initial state (a "non-geographic" phone number)', () => {
+		getInitialPhoneInputWithCountryState({
+			...props,
+			value: '+882130123456'
+		}, { countries: ['US', '+882'], getAnyCountry }).should.deep.equal({
+			country: '+882',
+			phoneDigits: '+882130123456',
+			value: '+882130123456',
+			extension: undefined,
+			hasUserSelectedACountry: undefined
+		})
+
+		expect(getInitialPhoneInputWithCountryState({
+			...props,
+			value: '+882130123456'
+		}, { countries: ['US', 'RU'], getAnyCountry }).country).to.be.undefined
+
+		// "Non-geographic" countries are only available when they're listed in `countries`.
+		expect(getInitialPhoneInputWithCountryState({
+			...props,
+			value: '+882130123456'
+		}, { getAnyCountry }).country).to.be.undefined
+	})
+
+	it('should get country select options (with "non-geographic" countries)', () => {
+		// "Non-geographic" countries aren't listed by default.
+		getPhoneInputWithCountrySelectOptions({
+			...props,
+			labels: { ZZ: 'International' }
+		}).filter(_ => _.value && _.value[0] === '+').should.deep.equal([])
+
+		const options = getPhoneInputWithCountrySelectOptions({
+			...props,
+			labels: { ZZ: 'International', '+800': 'International Freephone' }
+		}, ['US', '+979', '+800', 'RU'])
+
+		options[options.length - 1].should.deep.equal({ value: '+979', label: '+979' })
+		options.filter(_ => _.value && _.value[0] === '+').map(_ => _.value).should.deep.equal(
+			['+800', '+979']
+		)
+		options.find(_ => _.value === '+800').label.should.equal('International Freephone')
+
+		getPhoneInputWithCountrySelectOptions({
+			...props,
+			labels: { ZZ: 'International' }
+		}, ['US', '+800']).should.deep.equal([
+			{ label: 'International' },
+			{ value: 'US', label: 'US' },
+			{ value: '+800', label: '+800' }
+		])
+	})
+
+	it('should get country select options (grouped by region)', () => {
+		const options = getPhoneInputWithCountrySelectOptions({
+			...props,
+			groupBy: 'region',
+			labels: { ZZ: 'International', EG: 'Egypt', RU: 'Russia', US: 'United States', africa: 'Africa', americas: 'Americas', europe: 'Europe' }
+		}, ['US', 'RU', 'EG'])
+
+		options.should.deep.equal([
+			{ label: 'International' },
+			{ value: 'EG', label: 'Egypt', group: 'Africa' },
+			{ value: 'US', label: 'United States', group: 'Americas' },
+			{ value: 'RU', label: 'Russia', group: 'Europe' }
+		])
+
+		// "Non-geographic" countries are placed in an "International" group after the regions.
+		getPhoneInputWithCountrySelectOptions({
+			...props,
+			groupBy: 'region',
+			labels: { ZZ: 'International', US: 'United States', RU: 'Russia', '+800': 'International Freephone', americas: 'Americas', europe: 'Europe', oceania: 'Oceania' }
+		}, ['+800', 'US', 'RU']).should.deep.equal([
+			{ label: 'International' },
+			{ value: 'US', label: 'United States', group: 'Americas' },
+			{ value: 'RU', label: 'Russia', group: 'Europe' },
+			{ value: '+800', label: 'International Freephone', group: 'International' }
+		])
+	})
+
+	it('should get country select options (with custom groups)', () => {
+		const options = getPhoneInputWithCountrySelectOptions({
+			...props,
+			countryGroups: [{ label: 'CIS', countries: ['RU'] }],
+			labels: { ZZ: 'International', EG: 'Egypt', RU: 'Russia', US: 'United States' }
+		}, ['US', 'RU', 'EG'])
+
+		options.should.deep.equal([
+			{ label: 'International' },
+			{ value: 'RU', label: 'Russia', group: 'CIS' },
+			{ value: 'EG', label: 'Egypt' },
+			{ value: 'US', label: 'United States' }
+		])
+	})
+})
@@ -0,0 +1,78 @@
+// The key under which the recently selected countries are stored.
+export const RECENT_COUNTRIES_STORAGE_KEY = 'react-phone-number-input.recentCountries'
+
+// How many recently selected countries are remembered.
+export const MAX_RECENT_COUNTRIES = 3
+
+/**
+ * Returns the default storage for the recently selected countries: `localStorage`.
+ * Returns `undefined` when `localStorage` is not available,
+ * for example, during server-side rendering or when it's disabled in a web browser.
+ * @return {object} [storage]
+ */
+export function getDefaultRecentCountriesStorage() {
+	try {
+		if (typeof localStorage !== 'undefined') {
+			return localStorage
+		}
+	} catch (error) {
+		// Accessing `localStorage` throws when it's disabled.
+	}
+}
+
+/**
+ * Creates an in-memory storage for the recently selected countries.
+ * Could be used in tests, or when the recently selected countries shouldn't be persisted.
+ * Implements the same `getItem()` and `setItem()` methods as `localStorage`.
+ * @return {object}
+ */
+export function createInMemoryStorage() {
+	const items = {}
+	return {
+		getItem(key) {
+			return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null
+		},
+		setItem(key, value) {
+			items[key] = String(value)
+		}
+	}
+}
+
+/**
+ * Reads the recently selected countries from a storage.
+ * @param  {object} [storage] — An object having `getItem()` and `setItem()` methods, like `localStorage`.
+ * @return {string[]}
+ */
+export function getRecentCountries(storage) {
+	if (storage) {
+		try {
+			const countries = JSON.parse(storage.getItem(RECENT_COUNTRIES_STORAGE_KEY))
+			if (Array.isArray(countries)) {
+				return countries.filter(_ => typeof _ === 'string')
+			}
+		} catch (error) {
+			// The stored value is not a valid JSON, or the storage is not accessible.
+		}
+	}
+	return []
+}
+
+/**
+ * Adds a country to the recently selected countries in a storage.
+ * @param  {object} [storage] — An object having `getItem()` and `setItem()` methods, like `localStorage`.
+ * @param  {string} country
+ * @return {string[]} The new list of recently selected countries.
+ */
+export function addRecentCountry(storage, country) {
+	const countries = [country]
+		.concat(getRecentCountries(storage).filter(_ => _ !== country))
+		.slice(0, MAX_RECENT_COUNTRIES)
+	if (storage) {
+		try {
+			storage.setItem(RECENT_COUNTRIES_STORAGE_KEY, JSON.stringify(countries))
+		} catch (error) {
+			// The storage is full or is not accessible.
+		}
+	}
+	return countries
+}
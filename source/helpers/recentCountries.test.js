@@ -0,0 +1,45 @@
+import {
+	createInMemoryStorage,
+	getRecentCountries,
+	addRecentCountry,
+	RECENT_COUNTRIES_STORAGE_KEY
+} from './recentCountries.js'
+
+describe('helpers/recentCountries', () => {
+	it('should remember recently selected countries', () => {
+		const storage = createInMemoryStorage()
+		getRecentCountries(storage).should.deep.equal([])
+		addRecentCountry(storage, 'RU').should.deep.equal(['RU'])
+		addRecentCountry(storage, 'US').should.deep.equal(['US', 'RU'])
+		addRecentCountry(storage, 'RU').should.deep.equal(['RU', 'US'])
+		addRecentCountry(storage, 'GB')
+		addRecentCountry(storage, 'DE')
+		getRecentCountries(storage).should.deep.equal(['DE', 'GB', 'RU'])
+	})
+
+	it('should work without a storage', () => {
+		getRecentCountries(undefined).should.deep.equal([])
+		addRecentCountry(undefined, 'RU').should.deep.equal(['RU'])
+	})
+
+	it('should ignore invalid stored values', () => {
+		const storage = createInMemoryStorage()
+		storage.setItem(RECENT_COUNTRIES_STORAGE_KEY, '{')
+		getRecentCountries(storage).should.deep.equal([])
+		storage.setItem(RECENT_COUNTRIES_STORAGE_KEY, '"RU"')
+		getRecentCountries(storage).should.deep.equal([])
+	})
+
+	it('should ignore storage errors', () => {
+		const storage = {
+			getItem() {
+				throw new Error('SecurityError')
+			},
+			setItem() {
+				throw new Error('QuotaExceededError')
+			}
+		}
+		getRecentCountries(storage).should.deep.equal([])
+		addRecentCountry(storage, 'RU').should.deep.equal(['RU'])
+	})
+})
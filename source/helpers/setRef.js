@@ -0,0 +1,14 @@
+/**
+ * Sets a React `ref` to a `value`.
+ * @param {(function|object)} [ref] — A "callback" `ref` or a `ref` object.
+ * @param {any} value
+ */
+export default function setRef(ref, value) {
+	if (ref) {
+		if (typeof ref === 'function') {
+			ref(value)
+		} else {
+			ref.current = value
+		}
+	}
+}
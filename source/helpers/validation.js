@@ -0,0 +1,132 @@
+import {
+	isPossiblePhoneNumber,
+	isValidPhoneNumber,
+	validatePhoneNumberLength,
+	parsePhoneNumber,
+	Metadata
+} from 'libphonenumber-js/core'
+
+/**
+ * Validates a phone number `value`.
+ * @param  {string} [value] — E.164 phone number.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @param  {object} [options]
+ * @param  {object} [options.labels] — Localized labels. If passed, the result will include an error `message`.
+ * @param  {string[]} [options.allowedNumberTypes] — Allowed phone number types. Example: `["MOBILE", "FIXED_LINE_OR_MOBILE"]`.
+ * @return {object} An object of shape `{ value: string?, isEmpty: boolean, isPossible: boolean, isValid: boolean, error: string?, message: string? }`.
+ */
+export function getValidationState(value, metadata, { labels, allowedNumberTypes } = {}) {
+	if (!value) {
+		return {
+			value: undefined,
+			isEmpty: true,
+			isPossible: false,
+			isValid: false
+		}
+	}
+	let isValid = isValidPhoneNumber(value, metadata)
+	let error
+	if (isValid) {
+		if (allowedNumberTypes && !isAllowedNumberType(value, allowedNumberTypes, metadata)) {
+			isValid = false
+			error = 'INVALID_TYPE'
+		}
+	} else {
+		error = getValidationError(value, metadata)
+	}
+	const state = {
+		value,
+		isEmpty: false,
+		isPossible: isPossiblePhoneNumber(value, metadata),
+		isValid
+	}
+	if (error) {
+		state.error = error
+		if (labels) {
+			state.message = labels[error]
+		}
+	}
+	return state
+}
+
+/**
+ * Returns a validation error code for an invalid phone number.
+ * Possible error codes:
+ * * `"TOO_SHORT"`
+ * * `"TOO_LONG"`
+ * * `"INVALID_LENGTH"`
+ * * `"INVALID_COUNTRY"`
+ * * `"NOT_A_NUMBER"`
+ * * `"INVALID_NUMBER"` — The length of the phone number is valid but the phone number itself isn't.
+ * @param  {string} value — E.164 phone number.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {string}
+ */
+export function getValidationError(value, metadata) {
+	return validatePhoneNumberLength(value, metadata) || 'INVALID_NUMBER'
+}
+
+/**
+ * Tells whether a valid phone number is of one of the `allowedNumberTypes`.
+ * Phone number types can only be detected when using "max" (or "mobile") metadata.
+ * When the metadata doesn't contain phone number types for the country
+ * (for example, "min" metadata for most countries) the type can't be detected
+ * and any phone number is considered allowed.
+ * @param  {string} value — A valid E.164 phone number.
+ * @param  {string[]} allowedNumberTypes — Example: `["MOBILE", "FIXED_LINE_OR_MOBILE"]`.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @return {boolean}
+ */
+export function isAllowedNumberType(value, allowedNumberTypes, metadata) {
+	const phoneNumber = parsePhoneNumber(value, metadata)
+	const type = phoneNumber.getType()
+	if (type) {
+		return allowedNumberTypes.indexOf(type) >= 0
+	}
+	return !hasNumberTypes(phoneNumber.country || phoneNumber.countryCallingCode, metadata)
+}
+
+function hasNumberTypes(country, metadata) {
+	return new Metadata(metadata).selectNumberingPlan(country).numberingPlan.hasTypes()
+}
+
+/**
+ * Returns a message for `<input/>.setCustomValidity()`
+ * of the HTML Constraint Validation API.
+ * An empty string means that the phone number is valid.
+ * An empty phone number is considered valid: a `required` `<input/>`
+ * is already validated by the web browser itself unless it's only got
+ * a "country calling code" prefix that isn't part of the `value`.
+ * @param  {string} [value] — E.164 phone number.
+ * @param  {object} metadata — `libphonenumber-js` metadata.
+ * @param  {object} [options]
+ * @param  {object} [options.labels] — Localized labels.
+ * @param  {string[]} [options.allowedNumberTypes] — Allowed phone number types.
+ * @param  {boolean} [options.required] — Whether the `<input/>` is `required`.
+ * @param  {string} [options.inputValue] — The `<input/>` value.
+ * @return {string}
+ */
+export function getCustomValidityMessage(value, metadata, {
+	labels,
+	allowedNumberTypes,
+	required,
+	inputValue
+} = {}) {
+	if (!value) {
+		if (required && inputValue) {
+			return getErrorMessage('TOO_SHORT', labels)
+		}
+		return ''
+	}
+	const { isValid, error } = getValidationState(value, metadata, { allowedNumberTypes })
+	if (isValid) {
+		return ''
+	}
+	return getErrorMessage(error, labels)
+}
+
+// A non-empty message is required for an `<input/>` to be marked as invalid,
+// so custom `labels` that don't have the `error` key fall back to the `error` code.
+function getErrorMessage(error, labels) {
+	return (labels && (labels[error] || labels.INVALID_NUMBER)) || error
+}
@@ -0,0 +1,114 @@
+import metadata from 'libphonenumber-js/min/metadata'
+import metadataMax from 'libphonenumber-js/max/metadata'
+
+import en from '../../locale/en.json.js'
+
+import {
+	getValidationState,
+	getValidationError,
+	isAllowedNumberType,
+	getCustomValidityMessage
+} from './validation.js'
+
+describe('helpers/validation', () => {
+	it('should get validation state', () => {
+		getValidationState(undefined, metadata).should.deep.equal({
+			value: undefined,
+			isEmpty: true,
+			isPossible: false,
+			isValid: false
+		})
+
+		getValidationState('+1213', metadata).should.deep.equal({
+			value: '+1213',
+			isEmpty: false,
+			isPossible: false,
+			isValid: false,
+			error: 'TOO_SHORT'
+		})
+
+		getValidationState('+1213', metadata, { labels: en }).should.deep.equal({
+			value: '+1213',
+			isEmpty: false,
+			isPossible: false,
+			isValid: false,
+			error: 'TOO_SHORT',
+			message: 'The phone number is too short'
+		})
+
+		getValidationState('+12133734253', metadata).should.deep.equal({
+			value: '+12133734253',
+			isEmpty: false,
+			isPossible: true,
+			isValid: true
+		})
+	})
+
+	it('should get validation error', () => {
+		getValidationError('+1213', metadata).should.equal('TOO_SHORT')
+		getValidationError('+121337342531111', metadata).should.equal('TOO_LONG')
+		getValidationError('+999123', metadata).should.equal('INVALID_COUNTRY')
+		getValidationError('+11234567890', metadata).should.equal('INVALID_NUMBER')
+	})
+
+	it('should validate phone number type', () => {
+		getValidationState('+442079460958', metadataMax, { allowedNumberTypes: ['MOBILE'], labels: en }).should.deep.equal({
+			value: '+442079460958',
+			isEmpty: false,
+			isPossible: true,
+			isValid: false,
+			error: 'INVALID_TYPE',
+			message: 'This type of phone number is not allowed'
+		})
+
+		getValidationState('+447400123456', metadataMax, { allowedNumberTypes: ['MOBILE'] }).should.deep.equal({
+			value: '+447400123456',
+			isEmpty: false,
+			isPossible: true,
+			isValid: true
+		})
+
+		// Invalid phone numbers are reported as such regardless of their type.
+		getValidationState('+1213', metadataMax, { allowedNumberTypes: ['MOBILE'] }).error.should.equal('TOO_SHORT')
+	})
+
+	it('should tell if a phone number is of an allowed type', () => {
+		isAllowedNumberType('+447400123456', ['MOBILE'], metadataMax).should.equal(true)
+		isAllowedNumberType('+442079460958', ['MOBILE'], metadataMax).should.equal(false)
+		isAllowedNumberType('+442079460958', ['MOBILE', 'FIXED_LINE'], metadataMax).should.equal(true)
+
+		// In the US, fixed line and mobile phone numbers can't be told apart.
+		isAllowedNumberType('+12133734253', ['MOBILE'], metadataMax).should.equal(false)
+		isAllowedNumberType('+12133734253', ['MOBILE', 'FIXED_LINE_OR_MOBILE'], metadataMax).should.equal(true)
+
+		isAllowedNumberType('+78005553535', ['MOBILE'], metadataMax).should.equal(false)
+
+		// "min" metadata doesn't have phone number types for Russia.
+		isAllowedNumberType('+78005553535', ['MOBILE'], metadata).should.equal(true)
+	})
+
+	it('should get custom validity message', () => {
+		getCustomValidityMessage(undefined, metadata, { labels: en }).should.equal('')
+		getCustomValidityMessage('+12133734253', metadata, { labels: en }).should.equal('')
+		getCustomValidityMessage('+1213', metadata, { labels: en }).should.equal('The phone number is too short')
+		getCustomValidityMessage('+1213373425399999', metadata, { labels: en }).should.equal('The phone number is too long')
+		getCustomValidityMessage('+1213', metadata).should.equal('TOO_SHORT')
+		// Custom `labels` not having the `error` key.
+		getCustomValidityMessage('+1213', metadata, { labels: { INVALID_NUMBER: 'Invalid' } }).should.equal('Invalid')
+	})
+
+	it('should get custom validity message (`required`)', () => {
+		// An empty `<input/>` is validated by the web browser.
+		getCustomValidityMessage(undefined, metadata, { labels: en, required: true, inputValue: '' }).should.equal('')
+		// Only a "country calling code" prefix has been input.
+		getCustomValidityMessage(undefined, metadata, { labels: en, required: true, inputValue: '+1' }).should.equal('The phone number is too short')
+		getCustomValidityMessage(undefined, metadata, { labels: en, inputValue: '+1' }).should.equal('')
+	})
+
+	it('should get custom validity message (`allowedNumberTypes`)', () => {
+		getCustomValidityMessage('+78005553535', metadataMax, {
+			labels: en,
+			allowedNumberTypes: ['MOBILE']
+		}).should.equal(en.INVALID_TYPE)
+	})
+})
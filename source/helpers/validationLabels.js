@@ -0,0 +1,13 @@
+// English error messages for `nativeValidation`.
+// The "without country select" component uses these by default
+// instead of `locale/en.json` so that it doesn't include country names.
+// Should be kept in sync with the corresponding keys of `locale/en.json`.
+export default {
+	TOO_SHORT: 'The phone number is too short',
+	TOO_LONG: 'The phone number is too long',
+	INVALID_LENGTH: 'The phone number has an invalid length',
+	INVALID_COUNTRY: 'Invalid country calling code',
+	NOT_A_NUMBER: 'Not a phone number',
+	INVALID_NUMBER: 'Invalid phone number',
+	INVALID_TYPE: 'This type of phone number is not allowed'
+}
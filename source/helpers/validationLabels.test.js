@@ -0,0 +1,20 @@
+import en from '../../locale/en.json.js'
+
+import validationLabels from './validationLabels.js'
+
+describe('helpers/validationLabels', () => {
+	it('should be the same as the English error messages', () => {
+		for (const error of Object.keys(validationLabels)) {
+			validationLabels[error].should.equal(en[error])
+		}
+		Object.keys(validationLabels).should.deep.equal([
+			'TOO_SHORT',
+			'TOO_LONG',
+			'INVALID_LENGTH',
+			'INVALID_COUNTRY',
+			'NOT_A_NUMBER',
+			'INVALID_NUMBER',
+			'INVALID_TYPE'
+		])
+	})
+})
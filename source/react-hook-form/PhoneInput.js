@@ -6,10 +6,14 @@ import PhoneInput_ from '../PhoneInputBrowser.js'
 import { metadata as metadataType } from '../PropTypes.js'
 
 export function createPhoneInput(defaultMetadata) {
-  let PhoneInput = (props, ref) => {
+  let PhoneInput = ({
+    metadata = defaultMetadata,
+    ...rest
+  }, ref) => {
     return (
       <ReactHookFormInput
-        {...props}
+        {...rest}
+        metadata={metadata}
         ref={ref}
         Component={PhoneInput_}/>
     )
@@ -18,11 +22,7 @@ export function createPhoneInput(defaultMetadata) {
   PhoneInput = React.forwardRef(PhoneInput)
 
   PhoneInput.propTypes = {
-    metadata: metadataType.isRequired
-  }
-
-  PhoneInput.defaultProps = {
-    metadata: defaultMetadata
+    metadata: metadataType
   }
 
   return PhoneInput
@@ -7,10 +7,14 @@ import PhoneInputWithCountry_ from '../PhoneInputWithCountryDefault.js'
 import { metadata as metadataType } from '../PropTypes.js'
 
 export function createPhoneInput(defaultMetadata) {
-  let PhoneInputWithCountry = (props, ref) => {
+  let PhoneInputWithCountry = ({
+    metadata = defaultMetadata,
+    ...rest
+  }, ref) => {
     return (
       <ReactHookFormInput
-        {...props}
+        {...rest}
+        metadata={metadata}
         ref={ref}
         Component={PhoneInputWithCountry_}/>
     )
@@ -19,11 +23,7 @@ export function createPhoneInput(defaultMetadata) {
   PhoneInputWithCountry = React.forwardRef(PhoneInputWithCountry)
 
   PhoneInputWithCountry.propTypes = {
-    metadata: metadataType.isRequired
-  }
-
-  PhoneInputWithCountry.defaultProps = {
-    metadata: defaultMetadata
+    metadata: metadataType
   }
 
   return PhoneInputWithCountry
@@ -71,7 +71,7 @@ let ReactHookFormInput = ({
     // This function may not work correctly when `defaultValues` are set for the input
     // and the user clears the input value manually: the default value may re-appear as a result.
     // https://github.com/catamphetamine/react-phone-number-input/issues/405#issuecomment-1295885201
-    const onChangeCombined = useCallback((value) => {
+    const onChangeCombined = useCallback((value, details) => {
       // `react-hook-form` doesn't know how to properly handle `undefined` values.
       // https://github.com/react-hook-form/react-hook-form/issues/2990
       if (value === undefined) {
@@ -79,7 +79,12 @@ let ReactHookFormInput = ({
       }
       onChange(value)
       if (onChange_) {
-        onChange_(value)
+        // `details` argument is passed when `withChangeDetails` property is passed.
+        if (details) {
+          onChange_(value, details)
+        } else {
+          onChange_(value)
+        }
       }
     }, [
       onChange,
@@ -12,9 +12,15 @@ import { metadata as metadataType } from '../PropTypes.js'
  * Feedback thread: https://github.com/catamphetamine/react-phone-number-input/issues/296
  */
 export function createPhoneInput(defaultMetadata) {
-	let PhoneInput = ({ inputComponent, ...rest }, ref) => (
+	let PhoneInput = ({
+		inputComponent,
+		// `libphonenumber-js` metadata.
+		metadata = defaultMetadata,
+		...rest
+	}, ref) => (
 		<PhoneInput_
 			{...rest}
+			metadata={metadata}
 			ref={ref}
 			Component={InputBasic}
 			inputComponent={PhoneTextInput}
@@ -33,14 +39,7 @@ export function createPhoneInput(defaultMetadata) {
 		/**
 		 * `libphonenumber-js` metadata.
 		 */
-		metadata: metadataType.isRequired
-	}
-
-	PhoneInput.defaultProps = {
-		/**
-		 * `libphonenumber-js` metadata.
-		 */
-		metadata: defaultMetadata
+		metadata: metadataType
 	}
 
 	return PhoneInput
@@ -7,7 +7,10 @@ import { TextInput } from 'react-native'
  * Feedback thread: https://github.com/catamphetamine/react-phone-number-input/issues/296
  */
 function PhoneTextInput({
-  TextInputComponent,
+  // By default, uses the default React Native `TextInput` component.
+  TextInputComponent = TextInput,
+  // Shows phone number suggestion(s) when the user focuses the input field.
+  autoCompleteType = 'tel',
   onChange,
   ...rest
 }, ref) {
@@ -30,6 +33,7 @@ function PhoneTextInput({
       ref={ref}
       keyboardType="phone-pad"
       onChangeText={onChangeText}
+      autoCompleteType={autoCompleteType}
       {...rest}/>
   )
 }
@@ -56,19 +60,7 @@ PhoneTextInput.propTypes = {
   /**
    * The input field component.
    */
-  TextInputComponent: PropTypes.elementType.isRequired
-}
-
-PhoneTextInput.defaultProps = {
-  /**
-   * Shows phone number suggestion(s) when the user focuses the input field.
-   */
-  autoCompleteType: 'tel',
-
-  /**
-   * By default, uses the default React Native `TextInput` component.
-   */
-  TextInputComponent: TextInput
+  TextInputComponent: PropTypes.elementType
 }
 
 export default PhoneTextInput
@@ -0,0 +1,52 @@
+import { useEffect } from 'react'
+
+import { getCustomValidityMessage } from './helpers/validation.js'
+
+/**
+ * Implements `nativeValidation` property.
+ * Web browsers validate the formatted `<input/>` value as plain text,
+ * so an incomplete phone number like `+1 213` would be considered valid.
+ * This hook marks the phone number `<input/>` as invalid via `setCustomValidity()`
+ * so that `form.checkValidity()`, `form.reportValidity()` and `:invalid` CSS selectors
+ * account for the validity of the phone number.
+ */
+export default function useConstraintValidation({
+	nativeValidation,
+	inputRef,
+	value,
+	phoneDigits,
+	required,
+	labels,
+	allowedNumberTypes,
+	metadata
+}) {
+	useEffect(() => {
+		const input = inputRef.current
+		// A custom `inputComponent` might not be an `<input/>`.
+		if (!input || !input.setCustomValidity) {
+			return
+		}
+		if (!nativeValidation) {
+			return
+		}
+		input.setCustomValidity(getCustomValidityMessage(value, metadata, {
+			labels,
+			allowedNumberTypes,
+			required,
+			inputValue: input.value
+		}))
+		return () => {
+			input.setCustomValidity('')
+		}
+	}, [
+		nativeValidation,
+		value,
+		// The `<input/>` value could change while the `value` stays the same:
+		// for example, when only a "country calling code" prefix has been input.
+		phoneDigits,
+		required,
+		labels,
+		allowedNumberTypes,
+		metadata
+	])
+}
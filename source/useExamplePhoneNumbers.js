@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react'
+
+import {
+	loadExamplePhoneNumbers,
+	getLoadedExamplePhoneNumbers
+} from './helpers/examplePhoneNumbers.js'
+
+/**
+ * Lazy-loads example phone numbers when `shouldLoad` is `true`.
+ * Returns `undefined` until they've been loaded.
+ */
+export default function useExamplePhoneNumbers(shouldLoad) {
+	const [examples, setExamples] = useState(getLoadedExamplePhoneNumbers)
+	useEffect(() => {
+		if (shouldLoad && !examples) {
+			let isCancelled = false
+			loadExamplePhoneNumbers().then((examples) => {
+				if (!isCancelled) {
+					setExamples(examples)
+				}
+			}, (error) => {
+				console.error(error)
+			})
+			return () => {
+				isCancelled = true
+			}
+		}
+	}, [shouldLoad])
+	return shouldLoad ? examples : undefined
+}
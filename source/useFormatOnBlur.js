@@ -0,0 +1,59 @@
+import { useState, useCallback } from 'react'
+
+import { getNationalPhoneDigits } from './helpers/formatOnBlur.js'
+
+/**
+ * Implements `formatOnBlur` property of `InputSmart` and `InputBasic`.
+ * When the `<input/>` loses focus, the phone number gets formatted "fully".
+ * When `formatOnBlur` is `"national"`, an international phone number
+ * of the `country` is also converted to "national" format.
+ * Returns `{ isFormattedOnBlur: boolean, onFocus: function, onBlur: function }`.
+ */
+export default function useFormatOnBlur({
+	formatOnBlur,
+	value,
+	onChange,
+	onFocus,
+	onBlur,
+	country,
+	international,
+	metadata
+}) {
+	const [isFocused, setFocused] = useState(false)
+
+	const _onFocus = useCallback((event) => {
+		setFocused(true)
+		if (onFocus) {
+			onFocus(event)
+		}
+	}, [onFocus])
+
+	const _onBlur = useCallback((event) => {
+		setFocused(false)
+		// When `international` property is `true`, the phone number
+		// can only be input in "international" format.
+		if (formatOnBlur === 'national' && !international) {
+			const nationalPhoneDigits = getNationalPhoneDigits(value, country, metadata)
+			if (nationalPhoneDigits) {
+				onChange(nationalPhoneDigits)
+			}
+		}
+		if (onBlur) {
+			onBlur(event)
+		}
+	}, [
+		formatOnBlur,
+		value,
+		onChange,
+		onBlur,
+		country,
+		international,
+		metadata
+	])
+
+	return {
+		isFormattedOnBlur: Boolean(formatOnBlur) && !isFocused,
+		onFocus: _onFocus,
+		onBlur: _onBlur
+	}
+}
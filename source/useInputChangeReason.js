@@ -0,0 +1,35 @@
+import { useRef, useCallback } from 'react'
+
+import { getInputEventChangeReason } from './helpers/changeDetails.js'
+
+/**
+ * Finds out the `reason` of a phone number `<input/>` change:
+ * `"input"`, `"paste"` or `"autofill"`.
+ * Phone number input components call `onChange(phoneDigits)` without an `event`,
+ * so the `reason` is derived from the "input" event that precedes the change.
+ * Returns `{ onInput, onChange }` properties for a phone number input component.
+ * The `onChange(phoneDigits, { reason })` argument is called with a `reason`.
+ */
+export default function useInputChangeReason({ onInput, onChange }) {
+	const reason = useRef()
+
+	const _onInput = useCallback((event) => {
+		reason.current = getInputEventChangeReason(event)
+		if (onInput) {
+			onInput(event)
+		}
+	}, [onInput])
+
+	// Some changes aren't preceded by an "input" event.
+	// For example, `InputSmart` handles Backspace and Delete keys by itself.
+	const _onChange = useCallback((phoneDigits) => {
+		const _reason = reason.current || 'input'
+		reason.current = undefined
+		onChange(phoneDigits, { reason: _reason })
+	}, [onChange])
+
+	return {
+		onInput: _onInput,
+		onChange: _onChange
+	}
+}
@@ -0,0 +1,50 @@
+import { useMemo, useEffect } from 'react'
+
+import { getLenientValueMigration } from './helpers/lenientValue.js'
+
+/**
+ * Implements `valueFormat="lenient"` property.
+ * When the `value` isn't an E.164 phone number, it's parsed "leniently",
+ * and the E.164 phone number is passed to `onChange(value)`.
+ * `onValueMigration({ originalValue, value })` is called for every such `value`,
+ * including the ones that couldn't be parsed (`value` is `undefined` in that case).
+ * While `isCountryPending` is `true` (for example, while `defaultCountry="auto"`
+ * is being detected), the `value` isn't parsed, because a phone number
+ * in "national" format couldn't be parsed without a `country`.
+ * Returns the `value` that should be used by the component.
+ */
+export default function useLenientValue({
+	valueFormat,
+	value,
+	country,
+	isCountryPending,
+	onChange,
+	onValueMigration,
+	metadata
+}) {
+	const migration = useMemo(() => {
+		if (valueFormat === 'lenient' && !isCountryPending) {
+			return getLenientValueMigration(value, country, metadata)
+		}
+	}, [
+		valueFormat,
+		value,
+		country,
+		isCountryPending,
+		metadata
+	])
+
+	useEffect(() => {
+		if (migration) {
+			// A `value` that couldn't be parsed is left as is.
+			if (migration.value) {
+				onChange(migration.value)
+			}
+			if (onValueMigration) {
+				onValueMigration(migration)
+			}
+		}
+	}, [migration])
+
+	return migration && migration.value ? migration.value : value
+}
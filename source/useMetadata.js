@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react'
+
+import {
+	isMetadataLoader,
+	loadMetadata,
+	getLoadedMetadata
+} from './helpers/metadataLoader.js'
+
+/**
+ * Returns `metadata` when it's passed as an object.
+ * When a metadata loader is passed, loads the metadata
+ * and returns `undefined` until it has been loaded.
+ * When another loader is passed, the metadata is loaded using that loader.
+ * So the loader shouldn't be an "inline" function: otherwise, it would be called on every render.
+ * When the loader fails, `onError(error)` is called, and the metadata stays `undefined`
+ * until another loader is passed (the failed loader is then called again, if passed again later).
+ * @param  {(object|function|Promise)} [metadata]
+ * @param  {object} [options]
+ * @param  {function} [options.onError] — Is called with an `Error` when the loader fails.
+ * @return {object} [metadata]
+ */
+export default function useMetadata(metadata, { onError } = {}) {
+	const isLoader = isMetadataLoader(metadata)
+
+	// The state is "keyed" by the loader so that it's not used for another loader.
+	const [state, setState] = useState(() => {
+		if (isLoader) {
+			return {
+				loader: metadata,
+				metadata: getLoadedMetadata(metadata)
+			}
+		}
+	})
+
+	const onErrorRef = useRef()
+	onErrorRef.current = onError
+
+	const loadedMetadata = isLoader
+		? (state && state.loader === metadata ? state.metadata : getLoadedMetadata(metadata))
+		: undefined
+
+	useEffect(() => {
+		if (isLoader && !loadedMetadata) {
+			let isCancelled = false
+			loadMetadata(metadata).then((loadedMetadata) => {
+				if (!isCancelled) {
+					setState({
+						loader: metadata,
+						metadata: loadedMetadata
+					})
+				}
+			}, (error) => {
+				if (!isCancelled) {
+					if (onErrorRef.current) {
+						onErrorRef.current(error)
+					} else {
+						console.error(error)
+					}
+				}
+			})
+			return () => {
+				isCancelled = true
+			}
+		}
+	}, [metadata])
+
+	return isLoader ? loadedMetadata : metadata
+}
@@ -2,14 +2,18 @@ import { useRef, useState, useCallback, useEffect } from 'react'
 import { AsYouType, getCountryCallingCode, parseDigits } from 'libphonenumber-js/core'
 
 import getInternationalPhoneNumberPrefix from './helpers/getInternationalPhoneNumberPrefix.js'
+import { getChangeDetails } from './helpers/changeDetails.js'
 
 /**
  * Returns `[phoneDigits, setPhoneDigits]`.
  * "Phone digits" includes not only "digits" but also a `+` sign.
+ * When `withChangeDetails` is `true`, `onChange(value, details)`
+ * is called with a second argument (see `getChangeDetails()`).
  */
 export default function usePhoneDigits({
 	value,
 	onChange,
+	withChangeDetails,
 	country,
 	defaultCountry,
 	international,
@@ -54,6 +58,9 @@ export default function usePhoneDigits({
 	const [rerenderTrigger, setRerenderTrigger] = useState()
 	const rerender = useCallback(() => setRerenderTrigger({}), [setRerenderTrigger])
 
+	// The `reason` of the latest `value` change.
+	const changeReason = useRef()
+
 	function getValueForPhoneDigits(phoneDigits) {
 		// If the user hasn't input any digits then `value` is `undefined`.
 		if (!phoneDigits) {
@@ -104,6 +111,7 @@ export default function usePhoneDigits({
 			})
 			setPhoneDigits(phoneDigits)
 			if (countryMismatchDetected) {
+				changeReason.current = 'country-change'
 				setValueForPhoneDigits(getValueForPhoneDigits(phoneDigits))
 			}
 		}
@@ -120,11 +128,24 @@ export default function usePhoneDigits({
 	// Update the `value` after `valueForPhoneDigits` has been updated.
 	useEffect(() => {
 		if (valueForPhoneDigits !== value) {
-			onChange(valueForPhoneDigits)
+			if (withChangeDetails) {
+				onChange(valueForPhoneDigits, getChangeDetails({
+					value: valueForPhoneDigits,
+					phoneDigits,
+					country,
+					defaultCountry,
+					international,
+					withCountryCallingCode,
+					reason: changeReason.current || 'input'
+				}, metadata))
+			} else {
+				onChange(valueForPhoneDigits)
+			}
 		}
 	}, [valueForPhoneDigits])
 
-	const onSetPhoneDigits = useCallback((phoneDigits) => {
+	const onSetPhoneDigits = useCallback((phoneDigits, { reason = 'input' } = {}) => {
+		changeReason.current = reason
 		let value
 		if (country) {
 			if (international && withCountryCallingCode) {
@@ -216,7 +237,7 @@ export default function usePhoneDigits({
  * @param  {object} metadata
  * @return {string}
  */
-function getPhoneDigitsForValue(
+export function getPhoneDigitsForValue(
 	value,
 	country,
 	international,
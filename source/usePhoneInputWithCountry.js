@@ -0,0 +1,523 @@
+import { useState, useRef, useMemo, useEffect } from 'react'
+import { parseIncompletePhoneNumber, formatIncompletePhoneNumber } from 'libphonenumber-js/core'
+
+import phoneInputWithCountryReducer, {
+	getInitialPhoneInputWithCountryState,
+	getPhoneInputWithCountrySelectOptions
+} from './helpers/phoneInputWithCountryReducer.js'
+
+import { isCountryControlled } from './helpers/getPhoneInputWithCountryStateUpdateFromNewProps.js'
+
+import {
+	isCountrySupportedWithError,
+	getSupportedCountries
+} from './helpers/countries.js'
+
+import { getPhoneDigitsForPastedText } from './helpers/pastedText.js'
+
+import {
+	getPhoneInputWithCountryChangeDetails,
+	getInputEventChangeReason
+} from './helpers/changeDetails.js'
+
+import { parseValueExtension } from './helpers/extension.js'
+
+import {
+	getDefaultRecentCountriesStorage,
+	getRecentCountries,
+	addRecentCountry
+} from './helpers/recentCountries.js'
+
+import {
+	getAmbiguousCountries,
+	getCountryChange,
+	hasCountryChanged
+} from './helpers/countryChange.js'
+
+import {
+	isNonGeographicCountry,
+	isCountryAvailable,
+	getAsYouTypeDefaultCountry
+} from './helpers/nonGeographic.js'
+
+import getInternationalPhoneNumberPrefix from './helpers/getInternationalPhoneNumberPrefix.js'
+
+import detectCountry, { loadTimeZoneCountries } from './helpers/detectCountry.js'
+import useLenientValue from './useLenientValue.js'
+
+/**
+ * A "headless" "with country select" phone number input.
+ * Manages the selected country and the phone number digits,
+ * and leaves rendering the `<input/>` and the country `<select/>` to the application.
+ * Accepts the same properties as the "with country select" component
+ * (those that aren't related to rendering).
+ * When `valueFormat="lenient"` property is passed, a `value` that isn't
+ * an E.164 phone number is parsed "leniently" (see `useLenientValue()`).
+ * When `withChangeDetails` property is passed, `onChange(value, details)`
+ * is called with a second argument (see `getPhoneInputWithCountryChangeDetails()`).
+ * Returns an object of shape:
+ * `{ country, ambiguousCountries, setCountry, phoneDigits, setPhoneDigits, value, extension, setExtension, reset, options, inputProps, countrySelectProps }`.
+ * The "with country select" component itself is built on top of this hook.
+ */
+export default function usePhoneInputWithCountry({
+	value: originalValueProperty,
+	valueFormat,
+	onValueMigration,
+	onChange,
+	withChangeDetails,
+	onCountryChange,
+	country: countryProperty,
+	defaultCountry: defaultCountryProperty,
+	countries: countriesProperty,
+	countryOptionsOrder,
+	suggestedCountries,
+	countryGroups,
+	groupBy,
+	recentCountries: withRecentCountries,
+	recentCountriesStorage = getDefaultRecentCountriesStorage(),
+	labels,
+	locales,
+	addInternationalOption = true,
+	international,
+	countryCallingCodeEditable = true,
+	limitMaxLength = false,
+	keepIDDPrefix,
+	// `displayInitialValueAsLocalNumber` property has been
+	// superceded by `initialValueFormat` property.
+	displayInitialValueAsLocalNumber,
+	initialValueFormat,
+	allowedNumberTypes,
+	focusInputOnCountrySelection = true,
+	withExtension,
+	extension: extensionProperty,
+	onExtensionChange,
+	reset,
+	metadata
+}) {
+	// `defaultCountry="auto"` guesses the country from the web browser's
+	// time zone and languages. The country is detected after mounting
+	// so that server-side rendering and client-side rendering output is the same.
+	// The detected country is then applied as a `defaultCountry` property change.
+	// `countryDetection` is `undefined` until the country has been detected.
+	// The table of time zone countries is only loaded when it's used.
+	const [countryDetection, setCountryDetection] = useState()
+	useEffect(() => {
+		if (defaultCountryProperty === 'auto') {
+			let isCancelled = false
+			const onTimeZoneCountries = (timeZoneCountries) => {
+				if (!isCancelled) {
+					setCountryDetection({
+						country: detectCountry({ countries: countriesProperty }, metadata, timeZoneCountries)
+					})
+				}
+			}
+			loadTimeZoneCountries().then(onTimeZoneCountries, (error) => {
+				console.error(error)
+				// Detect the country from the web browser's languages only.
+				onTimeZoneCountries()
+			})
+			return () => {
+				isCancelled = true
+			}
+		}
+	}, [defaultCountryProperty, countriesProperty, metadata])
+	const defaultCountry = defaultCountryProperty === 'auto'
+		? (countryDetection && countryDetection.country)
+		: defaultCountryProperty
+
+	// A `value` that isn't an E.164 phone number could be parsed "leniently".
+	// The E.164 phone number is passed to `onChange()` in the same way
+	// as when it's input by the user, so `details` are passed too, if requested.
+	const valueProperty = useLenientValue({
+		valueFormat,
+		value: originalValueProperty,
+		country: countryProperty || defaultCountry,
+		isCountryPending: defaultCountryProperty === 'auto' && !countryDetection,
+		onChange: () => callOnChange(stateRef.current, 'migration'),
+		onValueMigration,
+		metadata
+	})
+
+	const props = {
+		value: valueProperty,
+		country: countryProperty,
+		defaultCountry,
+		countries: countriesProperty,
+		countryOptionsOrder,
+		suggestedCountries,
+		countryGroups,
+		groupBy,
+		labels,
+		locales,
+		addInternationalOption,
+		international,
+		countryCallingCodeEditable,
+		limitMaxLength,
+		keepIDDPrefix,
+		displayInitialValueAsLocalNumber,
+		initialValueFormat,
+		allowedNumberTypes,
+		extension: extensionProperty,
+		reset,
+		metadata
+	}
+
+	// Unsupported countries are filtered out.
+	const countries = useMemo(() => {
+		return getSupportedCountries(countriesProperty, metadata)
+	}, [countriesProperty, metadata])
+
+	// Recently selected countries are read from the storage after mounting
+	// so that server-side rendering and client-side rendering output is the same.
+	const [recentCountries, setRecentCountries] = useState()
+	useEffect(() => {
+		if (withRecentCountries) {
+			setRecentCountries(getRecentCountries(recentCountriesStorage))
+		}
+	}, [withRecentCountries, recentCountriesStorage])
+
+	const options = useMemo(() => {
+		return getPhoneInputWithCountrySelectOptions(
+			props,
+			countries,
+			withRecentCountries ? recentCountries : undefined
+		)
+	}, [
+		countries,
+		countryOptionsOrder,
+		suggestedCountries,
+		countryGroups,
+		groupBy,
+		withRecentCountries,
+		recentCountries,
+		addInternationalOption,
+		international,
+		countryCallingCodeEditable,
+		labels,
+		locales,
+		allowedNumberTypes,
+		metadata
+	])
+
+	const getAnyCountry = () => options[0].value
+
+	const [state, setState] = useState(() => ({
+		...getInitialPhoneInputWithCountryState(props, { countries, getAnyCountry }),
+		prevProps: getPropsToCompare(props)
+	}))
+
+	// Update the `state` when the properties change.
+	// It's the equivalent of `getDerivedStateFromProps()` of a class component.
+	// https://reactjs.org/docs/hooks-faq.html#how-do-i-implement-getderivedstatefromprops
+	let currentState = state
+	if (havePropsChanged(props, state.prevProps)) {
+		currentState = {
+			...phoneInputWithCountryReducer(state, {
+				type: 'PROPS',
+				props,
+				prevProps: state.prevProps
+			}),
+			prevProps: getPropsToCompare(props)
+		}
+		// When the `country` property changes, the phone number digits
+		// are migrated for the new country, which could change the `value`.
+		// (an "empty" `value` property could be `null` or `""`)
+		// Such change is marked in the `state` rather than in a `ref`
+		// so that a render that has been discarded by React doesn't call `onChange()`.
+		if (props.country !== state.prevProps.country && currentState.value !== (parseValueExtension(props.value).value || undefined)) {
+			currentState.valueChangeOnCountryPropertyChange = {
+				value: currentState.value
+			}
+		}
+		setState(currentState)
+	}
+
+	// Event handlers could be called several times before a re-render,
+	// so they should read the latest `state` from a `ref`.
+	const stateRef = useRef()
+	stateRef.current = currentState
+
+	const dispatch = (action) => {
+		const newState = phoneInputWithCountryReducer(stateRef.current, action)
+		stateRef.current = newState
+		setState(newState)
+		return newState
+	}
+
+	const inputRef = useRef()
+
+	// The countries that the phone number could belong to
+	// when the country can't be selected yet. See `getAmbiguousCountries()`.
+	const ambiguousCountries = useMemo(() => {
+		return getAmbiguousCountries(currentState, { countries, metadata })
+	}, [currentState.country, currentState.phoneDigits, countries, metadata])
+
+	/**
+	 * Calls `onChange()` property with the `value` from a new `state`.
+	 * @param {object} state
+	 * @param {string} reason — One of: `"input"`, `"paste"`, `"country-change"`, `"reset"`, `"autofill"`, `"migration"`.
+	 */
+	const callOnChange = (state, reason) => {
+		if (!onChange) {
+			return
+		}
+		pendingOnChangeArguments.current.push(
+			withChangeDetails
+				? [state.value, getPhoneInputWithCountryChangeDetails(state, props, reason)]
+				: [state.value]
+		)
+		setOnChangeCount(count => count + 1)
+	}
+
+	// `onChange()` is called after a re-render rather than right away,
+	// so that it's called after `onCountryChange()` for the same change
+	// (see the effect that calls the pending `onChange()`s below).
+	// That's the order in which the callbacks were called when it was a class component.
+	const pendingOnChangeArguments = useRef([])
+	const [onChangeCount, setOnChangeCount] = useState(0)
+
+	// Call `onChange()` when the `value` has been changed as a result of a `country` property change.
+	// Every such change is a new object, so `onChange()` is called once per change.
+	useEffect(() => {
+		if (currentState.valueChangeOnCountryPropertyChange) {
+			callOnChange(currentState, 'country-change')
+		}
+	}, [currentState.valueChangeOnCountryPropertyChange])
+
+	// Call `onCountryChange()` when the selected country changes,
+	// or when the countries that the phone number could belong to change.
+	// Initially, it's compared to the `country` or `defaultCountry`.
+	const [initialDefaultCountry] = useState(() => {
+		const defaultCountry_ = isCountryControlled(props) ? countryProperty : defaultCountry
+		if (defaultCountry_ && isCountrySupportedWithError(defaultCountry_, metadata)) {
+			return defaultCountry_
+		}
+	})
+	const prevCountryChange = useRef()
+	useEffect(() => {
+		const countryChange = getCountryChange(currentState.country, ambiguousCountries)
+		const prevCountryChange_ = prevCountryChange.current || getCountryChange(
+			initialDefaultCountry,
+			currentState.country === initialDefaultCountry ? ambiguousCountries : undefined
+		)
+		if (onCountryChange && hasCountryChanged(countryChange, prevCountryChange_)) {
+			onCountryChange(countryChange.country, countryChange.details)
+		}
+		prevCountryChange.current = countryChange
+	}, [currentState.country, ambiguousCountries])
+
+	// When the selected country is controlled by the application via the `country` property,
+	// selecting a country, or inputting a phone number of another country, only calls `onCountryChange()`.
+	// When the application then updates the `country` property, `onCountryChange()` isn't called again.
+	// Every such request is a new object, so `onCountryChange()` is called once per request.
+	useEffect(() => {
+		if (currentState.countryChangeRequest) {
+			const countryChange = getCountryChange(currentState.countryChangeRequest.country)
+			if (onCountryChange) {
+				onCountryChange(countryChange.country, countryChange.details)
+			}
+			prevCountryChange.current = countryChange
+		}
+	}, [currentState.countryChangeRequest])
+
+	// Calls the pending `onChange()`s. Is declared after the effects
+	// that call `onCountryChange()` so that it's called after them.
+	useEffect(() => {
+		const onChangeArguments = pendingOnChangeArguments.current
+		pendingOnChangeArguments.current = []
+		if (onChange) {
+			for (const args of onChangeArguments) {
+				onChange(...args)
+			}
+		}
+	}, [onChangeCount])
+
+	/**
+	 * Updates the phone number digits (and a leading `+`) that've been input.
+	 * @param {string?} phoneDigits — Examples: `""`, `"+"`, `"+123"`, `"123"`.
+	 * @param {object} [options]
+	 * @param {string} [options.reason] — The `reason` of the change: `"input"` (default), `"paste"` or `"autofill"`.
+	 */
+	const setPhoneDigits = (phoneDigits, { reason = 'input' } = {}) => {
+		const newState = dispatch({
+			type: 'PHONE_DIGITS',
+			phoneDigits,
+			props,
+			countries,
+			getAnyCountry
+		})
+		callOnChange(newState, reason)
+	}
+
+	const selectCountry = (country, { focusInput } = {}) => {
+		const newState = dispatch({
+			type: 'COUNTRY',
+			country,
+			props
+		})
+		// Focus phone number `<input/>` upon country selection.
+		if (focusInput && inputRef.current) {
+			inputRef.current.focus()
+		}
+		// A controlled country is only changed when the `country` property changes.
+		if (!isCountryControlled(props)) {
+			callOnChange(newState, 'country-change')
+		}
+	}
+
+	/**
+	 * Selects a country programmatically.
+	 * @param {string?} country — A two-letter country code. `undefined` means "International".
+	 */
+	const setCountry = (country) => {
+		if (country) {
+			if (!isCountrySupportedWithError(country, metadata)) {
+				return
+			}
+			if (!isCountryAvailable(country, countries)) {
+				console.error(`Country not available: ${country}`)
+				return
+			}
+		} else if (!addInternationalOption) {
+			console.error('"International" option is not available')
+			return
+		}
+		selectCountry(country)
+	}
+
+	/**
+	 * Sets the phone number extension.
+	 * @param {string?} extension — Extension digits. Example: `"1234"`.
+	 */
+	const setExtension = (extension) => {
+		dispatch({
+			type: 'EXTENSION',
+			extension
+		})
+		if (onExtensionChange) {
+			onExtensionChange(extension)
+		}
+	}
+
+	/**
+	 * Resets the phone number, the country and the extension.
+	 * Unlike the `reset` property, it also calls `onChange(undefined)`.
+	 */
+	const resetState = () => {
+		const { value, extension } = stateRef.current
+		const newState = dispatch({
+			type: 'RESET',
+			props
+		})
+		if (value) {
+			callOnChange(newState, 'reset')
+		}
+		if (extension && onExtensionChange) {
+			onExtensionChange(undefined)
+		}
+	}
+
+	const { country, phoneDigits, value, extension } = currentState
+
+	// Formats the phone number in a "native" `<input/>`
+	// in the same way as `InputBasic` does.
+	const onInputChange = (event) => {
+		let newPhoneDigits = parseIncompletePhoneNumber(event.target.value)
+		// If a value is something like `"(123)"` then Backspace
+		// would only erase the rightmost brace resulting in
+		// the same phone digits that would then be formatted back to `"(123)"`.
+		// So in such case, the last digit is erased instead.
+		if (newPhoneDigits === (phoneDigits || '')) {
+			if (formatIncompletePhoneNumber(newPhoneDigits, getAsYouTypeDefaultCountry(country), metadata).indexOf(event.target.value) === 0) {
+				newPhoneDigits = newPhoneDigits.slice(0, -1)
+			}
+		}
+		setPhoneDigits(newPhoneDigits, {
+			reason: getInputEventChangeReason(event)
+		})
+	}
+
+	// When the user pastes some text, the first phone number found in it
+	// replaces the `<input/>` value, and the country is selected accordingly.
+	const onInputPaste = (event) => {
+		const pasted = getPhoneDigitsForPastedText(event.clipboardData.getData('text'), {
+			// "Non-geographic" phone numbers can only be pasted in international format.
+			defaultCountry: isNonGeographicCountry(stateRef.current.country) ? undefined : stateRef.current.country,
+			international,
+			metadata
+		})
+		if (!pasted) {
+			return
+		}
+		// When the country calling code part isn't editable,
+		// phone numbers of other countries can't be input.
+		if (stateRef.current.country && international && countryCallingCodeEditable === false) {
+			if (pasted.phoneDigits.indexOf(getInternationalPhoneNumberPrefix(stateRef.current.country, metadata)) !== 0) {
+				return
+			}
+		}
+		event.preventDefault()
+		setPhoneDigits(pasted.phoneDigits, { reason: 'paste' })
+		if (withExtension && pasted.extension) {
+			setExtension(pasted.extension)
+		}
+	}
+
+	return {
+		country,
+		ambiguousCountries,
+		setCountry,
+		phoneDigits,
+		setPhoneDigits,
+		value,
+		extension,
+		setExtension,
+		reset: resetState,
+		options,
+		// Properties for a "native" `<input/>`.
+		inputProps: {
+			ref: inputRef,
+			type: 'tel',
+			autoComplete: 'tel',
+			value: formatIncompletePhoneNumber(phoneDigits || '', getAsYouTypeDefaultCountry(country), metadata),
+			onChange: onInputChange,
+			onPaste: onInputPaste
+		},
+		// Properties for a country `<select/>`.
+		// Same as the ones passed to a `countrySelectComponent`.
+		countrySelectProps: {
+			'aria-label': labels && labels.country,
+			value: country,
+			ambiguousCountries,
+			onChange: (country) => {
+				if (withRecentCountries && country) {
+					setRecentCountries(addRecentCountry(recentCountriesStorage, country))
+				}
+				selectCountry(country, {
+					focusInput: focusInputOnCountrySelection
+				})
+			},
+			options
+		}
+	}
+}
+
+// Returns the properties that're compared to the previous ones
+// in order to find out whether the `state` should be updated.
+function getPropsToCompare({ value, country, defaultCountry, extension, reset }) {
+	return {
+		value,
+		country,
+		defaultCountry,
+		extension,
+		reset
+	}
+}
+
+function havePropsChanged(props, prevProps) {
+	return props.value !== prevProps.value ||
+		props.country !== prevProps.country ||
+		props.defaultCountry !== prevProps.defaultCountry ||
+		props.extension !== prevProps.extension ||
+		props.reset !== prevProps.reset
+}
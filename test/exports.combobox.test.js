@@ -0,0 +1,13 @@
+import CountrySelect from '../combobox/index.js'
+import Library from '../combobox/index.cjs'
+
+describe('exports/combobox', () => {
+	it('should export ES6', () => {
+		CountrySelect.should.be.a('function')
+	})
+
+	it('should export CommonJS', () => {
+		Library.should.be.a('function')
+		Library.default.should.be.a('function')
+	})
+})
\ No newline at end of file
@@ -6,7 +6,12 @@ import PhoneInput, {
 	isPossiblePhoneNumber,
 	getCountryCallingCode,
 	getCountries,
-	isSupportedCountry
+	isSupportedCountry,
+	usePhoneInputWithCountry,
+	createPhoneInput,
+	createUsePhoneInputWithCountry,
+	detectCountry,
+	createInMemoryStorage
 } from '../core/index.js'
 
 import Library from '../core/index.cjs'
@@ -15,7 +20,8 @@ import metadata from 'libphonenumber-js/min/metadata'
 
 describe('exports/core', () => {
 	it('should export ES6', () => {
-		PhoneInput.render.should.be.a('function')
+		// `React.memo(React.forwardRef(...))`.
+		PhoneInput.type.render.should.be.a('function')
 		parsePhoneNumber('+78005553535', metadata).country.should.equal('RU')
 		formatPhoneNumber('+12133734253', metadata).should.equal('(213) 373-4253')
 		formatPhoneNumberIntl('+12133734253', metadata).should.equal('+1 213 373 4253')
@@ -24,11 +30,16 @@ describe('exports/core', () => {
 		getCountryCallingCode('US', metadata).should.equal('1')
 		getCountries(metadata)[0].length.should.equal(2)
 		isSupportedCountry('XX', metadata).should.equal(false)
+		usePhoneInputWithCountry.should.be.a('function')
+		createPhoneInput(metadata).render.should.be.a('function')
+		createUsePhoneInputWithCountry(metadata).should.be.a('function')
+		detectCountry({ timeZone: 'Europe/Berlin', languages: [] }, metadata).should.equal('DE')
+		createInMemoryStorage().getItem.should.be.a('function')
 	})
 
 	it('should export CommonJS', () => {
-		Library.render.should.be.a('function')
-		Library.default.render.should.be.a('function')
+		Library.type.render.should.be.a('function')
+		Library.default.type.render.should.be.a('function')
 		Library.parsePhoneNumber('+78005553535', metadata).country.should.equal('RU')
 		Library.formatPhoneNumber('+12133734253', metadata).should.equal('(213) 373-4253')
 		Library.formatPhoneNumberIntl('+12133734253', metadata).should.equal('+1 213 373 4253')
@@ -37,5 +48,10 @@ describe('exports/core', () => {
 		Library.getCountryCallingCode('US', metadata).should.equal('1')
 		Library.getCountries(metadata)[0].length.should.equal(2)
 		Library.isSupportedCountry('XX', metadata).should.equal(false)
+		Library.usePhoneInputWithCountry.should.be.a('function')
+		Library.createPhoneInput(metadata).render.should.be.a('function')
+		Library.createUsePhoneInputWithCountry(metadata).should.be.a('function')
+		Library.detectCountry({ timeZone: 'Europe/Berlin', languages: [] }, metadata).should.equal('DE')
+		Library.createInMemoryStorage().getItem.should.be.a('function')
 	})
 })
\ No newline at end of file
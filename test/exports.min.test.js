@@ -6,7 +6,10 @@ import PhoneInput, {
 	isPossiblePhoneNumber,
 	getCountryCallingCode,
 	getCountries,
-	isSupportedCountry
+	isSupportedCountry,
+	usePhoneInputWithCountry,
+	detectCountry,
+	createInMemoryStorage
 } from '../min/index.js'
 
 import Library from '../min/index.cjs'
@@ -22,6 +25,9 @@ describe('exports/min', () => {
 		getCountryCallingCode('US').should.equal('1')
 		getCountries()[0].length.should.equal(2)
 		isSupportedCountry('XX').should.equal(false)
+		usePhoneInputWithCountry.should.be.a('function')
+		detectCountry({ timeZone: 'Europe/Berlin', languages: [] }).should.equal('DE')
+		createInMemoryStorage().getItem.should.be.a('function')
 	})
 
 	it('should export CommonJS', () => {
@@ -35,5 +41,8 @@ describe('exports/min', () => {
 		Library.getCountryCallingCode('US').should.equal('1')
 		Library.getCountries()[0].length.should.equal(2)
 		Library.isSupportedCountry('XX').should.equal(false)
+		Library.usePhoneInputWithCountry.should.be.a('function')
+		Library.detectCountry({ timeZone: 'Europe/Berlin', languages: [] }).should.equal('DE')
+		Library.createInMemoryStorage().getItem.should.be.a('function')
 	})
 })
\ No newline at end of file
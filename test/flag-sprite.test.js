@@ -0,0 +1,19 @@
+import { createFlagSprite } from '../runnable/flag-sprite.js'
+
+describe('runnable/flag-sprite', () => {
+	it('should create a flag sprite', () => {
+		createFlagSprite({
+			RU: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 85.5 513 342"><path fill="#FFF" d="M0 85.3h513V426H0z"/></svg>',
+			GB: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 513 342"><path fill="#012169" d="M0 0h513v342H0z"/></svg>\n'
+		}, ['RU', 'GB']).should.equal(
+			'<svg xmlns="http://www.w3.org/2000/svg">' +
+				'<symbol id="RU" viewBox="0 85.5 513 342"><path fill="#FFF" d="M0 85.3h513V426H0z"/></symbol>' +
+				'<symbol id="GB" viewBox="0 0 513 342"><path fill="#012169" d="M0 0h513v342H0z"/></symbol>' +
+			'</svg>'
+		)
+	})
+
+	it('should throw when a flag is not found', () => {
+		expect(() => createFlagSprite({}, ['XX'])).to.throw('"XX" flag not found')
+	})
+})
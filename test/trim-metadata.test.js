@@ -0,0 +1,56 @@
+import metadata from 'libphonenumber-js/min/metadata'
+import labels from '../locale/en.json.js'
+
+import {
+	parsePhoneNumber,
+	getCountries,
+	isSupportedCountry
+} from '../core/index.js'
+
+import { trimMetadata, trimLabels } from '../runnable/trim-metadata.js'
+
+describe('runnable/trim-metadata', () => {
+	it('should trim metadata', () => {
+		const { metadata: trimmed, countries } = trimMetadata(metadata, ['RU', 'GB'])
+		countries.should.deep.equal(['GB', 'RU'])
+		Object.keys(trimmed.countries).should.deep.equal(['GB', 'RU'])
+		trimmed.country_calling_codes.should.deep.equal({
+			'7': ['RU'],
+			'44': ['GB']
+		})
+		trimmed.version.should.equal(metadata.version)
+		expect(trimmed.nonGeographic).to.be.undefined
+		getCountries(trimmed).should.deep.equal(['GB', 'RU'])
+		isSupportedCountry('US', trimmed).should.equal(false)
+		parsePhoneNumber('+78005553535', trimmed).country.should.equal('RU')
+	})
+
+	it('should include the "main" country for a shared country calling code', () => {
+		const { metadata: trimmed, countries } = trimMetadata(metadata, ['CA'])
+		countries.should.include('US')
+		trimmed.country_calling_codes['1'].should.deep.equal(['US', 'CA'])
+		parsePhoneNumber('+16135550123', trimmed).formatNational().should.equal('(613) 555-0123')
+	})
+
+	it('should keep "non-geographic" calling codes when requested', () => {
+		const { metadata: trimmed, countries } = trimMetadata(metadata, ['RU'], { nonGeographic: true })
+		trimmed.nonGeographic.should.equal(metadata.nonGeographic)
+		countries.should.include('RU')
+		countries.should.include('+800')
+	})
+
+	it('should throw for an unknown country', () => {
+		expect(() => trimMetadata(metadata, ['XX'])).to.throw('Unknown country: XX')
+		expect(() => trimMetadata(metadata, [])).to.throw('No countries specified')
+	})
+
+	it('should trim labels', () => {
+		const trimmed = trimLabels(labels, ['RU'])
+		trimmed.RU.should.equal('Russia')
+		trimmed.ZZ.should.equal(labels.ZZ)
+		trimmed.phone.should.equal(labels.phone)
+		expect(trimmed.US).to.be.undefined
+		expect(trimmed['+800']).to.be.undefined
+		trimLabels(labels, ['RU', '+800'])['+800'].should.equal(labels['+800'])
+	})
+})